@@ -0,0 +1,708 @@
+function APU() {
+	// AUDIO PROCESSING UNIT INFO
+	//
+	// There are 4 sound channels which are mixed together into left and right outputs
+	// Channel 1: Square wave with frequency sweep (FF10-FF14)
+	// Channel 2: Square wave (FF16-FF19)
+	// Channel 3: Wave pattern from Wave RAM (FF1A-FF1E, Wave RAM FF30-FF3F)
+	// Channel 4: Noise (FF20-FF23)
+	//
+	// FF24 NR50: Master volume (Bits 4-6 left volume, Bits 0-2 right volume)
+	// FF25 NR51: Panning (Bits 4-7 channel 1-4 to left, Bits 0-3 channel 1-4 to right)
+	// FF26 NR52: Sound on/off (Bit 7) and which channels are playing (Bits 0-3, read only)
+	//
+	// Channels are clocked by the same 4194304 Hz clock as the CPU, and the
+	// length counters, volume envelopes and sweep are clocked by the frame sequencer
+	// which runs at 512 Hz (every 8192 cycles) and steps like this
+	// Step   Length Ctr  Vol Env     Sweep
+	// 0      Clock       -           -
+	// 1      -           -           -
+	// 2      Clock       -           Clock
+	// 3      -           -           -
+	// 4      Clock       -           -
+	// 5      -           -           -
+	// 6      Clock       -           Clock
+	// 7      -           Clock       -
+
+	var ths = this;
+
+	this.CLOCK_SPEED = 4194304;
+	this.FRAME_SEQUENCER_PERIOD = 8192;
+
+	// Unused bits and write-only registers read back as 1s. These get OR'd onto
+	// the register values when read (FF10-FF2F)
+	this.READ_MASKS = [
+		0x80, 0x3F, 0x00, 0xFF, 0xBF, // NR10-NR14
+		0xFF, 0x3F, 0x00, 0xFF, 0xBF, // Unused, NR21-NR24
+		0x7F, 0xFF, 0x9F, 0xFF, 0xBF, // NR30-NR34
+		0xFF, 0xFF, 0x00, 0x00, 0xBF, // Unused, NR41-NR44
+		0x00, 0x00, 0x70,             // NR50-NR52
+		0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF // Unused
+	];
+
+	// Registers FF10-FF2F as last written
+	this.registers = new Array(0x20);
+
+	this.channel1 = new SquareChannel(true);
+	this.channel2 = new SquareChannel(false);
+	this.channel3 = new WaveChannel();
+	this.channel4 = new NoiseChannel();
+	this.channels = [this.channel1, this.channel2, this.channel3, this.channel4];
+
+	// Bit 7 of NR52, when off all the registers are cleared and can't be written
+	this.powered = true;
+
+	this.frameSequencerCounter = this.FRAME_SEQUENCER_PERIOD;
+	this.frameSequencerStep = 0;
+
+	// Output. Every CLOCK_SPEED / sampleRate cycles we mix the channels into one
+	// stereo sample. Samples are collected into buffers of bufferSize stereo
+	// samples (interleaved left, right as floats between -1 and 1) which are
+	// handed to onSamples when full
+	this.sampleRate = 44100;
+	this.bufferSize = 1024;
+	this.onSamples = null;
+	this.sampleCounter = 0;
+	this.buffer = null;
+	this.bufferPosition = 0;
+
+	// The hardware has a capacitor on the output which removes any DC offset.
+	// Keep the charge of it for each side
+	this.capacitorLeft = 0;
+	this.capacitorRight = 0;
+
+	this.initialize = function() {
+		for (var i = 0; i < ths.registers.length; i++) {
+			ths.registers[i] = 0;
+		}
+		for (var i = 0; i < ths.channels.length; i++) {
+			ths.channels[i].reset();
+		}
+		ths.powered = true;
+		ths.frameSequencerCounter = ths.FRAME_SEQUENCER_PERIOD;
+		ths.frameSequencerStep = 0;
+		ths.sampleCounter = 0;
+		ths.buffer = new Float32Array(ths.bufferSize * 2);
+		ths.bufferPosition = 0;
+		ths.capacitorLeft = 0;
+		ths.capacitorRight = 0;
+
+		// Initial values of the sound registers from the Docs
+		ths.write(0xFF10, 0x80);
+		ths.write(0xFF11, 0xBF);
+		ths.write(0xFF12, 0xF3);
+		ths.write(0xFF16, 0x3F);
+		ths.write(0xFF17, 0x00);
+		ths.write(0xFF1A, 0x7F);
+		ths.write(0xFF1B, 0xFF);
+		ths.write(0xFF1C, 0x9F);
+		ths.write(0xFF20, 0xFF);
+		ths.write(0xFF21, 0x00);
+		ths.write(0xFF22, 0x00);
+		ths.write(0xFF24, 0x77);
+		ths.write(0xFF25, 0xF3);
+
+		// The boot ROM plays a sound on channel 1 so it is still enabled
+		ths.channel1.enabled = true;
+	};
+
+	this.setSampleRate = function(sampleRate) {
+		ths.sampleRate = sampleRate;
+		ths.sampleCounter = 0;
+	};
+
+	this.read = function(address) {
+		if (address >= 0xFF30 && address <= 0xFF3F) {
+			return ths.channel3.waveRam[address - 0xFF30];
+		}
+
+		if (address === 0xFF26) {
+			// NR52 - power and whether each channel is playing
+			var status = ths.powered ? parseInt("10000000", 2) : 0;
+			for (var i = 0; i < ths.channels.length; i++) {
+				if (ths.channels[i].enabled) status |= (1 << i);
+			}
+			return status | ths.READ_MASKS[0x16];
+		}
+
+		var index = address - 0xFF10;
+		return ths.registers[index] | ths.READ_MASKS[index];
+	};
+
+	this.write = function(address, data) {
+		if (address >= 0xFF30 && address <= 0xFF3F) {
+			// Wave RAM can always be written
+			ths.channel3.waveRam[address - 0xFF30] = data;
+			return;
+		}
+
+		if (address === 0xFF26) {
+			ths.setPower((data & parseInt("10000000", 2)) !== 0);
+			return;
+		}
+
+		// Nothing else can be written while the sound is switched off
+		if (!ths.powered) return;
+
+		var index = address - 0xFF10;
+		ths.registers[index] = data;
+
+		if (address <= 0xFF14) {
+			ths.channel1.writeRegister(index, data);
+		} else if (address <= 0xFF19) {
+			ths.channel2.writeRegister(index - 5, data);
+		} else if (address <= 0xFF1E) {
+			ths.channel3.writeRegister(index - 10, data);
+		} else if (address <= 0xFF23) {
+			ths.channel4.writeRegister(index - 15, data);
+		}
+	};
+
+	this.setPower = function(on) {
+		if (on === ths.powered) return;
+
+		if (!on) {
+			// Switching off clears every register (but not Wave RAM)
+			for (var address = 0xFF10; address <= 0xFF25; address++) {
+				ths.write(address, 0);
+			}
+			for (var i = 0; i < ths.channels.length; i++) {
+				ths.channels[i].enabled = false;
+			}
+		} else {
+			ths.frameSequencerStep = 0;
+		}
+		ths.powered = on;
+	};
+
+	this.update = function(cycles) {
+		// Catch the sound hardware up with the number of cycles the CPU just ran
+		if (ths.powered) {
+			for (var i = 0; i < ths.channels.length; i++) {
+				ths.channels[i].step(cycles);
+			}
+
+			ths.frameSequencerCounter -= cycles;
+			while (ths.frameSequencerCounter <= 0) {
+				ths.frameSequencerCounter += ths.FRAME_SEQUENCER_PERIOD;
+				ths.clockFrameSequencer();
+			}
+		}
+
+		// Take as many samples as are due for the time that has passed
+		ths.sampleCounter -= cycles;
+		while (ths.sampleCounter <= 0) {
+			ths.sampleCounter += ths.CLOCK_SPEED / ths.sampleRate;
+			ths.mixSample();
+		}
+	};
+
+	this.clockFrameSequencer = function() {
+		var step = ths.frameSequencerStep;
+
+		// Length counters on even steps
+		if ((step & 1) === 0) {
+			for (var i = 0; i < ths.channels.length; i++) {
+				ths.channels[i].clockLength();
+			}
+		}
+
+		// Sweep on steps 2 and 6
+		if (step === 2 || step === 6) {
+			ths.channel1.clockSweep();
+		}
+
+		// Volume envelopes on step 7
+		if (step === 7) {
+			ths.channel1.envelope.clock();
+			ths.channel2.envelope.clock();
+			ths.channel4.envelope.clock();
+		}
+
+		ths.frameSequencerStep = (step + 1) & 7;
+	};
+
+	this.mixSample = function() {
+		// Each channel outputs a value between 0 and 15 which we turn into a value
+		// between 0 and 1, then add up the channels going to each side
+		var panning = ths.powered ? ths.registers[0x15] : 0;
+		var left = 0;
+		var right = 0;
+
+		for (var i = 0; i < ths.channels.length; i++) {
+			var output = ths.channels[i].getOutput() / 15;
+			if (panning & (1 << (i + 4))) left += output;
+			if (panning & (1 << i)) right += output;
+		}
+
+		// Master volume is 0-7 for each side, where 0 is still a little bit of sound
+		var masterVolume = ths.registers[0x14];
+		left = (left / 4) * ((((masterVolume >> 4) & 7) + 1) / 8);
+		right = (right / 4) * (((masterVolume & 7) + 1) / 8);
+
+		// Take the DC offset out like the capacitor on real hardware does
+		var filteredLeft = left - ths.capacitorLeft;
+		ths.capacitorLeft = left - (filteredLeft * 0.996);
+		var filteredRight = right - ths.capacitorRight;
+		ths.capacitorRight = right - (filteredRight * 0.996);
+
+		ths.buffer[ths.bufferPosition++] = filteredLeft;
+		ths.buffer[ths.bufferPosition++] = filteredRight;
+
+		if (ths.bufferPosition >= ths.buffer.length) {
+			var fullBuffer = ths.buffer;
+			ths.buffer = new Float32Array(ths.bufferSize * 2);
+			ths.bufferPosition = 0;
+			if (ths.onSamples) {
+				ths.onSamples(fullBuffer);
+			}
+		}
+	};
+
+	this.writeState = function(writer) {
+		writer.writeBytes(ths.registers);
+		writer.writeBool(ths.powered);
+		writer.writeInt(ths.frameSequencerCounter);
+		writer.writeByte(ths.frameSequencerStep);
+		for (var i = 0; i < ths.channels.length; i++) {
+			ths.writeFields(writer, ths.channels[i]);
+			if (ths.channels[i].envelope) {
+				ths.writeFields(writer, ths.channels[i].envelope);
+			}
+		}
+		writer.writeBytes(ths.channel3.waveRam);
+	};
+
+	this.readState = function(reader) {
+		var registers = reader.readBytes(ths.registers.length);
+		for (var i = 0; i < registers.length; i++) {
+			ths.registers[i] = registers[i];
+		}
+		ths.powered = reader.readBool();
+		ths.frameSequencerCounter = reader.readInt();
+		ths.frameSequencerStep = reader.readByte();
+		for (var i = 0; i < ths.channels.length; i++) {
+			ths.readFields(reader, ths.channels[i]);
+			if (ths.channels[i].envelope) {
+				ths.readFields(reader, ths.channels[i].envelope);
+			}
+		}
+		var waveRam = reader.readBytes(ths.channel3.waveRam.length);
+		for (var i = 0; i < waveRam.length; i++) {
+			ths.channel3.waveRam[i] = waveRam[i];
+		}
+	};
+
+	this.writeFields = function(writer, component) {
+		// Every channel lists the fields that make up its state in STATE_FIELDS
+		for (var i = 0; i < component.STATE_FIELDS.length; i++) {
+			var value = component[component.STATE_FIELDS[i]];
+			writer.writeInt(typeof value === 'boolean' ? (value ? 1 : 0) : value);
+		}
+	};
+
+	this.readFields = function(reader, component) {
+		for (var i = 0; i < component.STATE_FIELDS.length; i++) {
+			var field = component.STATE_FIELDS[i];
+			var value = reader.readInt();
+			component[field] = typeof component[field] === 'boolean' ? value !== 0 : value;
+		}
+	};
+
+}
+
+function Envelope() {
+	// Volume envelope used by channels 1, 2 and 4 (NRx2)
+	// Bit 7-4 - Initial Volume of envelope (0-0Fh) (0=No Sound)
+	// Bit 3   - Envelope Direction (0=Decrease, 1=Increase)
+	// Bit 2-0 - Number of envelope sweep (n: 0-7) (If zero, stop envelope operation.)
+
+	var ths = this;
+
+	this.STATE_FIELDS = ['initialVolume', 'increase', 'period', 'volume', 'timer'];
+
+	this.reset = function() {
+		ths.initialVolume = 0;
+		ths.increase = false;
+		ths.period = 0;
+		ths.volume = 0;
+		ths.timer = 0;
+	};
+
+	this.writeRegister = function(data) {
+		ths.initialVolume = data >> 4;
+		ths.increase = (data & parseInt("00001000", 2)) !== 0;
+		ths.period = data & 7;
+	};
+
+	this.trigger = function() {
+		ths.volume = ths.initialVolume;
+		ths.timer = ths.period;
+	};
+
+	this.clock = function() {
+		// Every period clocks the volume goes up or down by 1, until it hits 0 or 15
+		if (ths.period === 0) return;
+
+		ths.timer--;
+		if (ths.timer <= 0) {
+			ths.timer = ths.period;
+			if (ths.increase && ths.volume < 15) {
+				ths.volume++;
+			} else if (!ths.increase && ths.volume > 0) {
+				ths.volume--;
+			}
+		}
+	};
+
+	this.reset();
+}
+
+function SquareChannel(hasSweep) {
+	// Square wave channel (channel 1 has a frequency sweep, channel 2 doesn't)
+	// NRx0 (channel 1 only) Sweep
+	//   Bit 6-4 - Sweep Time, Bit 3 - Sweep Increase/Decrease (1 = decrease),
+	//   Bit 2-0 - Number of sweep shift
+	// NRx1 Bit 7-6 - Wave Pattern Duty, Bit 5-0 - Sound length data (64-t1)
+	// NRx2 Volume Envelope
+	// NRx3 Frequency lower 8 bits
+	// NRx4 Bit 7 - Trigger, Bit 6 - Length enable, Bit 2-0 - Frequency higher 3 bits
+	//
+	// The frequency timer counts down from (2048 - frequency) * 4 cycles and each
+	// time it runs out we move one step through the 8 step duty pattern
+
+	var ths = this;
+
+	this.DUTY_PATTERNS = [
+		[0, 0, 0, 0, 0, 0, 0, 1], // 12.5%
+		[1, 0, 0, 0, 0, 0, 0, 1], // 25%
+		[1, 0, 0, 0, 0, 1, 1, 1], // 50%
+		[0, 1, 1, 1, 1, 1, 1, 0]  // 75%
+	];
+
+	this.STATE_FIELDS = [
+		'enabled', 'dacEnabled', 'duty', 'dutyStep', 'frequency', 'frequencyTimer',
+		'lengthCounter', 'lengthEnabled', 'sweepPeriod', 'sweepNegate', 'sweepShift',
+		'sweepTimer', 'sweepEnabled', 'shadowFrequency'
+	];
+
+	this.hasSweep = hasSweep;
+	this.envelope = new Envelope();
+
+	this.reset = function() {
+		ths.enabled = false;
+		ths.dacEnabled = false;
+		ths.duty = 0;
+		ths.dutyStep = 0;
+		ths.frequency = 0;
+		ths.frequencyTimer = 0;
+		ths.lengthCounter = 0;
+		ths.lengthEnabled = false;
+		ths.sweepPeriod = 0;
+		ths.sweepNegate = false;
+		ths.sweepShift = 0;
+		ths.sweepTimer = 0;
+		ths.sweepEnabled = false;
+		ths.shadowFrequency = 0;
+		ths.envelope.reset();
+	};
+
+	this.writeRegister = function(register, data) {
+		switch (register) {
+			case 0:
+				ths.sweepPeriod = (data >> 4) & 7;
+				ths.sweepNegate = (data & parseInt("00001000", 2)) !== 0;
+				ths.sweepShift = data & 7;
+				break;
+			case 1:
+				ths.duty = data >> 6;
+				ths.lengthCounter = 64 - (data & 0x3F);
+				break;
+			case 2:
+				ths.envelope.writeRegister(data);
+				// The DAC is off if the top 5 bits are all 0, which also stops the channel
+				ths.dacEnabled = (data & 0xF8) !== 0;
+				if (!ths.dacEnabled) ths.enabled = false;
+				break;
+			case 3:
+				ths.frequency = (ths.frequency & 0x700) | data;
+				break;
+			case 4:
+				ths.frequency = (ths.frequency & 0xFF) | ((data & 7) << 8);
+				ths.lengthEnabled = (data & parseInt("01000000", 2)) !== 0;
+				if (data & parseInt("10000000", 2)) {
+					ths.trigger();
+				}
+				break;
+		}
+	};
+
+	this.trigger = function() {
+		ths.enabled = ths.dacEnabled;
+		if (ths.lengthCounter === 0) ths.lengthCounter = 64;
+		ths.frequencyTimer = (2048 - ths.frequency) * 4;
+		ths.envelope.trigger();
+
+		if (ths.hasSweep) {
+			ths.shadowFrequency = ths.frequency;
+			ths.sweepTimer = ths.sweepPeriod || 8;
+			ths.sweepEnabled = ths.sweepPeriod > 0 || ths.sweepShift > 0;
+			// Overflow check straight away if there is a shift
+			if (ths.sweepShift > 0) {
+				ths.calculateSweepFrequency();
+			}
+		}
+	};
+
+	this.step = function(cycles) {
+		ths.frequencyTimer -= cycles;
+		while (ths.frequencyTimer <= 0) {
+			ths.frequencyTimer += (2048 - ths.frequency) * 4;
+			ths.dutyStep = (ths.dutyStep + 1) & 7;
+		}
+	};
+
+	this.clockLength = function() {
+		if (ths.lengthEnabled && ths.lengthCounter > 0) {
+			ths.lengthCounter--;
+			if (ths.lengthCounter === 0) ths.enabled = false;
+		}
+	};
+
+	this.calculateSweepFrequency = function() {
+		// New frequency is the shadow frequency +/- shadow frequency >> shift.
+		// Going past 2047 switches the channel off
+		var change = ths.shadowFrequency >> ths.sweepShift;
+		var newFrequency = ths.sweepNegate ? ths.shadowFrequency - change : ths.shadowFrequency + change;
+		if (newFrequency > 2047) {
+			ths.enabled = false;
+		}
+		return newFrequency;
+	};
+
+	this.clockSweep = function() {
+		if (!ths.hasSweep) return;
+
+		ths.sweepTimer--;
+		if (ths.sweepTimer > 0) return;
+		ths.sweepTimer = ths.sweepPeriod || 8;
+
+		if (ths.sweepEnabled && ths.sweepPeriod > 0) {
+			var newFrequency = ths.calculateSweepFrequency();
+			if (newFrequency <= 2047 && ths.sweepShift > 0) {
+				ths.frequency = newFrequency;
+				ths.shadowFrequency = newFrequency;
+				// Overflow check again with the new frequency
+				ths.calculateSweepFrequency();
+			}
+		}
+	};
+
+	this.getOutput = function() {
+		if (!ths.enabled) return 0;
+		return ths.DUTY_PATTERNS[ths.duty][ths.dutyStep] * ths.envelope.volume;
+	};
+
+	this.reset();
+}
+
+function WaveChannel() {
+	// Wave channel, plays 32 4-bit samples from Wave RAM (FF30-FF3F, upper nibble first)
+	// NR30 Bit 7 - Sound Channel 3 Off (0=Stop, 1=Playback)
+	// NR31 Sound Length (256-t1)
+	// NR32 Bit 6-5 - Output level (0: Mute, 1: 100%, 2: 50%, 3: 25%)
+	// NR33 Frequency lower 8 bits
+	// NR34 Bit 7 - Trigger, Bit 6 - Length enable, Bit 2-0 - Frequency higher 3 bits
+	//
+	// The frequency timer counts down from (2048 - frequency) * 2 cycles and each
+	// time it runs out we move onto the next sample
+
+	var ths = this;
+
+	// How far to shift the sample right for each output level
+	this.VOLUME_SHIFTS = [4, 0, 1, 2];
+
+	this.STATE_FIELDS = [
+		'enabled', 'dacEnabled', 'frequency', 'frequencyTimer', 'lengthCounter',
+		'lengthEnabled', 'volumeCode', 'position', 'sample'
+	];
+
+	this.waveRam = new Array(16);
+
+	this.reset = function() {
+		ths.enabled = false;
+		ths.dacEnabled = false;
+		ths.frequency = 0;
+		ths.frequencyTimer = 0;
+		ths.lengthCounter = 0;
+		ths.lengthEnabled = false;
+		ths.volumeCode = 0;
+		ths.position = 0;
+		ths.sample = 0;
+		for (var i = 0; i < ths.waveRam.length; i++) {
+			ths.waveRam[i] = 0;
+		}
+	};
+
+	this.writeRegister = function(register, data) {
+		switch (register) {
+			case 0:
+				ths.dacEnabled = (data & parseInt("10000000", 2)) !== 0;
+				if (!ths.dacEnabled) ths.enabled = false;
+				break;
+			case 1:
+				ths.lengthCounter = 256 - data;
+				break;
+			case 2:
+				ths.volumeCode = (data >> 5) & 3;
+				break;
+			case 3:
+				ths.frequency = (ths.frequency & 0x700) | data;
+				break;
+			case 4:
+				ths.frequency = (ths.frequency & 0xFF) | ((data & 7) << 8);
+				ths.lengthEnabled = (data & parseInt("01000000", 2)) !== 0;
+				if (data & parseInt("10000000", 2)) {
+					ths.trigger();
+				}
+				break;
+		}
+	};
+
+	this.trigger = function() {
+		ths.enabled = ths.dacEnabled;
+		if (ths.lengthCounter === 0) ths.lengthCounter = 256;
+		ths.frequencyTimer = (2048 - ths.frequency) * 2;
+		ths.position = 0;
+	};
+
+	this.step = function(cycles) {
+		ths.frequencyTimer -= cycles;
+		while (ths.frequencyTimer <= 0) {
+			ths.frequencyTimer += (2048 - ths.frequency) * 2;
+			ths.position = (ths.position + 1) & 31;
+
+			var waveByte = ths.waveRam[ths.position >> 1];
+			ths.sample = (ths.position & 1) ? (waveByte & 0xF) : (waveByte >> 4);
+		}
+	};
+
+	this.clockLength = function() {
+		if (ths.lengthEnabled && ths.lengthCounter > 0) {
+			ths.lengthCounter--;
+			if (ths.lengthCounter === 0) ths.enabled = false;
+		}
+	};
+
+	this.getOutput = function() {
+		if (!ths.enabled) return 0;
+		return ths.sample >> ths.VOLUME_SHIFTS[ths.volumeCode];
+	};
+
+	this.reset();
+}
+
+function NoiseChannel() {
+	// Noise channel, output comes from a Linear Feedback Shift Register
+	// NR41 Bit 5-0 - Sound length data (64-t1)
+	// NR42 Volume Envelope
+	// NR43 Bit 7-4 - Shift Clock Frequency (s)
+	//      Bit 3   - Counter Step/Width (0=15 bits, 1=7 bits)
+	//      Bit 2-0 - Dividing Ratio of Frequencies (r)
+	// NR44 Bit 7 - Trigger, Bit 6 - Length enable
+	//
+	// The LFSR is shifted every divisor(r) << s cycles. Each shift the lowest two
+	// bits are XOR'd and put into bit 14 (and bit 6 as well in 7 bit mode). The
+	// output is the inverse of bit 0
+
+	var ths = this;
+
+	this.DIVISORS = [8, 16, 32, 48, 64, 80, 96, 112];
+
+	this.STATE_FIELDS = [
+		'enabled', 'dacEnabled', 'frequencyTimer', 'lengthCounter', 'lengthEnabled',
+		'clockShift', 'widthMode', 'divisorCode', 'lfsr'
+	];
+
+	this.envelope = new Envelope();
+
+	this.reset = function() {
+		ths.enabled = false;
+		ths.dacEnabled = false;
+		ths.frequencyTimer = 0;
+		ths.lengthCounter = 0;
+		ths.lengthEnabled = false;
+		ths.clockShift = 0;
+		ths.widthMode = false;
+		ths.divisorCode = 0;
+		ths.lfsr = 0x7FFF;
+		ths.envelope.reset();
+	};
+
+	this.getPeriod = function() {
+		return ths.DIVISORS[ths.divisorCode] << ths.clockShift;
+	};
+
+	this.writeRegister = function(register, data) {
+		switch (register) {
+			case 1:
+				ths.lengthCounter = 64 - (data & 0x3F);
+				break;
+			case 2:
+				ths.envelope.writeRegister(data);
+				ths.dacEnabled = (data & 0xF8) !== 0;
+				if (!ths.dacEnabled) ths.enabled = false;
+				break;
+			case 3:
+				ths.clockShift = data >> 4;
+				ths.widthMode = (data & parseInt("00001000", 2)) !== 0;
+				ths.divisorCode = data & 7;
+				break;
+			case 4:
+				ths.lengthEnabled = (data & parseInt("01000000", 2)) !== 0;
+				if (data & parseInt("10000000", 2)) {
+					ths.trigger();
+				}
+				break;
+		}
+	};
+
+	this.trigger = function() {
+		ths.enabled = ths.dacEnabled;
+		if (ths.lengthCounter === 0) ths.lengthCounter = 64;
+		ths.frequencyTimer = ths.getPeriod();
+		ths.envelope.trigger();
+		ths.lfsr = 0x7FFF;
+	};
+
+	this.step = function(cycles) {
+		ths.frequencyTimer -= cycles;
+		while (ths.frequencyTimer <= 0) {
+			ths.frequencyTimer += ths.getPeriod();
+
+			var xor = (ths.lfsr & 1) ^ ((ths.lfsr >> 1) & 1);
+			ths.lfsr = (ths.lfsr >> 1) | (xor << 14);
+			if (ths.widthMode) {
+				ths.lfsr = (ths.lfsr & ~(1 << 6)) | (xor << 6);
+			}
+		}
+	};
+
+	this.clockLength = function() {
+		if (ths.lengthEnabled && ths.lengthCounter > 0) {
+			ths.lengthCounter--;
+			if (ths.lengthCounter === 0) ths.enabled = false;
+		}
+	};
+
+	this.getOutput = function() {
+		if (!ths.enabled) return 0;
+		return (~ths.lfsr & 1) * ths.envelope.volume;
+	};
+
+	this.reset();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = APU;
+}
@@ -0,0 +1,58 @@
+// AudioWorklet processor that plays the sample buffers made by the APU
+// This runs on the browser's audio thread and is loaded with
+// audioContext.audioWorklet.addModule rather than a script tag
+//
+// Buffers of interleaved stereo samples (left, right, left, right...) are posted
+// to the processor's port and played in the order they arrive. If the emulator
+// falls behind we play silence, if it gets too far ahead we drop old buffers so
+// the sound doesn't lag behind the picture
+
+class GameboyAudioProcessor extends AudioWorkletProcessor {
+
+	constructor() {
+		super();
+
+		var ths = this;
+
+		this.MAX_QUEUED_BUFFERS = 8;
+
+		this.queue = [];
+		this.current = null;
+		this.position = 0;
+
+		this.port.onmessage = function(event) {
+			ths.queue.push(event.data);
+			while (ths.queue.length > ths.MAX_QUEUED_BUFFERS) {
+				ths.queue.shift();
+			}
+		};
+	}
+
+	process(inputs, outputs) {
+		var left = outputs[0][0];
+		var right = outputs[0].length > 1 ? outputs[0][1] : null;
+
+		for (var i = 0; i < left.length; i++) {
+			if (this.current === null || this.position >= this.current.length) {
+				this.current = this.queue.length > 0 ? this.queue.shift() : null;
+				this.position = 0;
+			}
+
+			if (this.current === null) {
+				// Nothing to play, output silence
+				left[i] = 0;
+				if (right) right[i] = 0;
+				continue;
+			}
+
+			left[i] = this.current[this.position++];
+			var sample = this.current[this.position++];
+			if (right) right[i] = sample;
+		}
+
+		return true;
+	}
+
+}
+
+registerProcessor('gameboy-audio-processor', GameboyAudioProcessor);
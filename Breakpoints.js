@@ -0,0 +1,504 @@
+function Breakpoints(gameboy) {
+	// Breakpoints and watchpoints. runFrame asks shouldBreak before every
+	// instruction and stops the frame early when one fires, leaving the program
+	// counter on the instruction that hasn't run yet. The MMU tells us about every
+	// read and write so watchpoints can fire too. They fire once the instruction
+	// doing the reading/writing has finished, before the next one runs
+	//
+	// There are three kinds, all of which can have a condition that has to be true
+	// as well for them to fire
+	// Execute:   The program counter reaching an address, optionally only when a
+	//            given ROM bank is mapped in (0x4000-0x7FFF) or bank 0 (below)
+	// Watch:     Reading, writing or either (access) an address range
+	// Condition: An expression becoming true, checked before every instruction
+	//
+	// Conditions are expressions over the registers and memory, eg
+	// A == 0x3F && [0xC000] > 4. They can use
+	// Registers: A F B C D E H L AF BC DE HL SP PC
+	// Flags:     ZF NF HF CF (0 or 1)
+	// Memory:    [address] is the byte at address, eg [HL] or [0xFF00 + C]
+	// Numbers:   0x3F, $3F, %00111111 or decimal
+	// Operators: || && | ^ & == != < <= > >= << >> + - * and ! ~ - in front
+	//
+	// The same can be written as text for add, which is what the browser debugger
+	// and the headless runner use
+	// [bank:]address [if condition]        eg 0150, 03:4A2B if A == 0
+	// read|write|access start[-end] [if condition]  eg write C000-C0FF
+	// if condition                         eg if [0xFF44] == 0x90
+
+	var ths = this;
+
+	this.gameboy = gameboy;
+
+	// Set onBreak to a function to be told when a breakpoint fires, it is passed
+	// the hit (see fire)
+	this.onBreak = null;
+
+	this.WATCH_TYPES = ['read', 'write', 'access'];
+
+	this.REGISTERS = ['A', 'F', 'B', 'C', 'D', 'E', 'H', 'L', 'SP', 'PC'];
+	this.REGISTER_PAIRS = ['AF', 'BC', 'DE', 'HL'];
+	this.FLAGS = { ZF: gameboy.ZERO_BIT, NF: gameboy.SUBTRACT_BIT, HF: gameboy.HALF_CARRY_BIT, CF: gameboy.CARRY_BIT };
+
+	// Binary operators from loosest to tightest binding
+	this.OPERATORS = [
+		['||'],
+		['&&'],
+		['|'],
+		['^'],
+		['&'],
+		['==', '!='],
+		['<', '<=', '>', '>='],
+		['<<', '>>'],
+		['+', '-'],
+		['*']
+	];
+
+	this.breakpoints = [];
+	this.nextId = 1;
+
+	// Whether there are any breakpoints/watchpoints at all, so the checks cost
+	// nothing when there aren't
+	this.enabled = false;
+	this.watching = false;
+
+	this.reset = function() {
+		// Last hit, and a watchpoint hit waiting for the instruction to finish
+		ths.hit = null;
+		ths.pendingHit = null;
+
+		// Once we've stopped on an address, running again from it shouldn't stop
+		// on it again straight away
+		ths.resumeAddress = -1;
+
+		ths.breakpoints.forEach(function(breakpoint) {
+			breakpoint.wasTrue = false;
+		});
+	};
+
+	// Reads made by conditions (and the debugger) don't set off watchpoints
+	this.peeking = false;
+
+	// Set by the MMU while DMA copies, so its reads and writes aren't blamed on
+	// whatever instruction the CPU is on
+	this.dma = false;
+
+	// Set by the gameboy while an interrupt pushes PC, those writes happen
+	// between instructions rather than by one
+	this.interrupt = false;
+
+	this.add = function(text) {
+		// Add a breakpoint from its text form (see above)
+		var condition = null;
+		var ifIndex = text.search(/(^|\s)if\s/i);
+		if (ifIndex >= 0) {
+			condition = text.substr(ifIndex).replace(/^\s*if\s+/i, '');
+			text = text.substr(0, ifIndex);
+		}
+		var words = text.trim().split(/\s+/).filter(function(word) { return word !== ''; });
+
+		if (words.length === 0) {
+			if (condition === null) {
+				throw new Error('Empty breakpoint');
+			}
+			return ths.addCondition(condition);
+		}
+
+		if (words.length === 2 && ths.WATCH_TYPES.indexOf(words[0].toLowerCase()) >= 0) {
+			var range = words[1].split('-');
+			var start = ths.parseAddress(range[0]);
+			var end = range.length > 1 ? ths.parseAddress(range[1]) : start;
+			return ths.addWatchpoint(words[0].toLowerCase(), start, end, condition);
+		}
+
+		if (words.length === 1) {
+			var parts = words[0].split(':');
+			if (parts.length === 1) {
+				return ths.addBreakpoint(ths.parseAddress(parts[0]), null, condition);
+			}
+			if (parts.length === 2) {
+				return ths.addBreakpoint(ths.parseAddress(parts[1]), ths.parseNumber(parts[0], 16), condition);
+			}
+		}
+
+		throw new Error('Bad breakpoint "' + text.trim() + '"');
+	};
+
+	this.addBreakpoint = function(address, bank, condition) {
+		// bank is null to stop whichever bank is mapped in
+		return ths.addEntry({
+			type: 'execute',
+			address: address,
+			bank: bank === undefined ? null : bank
+		}, condition);
+	};
+
+	this.addWatchpoint = function(type, start, end, condition) {
+		if (ths.WATCH_TYPES.indexOf(type) < 0) {
+			throw new Error('Watchpoints are read, write or access, not ' + type);
+		}
+		if (end < start) {
+			throw new Error('Watchpoint range ends before it starts');
+		}
+		return ths.addEntry({
+			type: type,
+			start: start,
+			end: end
+		}, condition);
+	};
+
+	this.addCondition = function(condition) {
+		return ths.addEntry({ type: 'condition', wasTrue: false }, condition);
+	};
+
+	this.addEntry = function(breakpoint, condition) {
+		breakpoint.condition = condition || null;
+		breakpoint.test = condition ? ths.compile(condition) : null;
+		breakpoint.id = ths.nextId++;
+		breakpoint.description = ths.describe(breakpoint);
+		ths.breakpoints.push(breakpoint);
+		ths.update();
+		return breakpoint;
+	};
+
+	this.remove = function(id) {
+		ths.breakpoints = ths.breakpoints.filter(function(breakpoint) {
+			return breakpoint.id !== id;
+		});
+		ths.update();
+	};
+
+	this.clear = function() {
+		ths.breakpoints = [];
+		ths.update();
+	};
+
+	this.update = function() {
+		ths.enabled = ths.breakpoints.length > 0;
+		ths.watching = ths.breakpoints.some(function(breakpoint) {
+			return ths.WATCH_TYPES.indexOf(breakpoint.type) >= 0;
+		});
+		if (!ths.enabled) {
+			ths.pendingHit = null;
+		}
+	};
+
+	this.describe = function(breakpoint) {
+		var text = '#' + breakpoint.id + ' ';
+		switch (breakpoint.type) {
+			case 'execute':
+				text += 'Breakpoint ' + (breakpoint.bank !== null ? '0x' + toHex(breakpoint.bank, 2) + ':' : '') +
+					'0x' + toHex(breakpoint.address, 4);
+				break;
+			case 'condition':
+				text += 'Condition';
+				break;
+			default:
+				text += breakpoint.type.charAt(0).toUpperCase() + breakpoint.type.substr(1) +
+					' watchpoint 0x' + toHex(breakpoint.start, 4) +
+					(breakpoint.end !== breakpoint.start ? '-0x' + toHex(breakpoint.end, 4) : '');
+				break;
+		}
+		if (breakpoint.condition !== null) {
+			text += ' if ' + breakpoint.condition;
+		}
+		return text;
+	};
+
+	this.shouldBreak = function() {
+		// Watchpoints set off by the last instruction
+		if (ths.pendingHit !== null) {
+			var hit = ths.pendingHit;
+			ths.pendingHit = null;
+			ths.fire(hit);
+			return true;
+		}
+
+		var registers = ths.gameboy.registers;
+		var resuming = registers.PC === ths.resumeAddress;
+		ths.resumeAddress = -1;
+
+		for (var i = 0; i < ths.breakpoints.length; i++) {
+			var breakpoint = ths.breakpoints[i];
+
+			if (breakpoint.type === 'condition') {
+				// Only when it becomes true, otherwise we'd never get past it
+				var isTrue = ths.test(breakpoint);
+				var becameTrue = isTrue && !breakpoint.wasTrue;
+				breakpoint.wasTrue = isTrue;
+				if (becameTrue && !resuming) {
+					ths.fire({ breakpoint: breakpoint, pc: registers.PC });
+					ths.resumeAddress = registers.PC;
+					return true;
+				}
+			} else if (breakpoint.type === 'execute') {
+				// A halted CPU isn't about to run anything
+				if (resuming || ths.gameboy.halted || registers.PC !== breakpoint.address) continue;
+				if (breakpoint.bank !== null && breakpoint.bank !== ths.getRomBank(registers.PC)) continue;
+				if (!ths.test(breakpoint)) continue;
+
+				ths.fire({ breakpoint: breakpoint, pc: registers.PC });
+				ths.resumeAddress = registers.PC;
+				return true;
+			}
+		}
+
+		return false;
+	};
+
+	this.fire = function(hit) {
+		// A hit is the breakpoint that fired, the PC of the instruction (for
+		// watchpoints the one that did the reading/writing) and for watchpoints the
+		// address, the value written and whether it was DMA or an interrupt pushing
+		// PC rather than the instruction
+		hit.description = ths.describeHit(hit);
+		ths.hit = hit;
+		if (ths.onBreak) {
+			ths.onBreak(hit);
+		}
+	};
+
+	this.describeHit = function(hit) {
+		var text = hit.breakpoint.description;
+		if (hit.address !== undefined) {
+			text += ': ' + (hit.value !== undefined ? 'wrote 0x' + toHex(hit.value, 2) + ' to ' : 'read ') +
+				'0x' + toHex(hit.address, 4) + ths.describeSource(hit) + '0x' + toHex(hit.pc, 4);
+		}
+		return text;
+	};
+
+	this.describeSource = function(hit) {
+		if (hit.dma) return ' by DMA during PC ';
+		if (hit.interrupt) return ' by interrupt dispatch after PC ';
+		return ' at PC ';
+	};
+
+	this.takeHit = function() {
+		// For when an instruction has been run without asking shouldBreak first
+		// (stepping in the debugger), returns what it set off if anything
+		var hit = ths.pendingHit;
+		ths.pendingHit = null;
+		ths.resumeAddress = -1;
+		if (hit !== null) {
+			hit.description = ths.describeHit(hit);
+			ths.hit = hit;
+		}
+		return hit;
+	};
+
+	this.getRomBank = function(address) {
+		if (address < 0x4000) return 0;
+		if (address < 0x8000) return ths.gameboy.mmu.currentRomBank % ths.gameboy.mmu.romBankCount;
+		return null;
+	};
+
+	// Called by the MMU
+	this.checkRead = function(address) {
+		ths.checkWatchpoints(address, undefined, 'read');
+	};
+
+	this.checkWrite = function(address, data) {
+		ths.checkWatchpoints(address, data, 'write');
+	};
+
+	this.checkWatchpoints = function(address, data, type) {
+		// Only the first hit of an instruction is reported
+		if (ths.peeking || ths.pendingHit !== null) return;
+
+		for (var i = 0; i < ths.breakpoints.length; i++) {
+			var breakpoint = ths.breakpoints[i];
+			if (breakpoint.type !== type && breakpoint.type !== 'access') continue;
+			if (address < breakpoint.start || address > breakpoint.end) continue;
+			if (!ths.test(breakpoint)) continue;
+
+			ths.pendingHit = {
+				breakpoint: breakpoint,
+				address: address,
+				value: data,
+				pc: ths.gameboy.instructionAddress,
+				dma: ths.dma,
+				interrupt: ths.interrupt
+			};
+			return;
+		}
+	};
+
+	this.peek = function(address) {
+		// Read memory without setting off watchpoints
+		var peeking = ths.peeking;
+		ths.peeking = true;
+		var value = ths.gameboy.mmu.read(address & 0xFFFF);
+		ths.peeking = peeking;
+		return value;
+	};
+
+	this.test = function(breakpoint) {
+		return breakpoint.test === null || breakpoint.test() !== 0;
+	};
+
+	this.parseNumber = function(text, defaultBase) {
+		// 0x or $ for hex, % for binary, otherwise defaultBase
+		var base = defaultBase;
+		if (/^0x/i.test(text)) {
+			base = 16;
+			text = text.substr(2);
+		} else if (text.charAt(0) === '$') {
+			base = 16;
+			text = text.substr(1);
+		} else if (text.charAt(0) === '%') {
+			base = 2;
+			text = text.substr(1);
+		}
+
+		var digits = base === 16 ? /^[0-9a-f]+$/i : base === 2 ? /^[01]+$/ : /^[0-9]+$/;
+		if (!digits.test(text)) {
+			throw new Error('Bad number "' + text + '"');
+		}
+		return parseInt(text, base);
+	};
+
+	this.parseAddress = function(text) {
+		// Addresses are always hex, with or without the 0x
+		var address = ths.parseNumber(text, 16);
+		if (address > 0xFFFF) {
+			throw new Error('Address ' + text + ' is past 0xFFFF');
+		}
+		return address;
+	};
+
+	this.compile = function(expression) {
+		// Turn a condition into a function that works it out, returning a number
+		// (0 is false). Values are plain numbers, comparisons give 0 or 1
+		var tokens = ths.tokenize(expression);
+		var position = 0;
+
+		var peekToken = function() {
+			return tokens[position];
+		};
+
+		var expect = function(token) {
+			if (tokens[position] !== token) {
+				throw new Error('Expected ' + token + ' in condition "' + expression + '"');
+			}
+			position++;
+		};
+
+		var parseBinary = function(level) {
+			if (level === ths.OPERATORS.length) {
+				return parseUnary();
+			}
+
+			var left = parseBinary(level + 1);
+			while (ths.OPERATORS[level].indexOf(peekToken()) >= 0) {
+				var operator = tokens[position++];
+				left = ths.binaryOperation(operator, left, parseBinary(level + 1));
+			}
+			return left;
+		};
+
+		var parseUnary = function() {
+			var token = peekToken();
+			if (token === '!' || token === '~' || token === '-') {
+				position++;
+				var operand = parseUnary();
+				if (token === '!') return function() { return operand() === 0 ? 1 : 0; };
+				if (token === '~') return function() { return ~operand(); };
+				return function() { return -operand(); };
+			}
+			return parsePrimary();
+		};
+
+		var parsePrimary = function() {
+			var token = tokens[position++];
+			if (token === undefined) {
+				throw new Error('Condition "' + expression + '" ends too soon');
+			}
+
+			if (token === '(') {
+				var inner = parseBinary(0);
+				expect(')');
+				return inner;
+			}
+
+			if (token === '[') {
+				var address = parseBinary(0);
+				expect(']');
+				return function() { return ths.peek(address()); };
+			}
+
+			if (/^[0-9$%]/.test(token)) {
+				var number = ths.parseNumber(token, 10);
+				return function() { return number; };
+			}
+
+			return ths.compileName(token.toUpperCase(), expression);
+		};
+
+		var compiled = parseBinary(0);
+		if (position < tokens.length) {
+			throw new Error('Unexpected ' + tokens[position] + ' in condition "' + expression + '"');
+		}
+		return compiled;
+	};
+
+	this.TOKEN = /0x[0-9a-f]+|\$[0-9a-f]+|%[01]+|[0-9]+|[a-z]+|\|\||&&|==|!=|<=|>=|<<|>>|[()\[\]|^&<>+\-*!~]/i;
+
+	this.tokenize = function(expression) {
+		// Anything that isn't a whole token is matched on its own so we can complain
+		var tokens = expression.match(new RegExp(ths.TOKEN.source + '|\\S', 'gi')) || [];
+		var whole = new RegExp('^(' + ths.TOKEN.source + ')$', 'i');
+		tokens.forEach(function(token) {
+			if (!whole.test(token)) {
+				throw new Error('Unexpected ' + token + ' in condition "' + expression + '"');
+			}
+		});
+		return tokens;
+	};
+
+	this.compileName = function(name, expression) {
+		var registers = ths.gameboy.registers;
+
+		if (ths.REGISTERS.indexOf(name) >= 0) {
+			return function() { return registers[name]; };
+		}
+		if (ths.REGISTER_PAIRS.indexOf(name) >= 0) {
+			var hi = name.charAt(0);
+			var lo = name.charAt(1);
+			return function() { return (registers[hi] << 8) | registers[lo]; };
+		}
+		if (ths.FLAGS[name] !== undefined) {
+			var bit = ths.FLAGS[name];
+			return function() { return (registers.F >> bit) & 1; };
+		}
+
+		throw new Error('Unknown name ' + name + ' in condition "' + expression + '"');
+	};
+
+	this.binaryOperation = function(operator, left, right) {
+		switch (operator) {
+			case '||': return function() { return (left() !== 0 || right() !== 0) ? 1 : 0; };
+			case '&&': return function() { return (left() !== 0 && right() !== 0) ? 1 : 0; };
+			case '|': return function() { return left() | right(); };
+			case '^': return function() { return left() ^ right(); };
+			case '&': return function() { return left() & right(); };
+			case '==': return function() { return left() === right() ? 1 : 0; };
+			case '!=': return function() { return left() !== right() ? 1 : 0; };
+			case '<': return function() { return left() < right() ? 1 : 0; };
+			case '<=': return function() { return left() <= right() ? 1 : 0; };
+			case '>': return function() { return left() > right() ? 1 : 0; };
+			case '>=': return function() { return left() >= right() ? 1 : 0; };
+			case '<<': return function() { return left() << right(); };
+			case '>>': return function() { return left() >> right(); };
+			case '+': return function() { return left() + right(); };
+			case '-': return function() { return left() - right(); };
+			case '*': return function() { return left() * right(); };
+		}
+	};
+
+	this.reset();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	var toHex = require('./Hex.js');
+	module.exports = Breakpoints;
+}
@@ -0,0 +1,254 @@
+function CartridgeHeader(data) {
+	// CARTRIDGE HEADER INFO
+	//
+	// 0100-0103 Entry Point (usually NOP followed by a JP to the game code)
+	// 0104-0133 Nintendo Logo
+	// 0134-0143 Title (upper case ASCII, padded with 0s)
+	// 013F-0142 Manufacturer Code (newer cartridges, title is shorter)
+	// 0143      CGB Flag (newer cartridges, otherwise last byte of the title)
+	// 0144-0145 New Licensee Code (only used if old licensee code is 0x33)
+	// 0146      SGB Flag
+	// 0147      Cartridge Type (which Memory Bank Controller is used)
+	// 0148      ROM Size
+	// 0149      RAM Size
+	// 014A      Destination Code
+	// 014B      Old Licensee Code
+	// 014C      Mask ROM Version Number
+	// 014D      Header Checksum
+	// 014E-014F Global Checksum
+
+	var ths = this;
+
+	// Every cartridge type we know about and what hardware is on the cartridge
+	// mapper is the Memory Bank Controller and decides how ROM/RAM banking works
+	this.CARTRIDGE_TYPES = {
+		0x00: { name: 'ROM ONLY', mapper: 'NONE', ram: false, battery: false, timer: false, rumble: false },
+		0x01: { name: 'MBC1', mapper: 'MBC1', ram: false, battery: false, timer: false, rumble: false },
+		0x02: { name: 'MBC1+RAM', mapper: 'MBC1', ram: true, battery: false, timer: false, rumble: false },
+		0x03: { name: 'MBC1+RAM+BATTERY', mapper: 'MBC1', ram: true, battery: true, timer: false, rumble: false },
+		0x05: { name: 'MBC2', mapper: 'MBC2', ram: true, battery: false, timer: false, rumble: false },
+		0x06: { name: 'MBC2+BATTERY', mapper: 'MBC2', ram: true, battery: true, timer: false, rumble: false },
+		0x08: { name: 'ROM+RAM', mapper: 'NONE', ram: true, battery: false, timer: false, rumble: false },
+		0x09: { name: 'ROM+RAM+BATTERY', mapper: 'NONE', ram: true, battery: true, timer: false, rumble: false },
+		0x0B: { name: 'MMM01', mapper: 'MMM01', ram: false, battery: false, timer: false, rumble: false },
+		0x0C: { name: 'MMM01+RAM', mapper: 'MMM01', ram: true, battery: false, timer: false, rumble: false },
+		0x0D: { name: 'MMM01+RAM+BATTERY', mapper: 'MMM01', ram: true, battery: true, timer: false, rumble: false },
+		0x0F: { name: 'MBC3+TIMER+BATTERY', mapper: 'MBC3', ram: false, battery: true, timer: true, rumble: false },
+		0x10: { name: 'MBC3+TIMER+RAM+BATTERY', mapper: 'MBC3', ram: true, battery: true, timer: true, rumble: false },
+		0x11: { name: 'MBC3', mapper: 'MBC3', ram: false, battery: false, timer: false, rumble: false },
+		0x12: { name: 'MBC3+RAM', mapper: 'MBC3', ram: true, battery: false, timer: false, rumble: false },
+		0x13: { name: 'MBC3+RAM+BATTERY', mapper: 'MBC3', ram: true, battery: true, timer: false, rumble: false },
+		0x19: { name: 'MBC5', mapper: 'MBC5', ram: false, battery: false, timer: false, rumble: false },
+		0x1A: { name: 'MBC5+RAM', mapper: 'MBC5', ram: true, battery: false, timer: false, rumble: false },
+		0x1B: { name: 'MBC5+RAM+BATTERY', mapper: 'MBC5', ram: true, battery: true, timer: false, rumble: false },
+		0x1C: { name: 'MBC5+RUMBLE', mapper: 'MBC5', ram: false, battery: false, timer: false, rumble: true },
+		0x1D: { name: 'MBC5+RUMBLE+RAM', mapper: 'MBC5', ram: true, battery: false, timer: false, rumble: true },
+		0x1E: { name: 'MBC5+RUMBLE+RAM+BATTERY', mapper: 'MBC5', ram: true, battery: true, timer: false, rumble: true },
+		0x20: { name: 'MBC6', mapper: 'MBC6', ram: true, battery: true, timer: false, rumble: false },
+		0x22: { name: 'MBC7+SENSOR+RUMBLE+RAM+BATTERY', mapper: 'MBC7', ram: true, battery: true, timer: false, rumble: true },
+		0xFC: { name: 'POCKET CAMERA', mapper: 'CAMERA', ram: true, battery: true, timer: false, rumble: false },
+		0xFD: { name: 'BANDAI TAMA5', mapper: 'TAMA5', ram: true, battery: true, timer: false, rumble: false },
+		0xFE: { name: 'HuC3', mapper: 'HUC3', ram: true, battery: true, timer: true, rumble: false },
+		0xFF: { name: 'HuC1+RAM+BATTERY', mapper: 'HUC1', ram: true, battery: true, timer: false, rumble: false }
+	};
+
+	// The mappers that the MMU knows how to bank
+	this.SUPPORTED_MAPPERS = ['NONE', 'MBC1', 'MBC2', 'MBC3', 'MBC5'];
+
+	// ROM size byte (0x148) maps to number of 16KB ROM banks. Usually the size
+	// is 32KB << value, with a couple of odd sizes
+	this.ROM_BANKS = {
+		0x00: 2, 0x01: 4, 0x02: 8, 0x03: 16, 0x04: 32, 0x05: 64, 0x06: 128,
+		0x07: 256, 0x08: 512, 0x52: 72, 0x53: 80, 0x54: 96
+	};
+
+	// RAM size byte (0x149) maps to size of external RAM in bytes
+	this.RAM_SIZES = {
+		0x00: 0, 0x01: 0x800, 0x02: 0x2000, 0x03: 0x8000, 0x04: 0x20000, 0x05: 0x10000
+	};
+
+	// Licensee codes - old code at 0x14B and new (two ASCII characters) at
+	// 0x144-0x145 which is only used if the old code is 0x33
+	this.NEW_LICENSEES = {
+		'00': 'None', '01': 'Nintendo R&D1', '08': 'Capcom', '13': 'Electronic Arts',
+		'18': 'Hudson Soft', '19': 'b-ai', '20': 'kss', '22': 'pow', '24': 'PCM Complete',
+		'25': 'san-x', '28': 'Kemco Japan', '29': 'seta', '30': 'Viacom', '31': 'Nintendo',
+		'32': 'Bandai', '33': 'Ocean/Acclaim', '34': 'Konami', '35': 'Hector', '37': 'Taito',
+		'38': 'Hudson', '39': 'Banpresto', '41': 'Ubi Soft', '42': 'Atlus', '44': 'Malibu',
+		'46': 'angel', '47': 'Bullet-Proof', '49': 'irem', '50': 'Absolute', '51': 'Acclaim',
+		'52': 'Activision', '53': 'American sammy', '54': 'Konami', '55': 'Hi tech entertainment',
+		'56': 'LJN', '57': 'Matchbox', '58': 'Mattel', '59': 'Milton Bradley', '60': 'Titus',
+		'61': 'Virgin', '64': 'LucasArts', '67': 'Ocean', '69': 'Electronic Arts',
+		'70': 'Infogrames', '71': 'Interplay', '72': 'Broderbund', '73': 'sculptured',
+		'75': 'sci', '78': 'THQ', '79': 'Accolade', '80': 'misawa', '83': 'lozc',
+		'86': 'Tokuma Shoten Intermedia', '87': 'Tsukuda Original', '91': 'Chunsoft',
+		'92': 'Video system', '93': 'Ocean/Acclaim', '95': 'Varie', '96': 'Yonezawa/s\'pal',
+		'97': 'Kaneko', '99': 'Pack in soft', 'A4': 'Konami (Yu-Gi-Oh!)'
+	};
+	this.OLD_LICENSEES = {
+		0x00: 'None', 0x01: 'Nintendo', 0x08: 'Capcom', 0x09: 'Hot-B', 0x0A: 'Jaleco',
+		0x0B: 'Coconuts', 0x0C: 'Elite Systems', 0x13: 'Electronic Arts', 0x18: 'Hudson Soft',
+		0x19: 'ITC Entertainment', 0x1A: 'Yanoman', 0x1D: 'Clary', 0x1F: 'Virgin',
+		0x24: 'PCM Complete', 0x25: 'San-X', 0x28: 'Kotobuki Systems', 0x29: 'Seta',
+		0x30: 'Infogrames', 0x31: 'Nintendo', 0x32: 'Bandai', 0x34: 'Konami', 0x35: 'Hector',
+		0x38: 'Capcom', 0x39: 'Banpresto', 0x3C: 'Entertainment i', 0x3E: 'Gremlin',
+		0x41: 'Ubi Soft', 0x42: 'Atlus', 0x44: 'Malibu', 0x46: 'Angel', 0x47: 'Spectrum Holoby',
+		0x49: 'Irem', 0x4A: 'Virgin', 0x4D: 'Malibu', 0x4F: 'U.S. Gold', 0x50: 'Absolute',
+		0x51: 'Acclaim', 0x52: 'Activision', 0x53: 'American Sammy', 0x54: 'GameTek',
+		0x55: 'Park Place', 0x56: 'LJN', 0x57: 'Matchbox', 0x59: 'Milton Bradley',
+		0x5A: 'Mindscape', 0x5B: 'Romstar', 0x5C: 'Naxat Soft', 0x5D: 'Tradewest',
+		0x60: 'Titus', 0x61: 'Virgin', 0x67: 'Ocean', 0x69: 'Electronic Arts',
+		0x6E: 'Elite Systems', 0x6F: 'Electro Brain', 0x70: 'Infogrames', 0x71: 'Interplay',
+		0x72: 'Broderbund', 0x73: 'Sculptered Soft', 0x75: 'The Sales Curve', 0x78: 'THQ',
+		0x79: 'Accolade', 0x7A: 'Triffix Entertainment', 0x7C: 'Microprose', 0x7F: 'Kemco',
+		0x80: 'Misawa Entertainment', 0x83: 'Lozc', 0x86: 'Tokuma Shoten Intermedia',
+		0x8B: 'Bullet-Proof Software', 0x8C: 'Vic Tokai', 0x8E: 'Ape', 0x8F: 'I\'Max',
+		0x91: 'Chunsoft', 0x92: 'Video System', 0x93: 'Tsubaraya Productions', 0x95: 'Varie',
+		0x96: 'Yonezawa/S\'Pal', 0x97: 'Kaneko', 0x99: 'Arc', 0x9A: 'Nihon Bussan',
+		0x9B: 'Tecmo', 0x9C: 'Imagineer', 0x9D: 'Banpresto', 0x9F: 'Nova', 0xA1: 'Hori Electric',
+		0xA2: 'Bandai', 0xA4: 'Konami', 0xA6: 'Kawada', 0xA7: 'Takara', 0xA9: 'Technos Japan',
+		0xAA: 'Broderbund', 0xAC: 'Toei Animation', 0xAD: 'Toho', 0xAF: 'Namco',
+		0xB0: 'Acclaim', 0xB1: 'ASCII or Nexoft', 0xB2: 'Bandai', 0xB4: 'Square Enix',
+		0xB6: 'HAL Laboratory', 0xB7: 'SNK', 0xB9: 'Pony Canyon', 0xBA: 'Culture Brain',
+		0xBB: 'Sunsoft', 0xBD: 'Sony Imagesoft', 0xBF: 'Sammy', 0xC0: 'Taito', 0xC2: 'Kemco',
+		0xC3: 'Squaresoft', 0xC4: 'Tokuma Shoten Intermedia', 0xC5: 'Data East',
+		0xC6: 'Tonkinhouse', 0xC8: 'Koei', 0xC9: 'UFL', 0xCA: 'Ultra', 0xCB: 'Vap',
+		0xCC: 'Use Corporation', 0xCD: 'Meldac', 0xCE: 'Pony Canyon', 0xCF: 'Angel',
+		0xD0: 'Taito', 0xD1: 'Sofel', 0xD2: 'Quest', 0xD3: 'Sigma Enterprises',
+		0xD4: 'ASK Kodansha', 0xD6: 'Naxat Soft', 0xD7: 'Copya System', 0xD9: 'Banpresto',
+		0xDA: 'Tomy', 0xDB: 'LJN', 0xDD: 'NCS', 0xDE: 'Human', 0xDF: 'Altron',
+		0xE0: 'Jaleco', 0xE1: 'Towa Chiki', 0xE2: 'Yutaka', 0xE3: 'Varie', 0xE5: 'Epoch',
+		0xE7: 'Athena', 0xE8: 'Asmik ACE Entertainment', 0xE9: 'Natsume', 0xEA: 'King Records',
+		0xEB: 'Atlus', 0xEC: 'Epic/Sony Records', 0xEE: 'IGS', 0xF0: 'A Wave',
+		0xF3: 'Extreme Entertainment', 0xFF: 'LJN'
+	};
+
+	this.readString = function(start, end) {
+		// Read ASCII characters from start up to (not including) end, stopping
+		// early at the first 0 byte used as padding
+		var result = '';
+		for (var i = start; i < end; i++) {
+			if (data[i] === 0) break;
+			result += String.fromCharCode(data[i]);
+		}
+		return result.trim();
+	};
+
+	this.calculateHeaderChecksum = function() {
+		// x = 0; for each byte from 0x134 to 0x14C: x = x - byte - 1
+		// Only the lower 8 bits of the result are compared
+		var checksum = 0;
+		for (var i = 0x134; i <= 0x14C; i++) {
+			checksum = (checksum - data[i] - 1) & 0xFF;
+		}
+		return checksum;
+	};
+
+	this.calculateGlobalChecksum = function() {
+		// Sum of every byte in the ROM except the two checksum bytes themselves
+		// Only the lower 16 bits of the result are compared
+		var checksum = 0;
+		for (var i = 0; i < data.length; i++) {
+			if (i === 0x14E || i === 0x14F) continue;
+			checksum = (checksum + data[i]) & 0xFFFF;
+		}
+		return checksum;
+	};
+
+	this.isSupported = function() {
+		return ths.cartridgeType !== null &&
+			ths.SUPPORTED_MAPPERS.indexOf(ths.cartridgeType.mapper) >= 0;
+	};
+
+	this.validate = function() {
+		// Throw an error explaining why we can't run this cartridge instead of
+		// running it silently with the wrong mapper
+		if (ths.cartridgeType === null) {
+			throw new Error('Unknown cartridge type 0x' + ths.cartridgeTypeCode.toString(16) +
+				' for ROM "' + ths.title + '"');
+		}
+		if (!ths.isSupported()) {
+			throw new Error('Unsupported cartridge type ' + ths.cartridgeType.name +
+				' (0x' + ths.cartridgeTypeCode.toString(16) + ') for ROM "' + ths.title + '"');
+		}
+	};
+
+	this.getReport = function() {
+		return {
+			title: ths.title,
+			manufacturerCode: ths.manufacturerCode,
+			cgbFlag: ths.cgbFlag,
+			cgbSupport: ths.cgbSupport,
+			sgbSupport: ths.sgbSupport,
+			licensee: ths.licensee,
+			licenseeCode: ths.licenseeCode,
+			cartridgeTypeCode: ths.cartridgeTypeCode,
+			cartridgeType: ths.cartridgeType !== null ? ths.cartridgeType.name : 'Unknown',
+			mapper: ths.cartridgeType !== null ? ths.cartridgeType.mapper : null,
+			supported: ths.isSupported(),
+			romBanks: ths.romBanks,
+			romSize: ths.romSize,
+			ramSize: ths.ramSize,
+			destination: ths.destination,
+			version: ths.version,
+			headerChecksum: ths.headerChecksum,
+			headerChecksumValid: ths.headerChecksumValid,
+			globalChecksum: ths.globalChecksum,
+			globalChecksumValid: ths.globalChecksumValid
+		};
+	};
+
+	// Decode the header
+	if (!data || data.length < 0x150) {
+		throw new Error('ROM is too small to contain a cartridge header');
+	}
+
+	// CGB Flag
+	// 0x80: Game supports CGB functions, but works on old gameboys also
+	// 0xC0: Game works on CGB only
+	// Newer cartridges use the end of the title area for the manufacturer code and
+	// the CGB flag, older cartridges use the whole area for the title
+	this.cgbFlag = data[0x143];
+	if (this.cgbFlag & 0x80) {
+		this.title = this.readString(0x134, 0x13F);
+		this.manufacturerCode = this.readString(0x13F, 0x143);
+		this.cgbSupport = this.cgbFlag === 0xC0 ? 'CGB only' : 'CGB compatible';
+	} else {
+		this.title = this.readString(0x134, 0x144);
+		this.manufacturerCode = '';
+		this.cgbSupport = 'None';
+	}
+
+	// SGB Flag, 0x03 means the game supports SGB functions. The Super Gameboy
+	// also only listens to games with the old licensee code set to 0x33
+	this.sgbSupport = data[0x146] === 0x03 && data[0x14B] === 0x33;
+
+	if (data[0x14B] === 0x33) {
+		this.licenseeCode = String.fromCharCode(data[0x144], data[0x145]);
+		this.licensee = this.NEW_LICENSEES[this.licenseeCode] || 'Unknown';
+	} else {
+		this.licenseeCode = ('0' + data[0x14B].toString(16).toUpperCase()).slice(-2);
+		this.licensee = this.OLD_LICENSEES[data[0x14B]] || 'Unknown';
+	}
+
+	this.cartridgeTypeCode = data[0x147];
+	this.cartridgeType = this.CARTRIDGE_TYPES[this.cartridgeTypeCode] || null;
+
+	this.romBanks = this.ROM_BANKS[data[0x148]] || 0;
+	this.romSize = this.romBanks * 0x4000;
+	// MBC2 has 512x4 bits of RAM built in, the RAM size byte is always 0
+	this.ramSize = this.RAM_SIZES[data[0x149]] || 0;
+
+	this.destination = data[0x14A] === 0 ? 'Japanese' : 'Non-Japanese';
+	this.version = data[0x14C];
+
+	this.headerChecksum = data[0x14D];
+	this.headerChecksumValid = this.calculateHeaderChecksum() === this.headerChecksum;
+	this.globalChecksum = (data[0x14E] << 8) | data[0x14F];
+	this.globalChecksumValid = this.calculateGlobalChecksum() === this.globalChecksum;
+
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = CartridgeHeader;
+}
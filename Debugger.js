@@ -0,0 +1,191 @@
+function Debugger(gameboy) {
+	// Debugger - pauses the emulator and runs it an instruction (or a bit) at a
+	// time. While attached, runFrame asks shouldBreak before every instruction and
+	// stops the frame early when it says so. Until we're resumed every runFrame
+	// returns straight away so the emulator just holds still
+	//
+	// Running until something happens (the next frame, an address, returning from
+	// a function) is done by setting a condition that is checked before each
+	// instruction, so the screen and sound carry on as normal in the meantime
+
+	var ths = this;
+
+	this.gameboy = gameboy;
+
+	// Opcodes for CALL (and RST, which is a one byte CALL) that step over runs
+	// through, along with their length so we know where they return to
+	this.CALL_OPCODES = {
+		0xC4: 3, 0xCC: 3, 0xCD: 3, 0xD4: 3, 0xDC: 3,
+		0xC7: 1, 0xCF: 1, 0xD7: 1, 0xDF: 1, 0xE7: 1, 0xEF: 1, 0xF7: 1, 0xFF: 1
+	};
+
+	// RET, RET cc and RETI
+	this.RETURN_OPCODES = [0xC0, 0xC8, 0xC9, 0xD0, 0xD8, 0xD9];
+
+	// Set onPause to a function to be told when we stop, it is passed a short
+	// description of why
+	this.onPause = null;
+
+	// Breakpoints firing pause us too
+	gameboy.breakpoints.onBreak = function(hit) {
+		ths.pause(hit.description);
+	};
+
+	this.reset = function() {
+		ths.paused = false;
+		ths.pauseReason = '';
+
+		// Checked before each instruction while running, returns true to stop
+		ths.condition = null;
+		ths.conditionReason = '';
+
+		// Instructions run since we were last resumed, so a condition that is
+		// already true where we start from doesn't stop us straight away
+		ths.instructions = 0;
+	};
+
+	this.shouldBreak = function() {
+		if (ths.paused) return true;
+
+		if (ths.condition !== null && ths.condition()) {
+			ths.pause(ths.conditionReason);
+			return true;
+		}
+
+		ths.instructions++;
+		return false;
+	};
+
+	this.pause = function(reason) {
+		ths.paused = true;
+		ths.pauseReason = reason || 'Paused';
+		ths.condition = null;
+
+		if (ths.onPause) {
+			ths.onPause(ths.pauseReason);
+		}
+	};
+
+	this.resume = function() {
+		ths.runUntil(null, '');
+	};
+
+	this.runUntil = function(condition, reason) {
+		ths.paused = false;
+		ths.condition = condition;
+		ths.conditionReason = reason;
+		ths.instructions = 0;
+	};
+
+	this.getOpcode = function() {
+		return ths.gameboy.breakpoints.peek(ths.gameboy.registers.PC);
+	};
+
+	this.stepInstruction = function() {
+		// Run exactly one instruction (or one halted cycle) right now, and say if
+		// it set off a watchpoint
+		ths.condition = null;
+		ths.paused = true;
+		ths.gameboy.step();
+		var hit = ths.gameboy.breakpoints.takeHit();
+		ths.pause(hit !== null ? hit.description : 'Stepped');
+	};
+
+	this.stepOver = function() {
+		// Calls are run all the way through until they return to the next
+		// instruction, with the stack back where it is now (so recursion doesn't
+		// fool us). Anything else is a single step
+		var registers = ths.gameboy.registers;
+		var length = ths.gameboy.halted ? undefined : ths.CALL_OPCODES[ths.getOpcode()];
+		if (length === undefined) {
+			ths.stepInstruction();
+			return;
+		}
+
+		var returnAddress = (registers.PC + length) & 0xFFFF;
+		var stackPointer = registers.SP;
+		ths.runUntil(function() {
+			return registers.PC === returnAddress && registers.SP >= stackPointer;
+		}, 'Stepped over');
+	};
+
+	this.stepOut = function() {
+		// Run until a return takes the stack above where it is now, which is the
+		// current function returning to whatever called it
+		var registers = ths.gameboy.registers;
+		var stackPointer = registers.SP;
+		var returning = false;
+		ths.runUntil(function() {
+			if (returning && registers.SP > stackPointer) return true;
+			returning = !ths.gameboy.halted && ths.RETURN_OPCODES.indexOf(ths.getOpcode()) >= 0;
+			return false;
+		}, 'Stepped out');
+	};
+
+	this.runToAddress = function(address) {
+		var registers = ths.gameboy.registers;
+		ths.runUntil(function() {
+			return ths.instructions > 0 && registers.PC === address;
+		}, 'Reached 0x' + toHex(address, 4));
+	};
+
+	this.runToNextFrame = function() {
+		// A frame is finished when the LCD reaches V-Blank. With the LCD off there
+		// are no V-Blanks, so we stop after a frame's worth of dots
+		var gameboy = ths.gameboy;
+		var ppu = gameboy.ppu;
+		var frameCount = ppu.frameCount;
+		var frameEnd = gameboy.cycleCount + ppu.DOTS_PER_LINE * ppu.LINES_PER_FRAME;
+		ths.runUntil(function() {
+			return ppu.frameCount !== frameCount || gameboy.cycleCount >= frameEnd;
+		}, 'Next frame');
+	};
+
+	this.getState = function() {
+		// Everything the debugger panel shows, read without side effects
+		var gameboy = ths.gameboy;
+		var mmu = gameboy.mmu;
+		var registers = gameboy.registers;
+		var flags = registers.F;
+
+		return {
+			registers: {
+				A: registers.A, F: registers.F,
+				B: registers.B, C: registers.C,
+				D: registers.D, E: registers.E,
+				H: registers.H, L: registers.L,
+				SP: registers.SP, PC: registers.PC
+			},
+			flags: {
+				Z: (flags >> gameboy.ZERO_BIT) & 1,
+				N: (flags >> gameboy.SUBTRACT_BIT) & 1,
+				H: (flags >> gameboy.HALF_CARRY_BIT) & 1,
+				C: (flags >> gameboy.CARRY_BIT) & 1
+			},
+			interruptsEnabled: gameboy.interruptsEnabled,
+			halted: gameboy.halted,
+			cpuStopped: gameboy.cpuStopped,
+			interruptFlags: mmu.memory[gameboy.INTERRUPT_REQUEST_ADDR],
+			interruptEnable: mmu.memory[gameboy.INTERRUPT_ENABLED_ADDR],
+			romBank: mmu.currentRomBank % mmu.romBankCount,
+			ramBank: mmu.currentRamBank,
+			ramEnabled: mmu.enableRam,
+			rtcRegister: mmu.rtcRegister,
+			vramBank: mmu.currentVramBank,
+			wramBank: mmu.currentWramBank,
+			cgbMode: gameboy.cgbMode,
+			scanline: mmu.memory[gameboy.CURRENT_SCANLINE_ADDR],
+			dot: gameboy.ppu.dot,
+			lcdMode: gameboy.ppu.mode,
+			paused: ths.paused,
+			pauseReason: ths.pauseReason
+		};
+	};
+
+	this.reset();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	var toHex = require('./Hex.js');
+	module.exports = Debugger;
+}
@@ -0,0 +1,231 @@
+function Disassembler(read) {
+	// Disassembler for the gameboy's CPU (the SM83), giving rgbds syntax so the
+	// output can be assembled again. read is a function that returns the byte at
+	// an address, so the same disassembler works on the running gameboy's memory
+	// or straight off a ROM
+	//
+	// Opcodes are decoded by splitting them in to bit fields rather than a table
+	// of all 256 (see executeOperation in Gameboy.js for what each one does)
+	// Bit 7-6 x, Bit 5-3 y (Bit 5-4 p, Bit 3 q), Bit 2-0 z
+	// I/O registers (0xFF00-0xFF7F and 0xFFFF) are given their hardware.inc names
+
+	var ths = this;
+
+	this.read = read;
+
+	this.PREFIX_OPCODE = 0xCB;
+
+	this.REGISTERS = ['b', 'c', 'd', 'e', 'h', 'l', '[hl]', 'a'];
+	this.REGISTER_PAIRS = ['bc', 'de', 'hl', 'sp'];
+	this.STACK_REGISTER_PAIRS = ['bc', 'de', 'hl', 'af'];
+	this.CONDITIONS = ['nz', 'z', 'nc', 'c'];
+	this.ALU_OPERATIONS = ['add a,', 'adc a,', 'sub', 'sbc a,', 'and', 'xor', 'or', 'cp'];
+	this.ACCUMULATOR_OPERATIONS = ['rlca', 'rrca', 'rla', 'rra', 'daa', 'cpl', 'scf', 'ccf'];
+	this.ROTATE_OPERATIONS = ['rlc', 'rrc', 'rl', 'rr', 'sla', 'sra', 'swap', 'srl'];
+	this.BIT_OPERATIONS = ['bit', 'res', 'set'];
+
+	// Names hardware.inc gives the I/O registers
+	this.IO_REGISTERS = {
+		0xFF00: 'rP1', 0xFF01: 'rSB', 0xFF02: 'rSC', 0xFF04: 'rDIV', 0xFF05: 'rTIMA',
+		0xFF06: 'rTMA', 0xFF07: 'rTAC', 0xFF0F: 'rIF',
+		0xFF10: 'rNR10', 0xFF11: 'rNR11', 0xFF12: 'rNR12', 0xFF13: 'rNR13', 0xFF14: 'rNR14',
+		0xFF16: 'rNR21', 0xFF17: 'rNR22', 0xFF18: 'rNR23', 0xFF19: 'rNR24',
+		0xFF1A: 'rNR30', 0xFF1B: 'rNR31', 0xFF1C: 'rNR32', 0xFF1D: 'rNR33', 0xFF1E: 'rNR34',
+		0xFF20: 'rNR41', 0xFF21: 'rNR42', 0xFF22: 'rNR43', 0xFF23: 'rNR44',
+		0xFF24: 'rNR50', 0xFF25: 'rNR51', 0xFF26: 'rNR52',
+		0xFF40: 'rLCDC', 0xFF41: 'rSTAT', 0xFF42: 'rSCY', 0xFF43: 'rSCX', 0xFF44: 'rLY',
+		0xFF45: 'rLYC', 0xFF46: 'rDMA', 0xFF47: 'rBGP', 0xFF48: 'rOBP0', 0xFF49: 'rOBP1',
+		0xFF4A: 'rWY', 0xFF4B: 'rWX', 0xFF4D: 'rKEY1', 0xFF4F: 'rVBK',
+		0xFF51: 'rHDMA1', 0xFF52: 'rHDMA2', 0xFF53: 'rHDMA3', 0xFF54: 'rHDMA4', 0xFF55: 'rHDMA5',
+		0xFF56: 'rRP', 0xFF68: 'rBCPS', 0xFF69: 'rBCPD', 0xFF6A: 'rOCPS', 0xFF6B: 'rOCPD',
+		0xFF70: 'rSVBK', 0xFF76: 'rPCM12', 0xFF77: 'rPCM34', 0xFFFF: 'rIE'
+	};
+
+	this.disassemble = function(address) {
+		// Decode the instruction at address. Returns its address, length, bytes and
+		// text, along with where it jumps/calls to (target) if it does
+		var instruction = {
+			address: address,
+			length: 1,
+			bytes: [],
+			text: '',
+			target: null
+		};
+
+		// Operands are read as they're decoded, which is how we find the length
+		var operands = {
+			d8: function() {
+				var value = ths.read((address + instruction.bytes.length) & 0xFFFF);
+				instruction.bytes.push(value);
+				return value;
+			},
+			d16: function() {
+				var lo = operands.d8();
+				return (operands.d8() << 8) | lo;
+			},
+			e8: function() {
+				// Signed offset
+				var value = operands.d8();
+				return value > 127 ? value - 256 : value;
+			},
+			relative: function() {
+				var offset = operands.e8();
+				instruction.target = (address + 2 + offset) & 0xFFFF;
+				return '$' + toHex(instruction.target, 4);
+			},
+			absolute: function() {
+				instruction.target = operands.d16();
+				return '$' + toHex(instruction.target, 4);
+			}
+		};
+
+		var opcode = operands.d8();
+		instruction.text = opcode === ths.PREFIX_OPCODE ?
+			ths.decodePrefix(operands.d8()) :
+			ths.decode(opcode, operands);
+		instruction.length = instruction.bytes.length;
+		return instruction;
+	};
+
+	this.decode = function(opcode, operands) {
+		var x = opcode >> 6;
+		var y = (opcode >> 3) & 7;
+		var z = opcode & 7;
+		var p = y >> 1;
+		var q = y & 1;
+
+		var r = ths.REGISTERS;
+		var rp = ths.REGISTER_PAIRS;
+		var cc = ths.CONDITIONS;
+
+		switch (x) {
+			case 0:
+				switch (z) {
+					case 0:
+						if (y === 0) return 'nop';
+						if (y === 1) return 'ld [$' + toHex(operands.d16(), 4) + '], sp';
+						if (y === 2) {
+							// STOP is followed by a byte that's skipped over
+							operands.d8();
+							return 'stop';
+						}
+						if (y === 3) return 'jr ' + operands.relative();
+						return 'jr ' + cc[y - 4] + ', ' + operands.relative();
+					case 1:
+						if (q === 0) return 'ld ' + rp[p] + ', $' + toHex(operands.d16(), 4);
+						return 'add hl, ' + rp[p];
+					case 2:
+						var pointer = ['[bc]', '[de]', '[hl+]', '[hl-]'][p];
+						return q === 0 ? 'ld ' + pointer + ', a' : 'ld a, ' + pointer;
+					case 3:
+						return (q === 0 ? 'inc ' : 'dec ') + rp[p];
+					case 4:
+						return 'inc ' + r[y];
+					case 5:
+						return 'dec ' + r[y];
+					case 6:
+						return 'ld ' + r[y] + ', $' + toHex(operands.d8(), 2);
+					case 7:
+						return ths.ACCUMULATOR_OPERATIONS[y];
+				}
+				break;
+			case 1:
+				if (y === 6 && z === 6) return 'halt';
+				return 'ld ' + r[y] + ', ' + r[z];
+			case 2:
+				return ths.ALU_OPERATIONS[y] + ' ' + r[z];
+			case 3:
+				switch (z) {
+					case 0:
+						if (y < 4) return 'ret ' + cc[y];
+						// LDH is followed by the low byte of an address in 0xFF00-0xFFFF
+						if (y === 4) return 'ldh [' + ths.addressName(0xFF00 | operands.d8()) + '], a';
+						if (y === 5) return 'add sp, ' + ths.signedHex(operands.e8());
+						if (y === 6) return 'ldh a, [' + ths.addressName(0xFF00 | operands.d8()) + ']';
+						var offset = operands.e8();
+						return 'ld hl, sp ' + (offset < 0 ? '- ' : '+ ') + '$' + toHex(Math.abs(offset), 2);
+					case 1:
+						if (q === 0) return 'pop ' + ths.STACK_REGISTER_PAIRS[p];
+						return ['ret', 'reti', 'jp hl', 'ld sp, hl'][p];
+					case 2:
+						if (y < 4) return 'jp ' + cc[y] + ', ' + operands.absolute();
+						if (y === 4) return 'ldh [c], a';
+						if (y === 5) return 'ld [' + ths.addressName(operands.d16()) + '], a';
+						if (y === 6) return 'ldh a, [c]';
+						return 'ld a, [' + ths.addressName(operands.d16()) + ']';
+					case 3:
+						if (y === 0) return 'jp ' + operands.absolute();
+						if (y === 6) return 'di';
+						if (y === 7) return 'ei';
+						break;
+					case 4:
+						if (y < 4) return 'call ' + cc[y] + ', ' + operands.absolute();
+						break;
+					case 5:
+						if (q === 0) return 'push ' + ths.STACK_REGISTER_PAIRS[p];
+						if (p === 0) return 'call ' + operands.absolute();
+						break;
+					case 6:
+						return ths.ALU_OPERATIONS[y] + ' $' + toHex(operands.d8(), 2);
+					case 7:
+						return 'rst $' + toHex(y * 8, 2);
+				}
+				break;
+		}
+
+		// Opcodes that don't exist (0xD3, 0xDB, 0xDD, 0xE3, 0xE4, 0xEB, 0xEC, 0xED,
+		// 0xF4, 0xFC and 0xFD) lock up the CPU, so show them as data
+		return 'db $' + toHex(opcode, 2);
+	};
+
+	this.decodePrefix = function(opcode) {
+		// CB prefixed opcodes, rotates and shifts then bit tests/resets/sets
+		var x = opcode >> 6;
+		var y = (opcode >> 3) & 7;
+		var z = opcode & 7;
+
+		if (x === 0) {
+			return ths.ROTATE_OPERATIONS[y] + ' ' + ths.REGISTERS[z];
+		}
+		return ths.BIT_OPERATIONS[x - 1] + ' ' + y + ', ' + ths.REGISTERS[z];
+	};
+
+	this.addressName = function(address) {
+		return ths.IO_REGISTERS[address] || '$' + toHex(address, 4);
+	};
+
+	this.signedHex = function(value) {
+		return (value < 0 ? '-' : '') + '$' + toHex(Math.abs(value), 2);
+	};
+
+	this.disassembleAround = function(address, before, after) {
+		// Instructions around address, for a view that keeps it in the middle.
+		// Decoding backwards is guesswork as instructions are different lengths, so
+		// we start as far back as we can that still lines up with address
+		var lines = [];
+		for (var start = Math.max(0, address - before * 3); start <= address; start++) {
+			lines = [];
+			var current = start;
+			while (current < address) {
+				var instruction = ths.disassemble(current);
+				lines.push(instruction);
+				current += instruction.length;
+			}
+			if (current === address) break;
+		}
+
+		lines = lines.slice(Math.max(0, lines.length - before));
+		var current = address;
+		for (var i = 0; i <= after && current <= 0xFFFF; i++) {
+			var instruction = ths.disassemble(current);
+			lines.push(instruction);
+			current += instruction.length;
+		}
+		return lines;
+	};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	var toHex = require('./Hex.js');
+	module.exports = Disassembler;
+}
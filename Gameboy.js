@@ -15,7 +15,40 @@ function Gameboy() {
 	this.VISIBLE_WIDTH = 160;
 	this.VISIBLE_HEIGHT = 144;
 
-	this.screenData = [];
+	// Gameboy refreshes screen 60 times a seconds, 60 (frames per second) fps
+	// Gameboy emulates 4194304 clock cycles a seconds
+	// Each frame executes 69905 (4194304/60) clock cycles a frame
+	this.CLOCK_SPEED = 4194304;
+	this.CYCLES_PER_FRAME = 69905;
+
+	// The screen as RGBA bytes, 4 to a pixel and a row at a time from the top
+	// left, so it can be put straight into an ImageData. The PPU draws into it
+	this.frameBuffer = new Uint8ClampedArray(this.VISIBLE_WIDTH * this.VISIBLE_HEIGHT * 4);
+
+	// The screen as screenData[x][y][red, green, blue], how it was kept before
+	// frameBuffer (see ScreenData.js)
+	this.screenDataCache = new ScreenData(this.frameBuffer, this.VISIBLE_WIDTH, this.VISIBLE_HEIGHT);
+	Object.defineProperty(this, 'screenData', {
+		get: this.screenDataCache.get
+	});
+
+	// Shades of the original gameboy's screen, lightest first
+	this.DMG_COLOURS = [
+		[0xFF, 0xFF, 0xFF],
+		[0xCC, 0xCC, 0xCC],
+		[0x77, 0x77, 0x77],
+		[0x00, 0x00, 0x00]
+	];
+
+	// Game Boy Color mode, on when the cartridge header (0x143) says the game
+	// supports the CGB. Otherwise we are an original (DMG) gameboy
+	this.cgbMode = false;
+
+	// Super Gameboy mode, on when the cartridge header (0x146) says the game
+	// supports the SGB (and it isn't a CGB game) or the SGB model is chosen.
+	// Set enableSgb to false to run these games as plain DMG games instead
+	this.sgbMode = false;
+	this.enableSgb = true;
 
 	// Flag for if STOP occurred - halt CPU and LCD display
 	this.cpuStopped = false;
@@ -56,6 +89,7 @@ function Gameboy() {
 	// Bit 0: V-Blank Interupt
 	// Bit 1: LCD Interupt
 	// Bit 2: Timer Interupt
+	// Bit 3: Serial Interupt
 	// Bit 4: Joypad Interupt
 	//
 	// Interrupt Register Address Constants
@@ -69,10 +103,6 @@ function Gameboy() {
 	// User by instruction EI to determine if interrupts will be enabled
 	this.toEnableInterrupts = -1;
 
-	// counter to know when a scanline has finished drawing and it is time to move
-	// onto the next scanline. It takes 456 clock cycles to draw a scanline
-	this.scanlineCounter = 456;
-
 	// Scanline Constants
 	this.CURRENT_SCANLINE_ADDR = 0xFF44;
 	this.LCD_STATUS_ADDR = 0xFF41;
@@ -93,6 +123,45 @@ function Gameboy() {
 	// Memory Management Unit
 	this.mmu = new MMU();
 
+	// Audio Processing Unit, the MMU passes reads/writes of the sound registers to it
+	this.apu = new APU();
+	this.mmu.apu = this.apu;
+
+	// Serial port (link cable), the MMU passes reads/writes of SB/SC to it
+	this.serial = new Serial();
+	this.mmu.serial = this.serial;
+	this.serial.onInterrupt = function() {
+		ths.requestInterrupt(3);
+	};
+
+	// Pixel Processing Unit, draws the screen a dot at a time (see PPU.js)
+	this.ppu = new PPU(this);
+
+	// Super Gameboy, the MMU passes writes to the joypad register (0xFF00) to it
+	// as that is how games send it commands
+	this.sgb = new SuperGameboy(this.mmu);
+	this.mmu.sgb = this.sgb;
+
+	// Debugger (see Debugger.js), when one is attached it is asked before every
+	// instruction in runFrame whether to stop
+	this.debugger = null;
+
+	// Breakpoints and watchpoints, the MMU tells them about reads and writes
+	this.breakpoints = new Breakpoints(this);
+	this.mmu.breakpoints = this.breakpoints;
+
+	// Execution trace (see Trace.js), when set it is given a line for every
+	// instruction before it runs
+	this.trace = null;
+
+	// Set onMagicBreakpoint to a function to be told whenever LD B, B (0x40) runs,
+	// which test ROMs such as Mooneye's run when they've finished
+	this.onMagicBreakpoint = null;
+
+	this.mmu.onBootRomUnmapped = function() {
+		ths.finishBootRom();
+	};
+
 	this.registers = {
 		// 8-bit Registers (Can be 0 - 255)
 		A: 0,
@@ -111,7 +180,23 @@ function Gameboy() {
 
 	this.initialize = function() {
 
+		// Reset all CPU state so that a new ROM can be loaded into the same
+		// instance and start from a clean slate
 		ths.halted = false;
+		ths.cpuStopped = false;
+		ths.interruptsEnabled = true;
+		ths.instructionAddress = 0;
+		ths.toDisableInterrupts = -1;
+		ths.toEnableInterrupts = -1;
+		ths.cgbMode = false;
+		ths.sgbMode = false;
+
+		// Reset timers and the LCD
+		ths.timerCounter = 1024;
+		ths.dividerCounter = 0;
+
+		// Cycles (at normal speed) run since we were initialized
+		ths.cycleCount = 0;
 
 		// Set init values of PC and SP to these specified values from GB Docs
 		ths.registers.PC = 0x100;
@@ -131,41 +216,414 @@ function Gameboy() {
 		ths.registers.H = 0x01;
 		ths.registers.L = 0x4D;
 
-		// Initialize Graphics
-		for (var i = 0; i < ths.VISIBLE_WIDTH; i++) {
-			ths.screenData[i] = new Array();
-			for (var j = 0; j < ths.VISIBLE_HEIGHT; j++) {
-				ths.screenData[i][j] = new Array(3);
-				ths.screenData[i][j][0] = 0;
-				ths.screenData[i][j][1] = 0;
-				ths.screenData[i][j][2] = 0;
-			}
+		// Initialize Graphics, every pixel black (and not see through)
+		for (var i = 0; i < ths.frameBuffer.length; i += 4) {
+			ths.frameBuffer[i] = 0;
+			ths.frameBuffer[i + 1] = 0;
+			ths.frameBuffer[i + 2] = 0;
+			ths.frameBuffer[i + 3] = 0xFF;
 		}
+		ths.screenDataCache.changed = true;
 
 		// Initialize memory
 		ths.mmu.initialize();
+
+		ths.ppu.initialize();
+
+		// Initialize sound
+		ths.apu.initialize();
+
+		// Initialize serial port, whatever is linked stays linked
+		ths.serial.initialize();
+
+		ths.sgb.initialize();
+
+		// Breakpoints are kept for the next game, just not what they last hit
+		ths.breakpoints.reset();
+	};
+
+	// Decoded header of the currently loaded cartridge
+	this.cartridgeHeader = null;
+
+	this.hasBattery = function() {
+		// Battery backed cartridges keep their RAM (and clock) when switched off
+		return ths.cartridgeHeader !== null && ths.cartridgeHeader.cartridgeType.battery;
+	};
+
+	this.getSaveRamSize = function() {
+		// MBC2 has 512 bytes (well, 512x4 bits) of RAM built in which isn't in the header
+		if (ths.mmu.mbc2) return 0x200;
+		return ths.cartridgeHeader.ramSize;
+	};
+
+	this.getSaveData = function() {
+		// Raw cartridge RAM, the standard .sav format. Cartridges with a clock have
+		// the clock state appended to the end
+		var ram = ths.mmu.getRamData(ths.getSaveRamSize());
+		if (!ths.cartridgeHeader.cartridgeType.timer) {
+			return ram;
+		}
+
+		var rtc = ths.mmu.rtc.getSaveData();
+		var data = new Uint8Array(ram.length + rtc.length);
+		data.set(ram, 0);
+		data.set(rtc, ram.length);
+		return data;
+	};
+
+	this.loadSaveData = function(data) {
+		var ramSize = ths.getSaveRamSize();
+		ths.mmu.setRamData(data.subarray(0, ramSize));
+		if (ths.cartridgeHeader.cartridgeType.timer && data.length > ramSize) {
+			ths.mmu.rtc.setSaveData(data.subarray(ramSize));
+		}
 	};
 
 	this.loadProgram = function(data) {
+		// Decode the cartridge header first so that cartridges we can't run are
+		// refused with an error rather than being run with the wrong mapper
+		var header = new CartridgeHeader(data);
+		header.validate();
+
+		ths.cartridgeHeader = header;
 		ths.mmu.setCartridgeData(data);
+		ths.mmu.determineRomBankingType();
+
+		ths.hardwareModel = ths.chooseHardwareModel(header);
+		if (ths.hardwareModel === 'CGB' && ths.isCgbCartridge()) {
+			ths.setCgbMode();
+		} else if (ths.hardwareModel === 'SGB') {
+			ths.setSgbMode();
+		}
+
+		if (ths.bootRom !== null) {
+			ths.startBootRom();
+		} else {
+			ths.skipBootRom();
+		}
+	};
+
+	// Hardware to emulate, one of the MODELS below. Leave as null to pick one
+	// that suits the cartridge (or boot ROM)
+	this.model = null;
+	// The model actually being emulated for the loaded cartridge
+	this.hardwareModel = 'DMG';
+
+	// Register values each model's boot ROM leaves behind, which is what the CPU
+	// starts with when we skip the boot ROM
+	// DMG0 - The very first DMG
+	// DMG  - The original gameboy
+	// MGB  - Gameboy Pocket
+	// SGB  - Super Gameboy
+	// CGB  - Gameboy Color, with a CGB game
+	// CGB_DMG - Gameboy Color, with an original gameboy game
+	this.MODELS = ['DMG0', 'DMG', 'MGB', 'SGB', 'CGB'];
+	this.MODEL_REGISTERS = {
+		DMG0: { A: 0x01, F: 0x00, B: 0xFF, C: 0x13, D: 0x00, E: 0xC1, H: 0x84, L: 0x03, DIV: 0x18 },
+		DMG: { A: 0x01, F: 0xB0, B: 0x00, C: 0x13, D: 0x00, E: 0xD8, H: 0x01, L: 0x4D, DIV: 0xAB },
+		MGB: { A: 0xFF, F: 0xB0, B: 0x00, C: 0x13, D: 0x00, E: 0xD8, H: 0x01, L: 0x4D, DIV: 0xAB },
+		SGB: { A: 0x01, F: 0x00, B: 0x00, C: 0x14, D: 0x00, E: 0x00, H: 0xC0, L: 0x60, DIV: 0x00 },
+		CGB: { A: 0x11, F: 0x80, B: 0x00, C: 0x00, D: 0xFF, E: 0x56, H: 0x00, L: 0x0D, DIV: 0x00 },
+		CGB_DMG: { A: 0x11, F: 0x80, B: 0x00, C: 0x00, D: 0x00, E: 0x08, H: 0x00, L: 0x7C, DIV: 0x00 }
+	};
+
+	// Boot ROM image to run before the cartridge, or null to skip straight to the
+	// cartridge. 256 bytes for DMG/MGB/SGB boot ROMs, 2304 bytes for the CGB one
+	this.bootRom = null;
+
+	this.setBootRom = function(data) {
+		if (data !== null && data.length !== 0x100 && data.length !== 0x900) {
+			throw new Error('Boot ROM should be 256 bytes (DMG) or 2304 bytes (CGB), not ' + data.length);
+		}
+		ths.bootRom = data;
+	};
+
+	this.isCgbCartridge = function() {
+		// Bit 7 of 0x143 is set for games that support (or need) the CGB
+		return (ths.cartridgeHeader.cgbFlag & parseInt("10000000", 2)) !== 0;
+	};
+
+	this.chooseHardwareModel = function(header) {
+		if (ths.model !== null) {
+			if (ths.MODELS.indexOf(ths.model) < 0) {
+				throw new Error('Unknown hardware model ' + ths.model);
+			}
+			return ths.model;
+		}
+
+		// A boot ROM can only run on the hardware it came from
+		if (ths.bootRom !== null) {
+			if (ths.bootRom.length === 0x900) return 'CGB';
+			return header.sgbSupport && ths.enableSgb ? 'SGB' : 'DMG';
+		}
+
+		if (ths.isCgbCartridge()) return 'CGB';
+		if (header.sgbSupport && ths.enableSgb) return 'SGB';
+		return 'DMG';
+	};
+
+	this.skipBootRom = function() {
+		// Start at the cartridge's entry point as if the boot ROM had just run
+		var model = ths.hardwareModel;
+		if (model === 'CGB' && !ths.cgbMode) {
+			model = 'CGB_DMG';
+		}
+
+		var values = ths.MODEL_REGISTERS[model];
+		ths.registers.A = values.A;
+		ths.registers.F = values.F;
+		ths.registers.B = values.B;
+		ths.registers.C = values.C;
+		ths.registers.D = values.D;
+		ths.registers.E = values.E;
+		ths.registers.H = values.H;
+		ths.registers.L = values.L;
+		ths.registers.PC = 0x100;
+		ths.registers.SP = 0xFFFE;
+		ths.mmu.memory[ths.DIVIDER_REGISTER_ADDR] = values.DIV;
+
+		// The DMG boot ROM only leaves the half carry and carry flags set if the
+		// header checksum isn't 0
+		if ((model === 'DMG' || model === 'MGB') && ths.cartridgeHeader.headerChecksum === 0) {
+			ths.registers.F = 0x80;
+		}
+	};
+
+	this.startBootRom = function() {
+		// Everything starts from 0 and the boot ROM sets it all up
+		ths.registers.A = 0;
+		ths.registers.F = 0;
+		ths.registers.B = 0;
+		ths.registers.C = 0;
+		ths.registers.D = 0;
+		ths.registers.E = 0;
+		ths.registers.H = 0;
+		ths.registers.L = 0;
+		ths.registers.PC = 0;
+		ths.registers.SP = 0;
+
+		// The LCD and palettes are off until the boot ROM turns them on
+		ths.mmu.memory[ths.LCD_CONTROL_ADDR] = 0;
+		ths.mmu.memory[0xFF47] = 0;
+		ths.mmu.memory[ths.DIVIDER_REGISTER_ADDR] = 0;
+
+		// The CGB boot ROM runs in CGB mode whatever the cartridge is, it picks
+		// the colours for original gameboy games before it hands over
+		if (ths.hardwareModel === 'CGB') {
+			ths.cgbMode = true;
+			ths.mmu.cgbMode = true;
+		}
+
+		ths.mmu.mapBootRom(ths.bootRom);
+	};
+
+	this.finishBootRom = function() {
+		// The boot ROM has unmapped itself (written to 0xFF50). Original gameboy
+		// games carry on in DMG mode on the CGB
+		if (ths.cgbMode && !ths.isCgbCartridge()) {
+			ths.cgbMode = false;
+			ths.mmu.cgbMode = false;
+		}
+	};
+
+	this.setSgbMode = function() {
+		ths.sgbMode = true;
+		ths.sgb.enabled = true;
+	};
+
+	this.setCgbMode = function() {
+		ths.cgbMode = true;
+		ths.mmu.cgbMode = true;
+	};
+
+	// Version of the save state format written by saveState (see SaveState.js)
+	// 2 - Added video and work RAM banks and colour palettes for CGB mode
+	// 3 - Added CGB double speed and VRAM DMA
+	// 4 - Added whether the boot ROM is mapped
+	// 5 - Added the PPU, which draws a dot at a time
+	// 6 - The clock is saved exactly as it is rather than as .sav data, which
+	//     catches up on the time since it was saved when loaded
+	this.SAVE_STATE_VERSION = 6;
+
+	this.saveState = function() {
+		// Snapshot the whole machine into bytes that loadState can restore
+		var writer = new SaveStateWriter();
+		writer.writeString('GBJS');
+		writer.writeWord(ths.SAVE_STATE_VERSION);
+
+		// Remember which ROM this is so we don't load it into a different game
+		writer.writeByte(ths.cartridgeHeader.headerChecksum);
+		writer.writeWord(ths.cartridgeHeader.globalChecksum);
+
+		writer.writeSection('CPU ', ths.writeCpuState);
+		writer.writeSection('MMU ', ths.mmu.writeState);
+		writer.writeSection('PPU ', ths.ppu.writeState);
+		writer.writeSection('RTC ', ths.mmu.rtc.writeState);
+		writer.writeSection('APU ', ths.apu.writeState);
+		writer.writeSection('SER ', ths.serial.writeState);
+		if (ths.sgbMode) {
+			writer.writeSection('SGB ', ths.sgb.writeState);
+		}
+
+		return writer.toBytes();
+	};
+
+	this.loadState = function(data) {
+		// Check everything about the state before we touch the machine so that a
+		// bad state leaves the running game alone. The sections are only checked as
+		// they're read into the machine, so we save what we have first and put it
+		// back if one of them turns out to be bad
+		var state = ths.parseState(data);
+		var backup = ths.parseState(ths.saveState());
+
+		try {
+			ths.readState(state.sections, state.version);
+		} catch (e) {
+			ths.readState(backup.sections, backup.version);
+			throw e;
+		}
+	};
+
+	this.parseState = function(data) {
+		// Check the header and split a save state into its sections
+		var reader = new SaveStateReader(data);
+		if (reader.readString(4) !== 'GBJS') {
+			throw new Error('Not a save state');
+		}
+
+		var version = reader.readWord();
+		if (version > ths.SAVE_STATE_VERSION) {
+			throw new Error('Save state version ' + version + ' is newer than this emulator supports');
+		}
+
+		var headerChecksum = reader.readByte();
+		var globalChecksum = reader.readWord();
+		if (ths.cartridgeHeader === null ||
+			headerChecksum !== ths.cartridgeHeader.headerChecksum ||
+			globalChecksum !== ths.cartridgeHeader.globalChecksum) {
+			throw new Error('Save state was made for a different ROM');
+		}
+
+		var sections = reader.readSections();
+		if (!sections['CPU '] || !sections['MMU ']) {
+			throw new Error('Save state is missing CPU or memory state');
+		}
+
+		return { version: version, sections: sections };
+	};
+
+	this.readState = function(sections, version) {
+		// Each section has to be read to the end, bytes left over (or too few)
+		// mean it isn't laid out the way we're reading it
+		var readSection = function(name, read) {
+			var reader = sections[name];
+			var result = read(reader);
+			reader.checkFinished(name);
+			return result;
+		};
+
+		var lineCyclesLeft = readSection('CPU ', ths.readCpuState);
+		readSection('MMU ', function(reader) {
+			ths.mmu.readState(reader, version);
+		});
+		if (sections['PPU ']) {
+			readSection('PPU ', ths.ppu.readState);
+		} else {
+			ths.ppu.resume(ths.ppu.DOTS_PER_LINE - lineCyclesLeft);
+		}
+		if (ths.mmu.bootRomMapped) {
+			// Back in the middle of the boot ROM, which runs in CGB mode on the CGB
+			if (ths.hardwareModel === 'CGB') {
+				ths.setCgbMode();
+			}
+		} else {
+			ths.finishBootRom();
+		}
+		if (sections['RTC ']) {
+			readSection('RTC ', function(reader) {
+				if (version >= 6) {
+					ths.mmu.rtc.readState(reader);
+				} else {
+					ths.mmu.rtc.setSaveData(reader.readBytes(reader.data.length));
+				}
+			});
+		}
+		if (sections['APU ']) {
+			readSection('APU ', ths.apu.readState);
+		}
+		if (sections['SER ']) {
+			readSection('SER ', ths.serial.readState);
+		}
+		if (sections['SGB ']) {
+			readSection('SGB ', ths.sgb.readState);
+		}
+	};
+
+	this.writeCpuState = function(writer) {
+		writer.writeByte(ths.registers.A);
+		writer.writeByte(ths.registers.F);
+		writer.writeByte(ths.registers.B);
+		writer.writeByte(ths.registers.C);
+		writer.writeByte(ths.registers.D);
+		writer.writeByte(ths.registers.E);
+		writer.writeByte(ths.registers.H);
+		writer.writeByte(ths.registers.L);
+		writer.writeWord(ths.registers.PC);
+		writer.writeWord(ths.registers.SP);
+
+		writer.writeBool(ths.halted);
+		writer.writeBool(ths.cpuStopped);
+		writer.writeBool(ths.interruptsEnabled);
+		writer.writeInt(ths.toDisableInterrupts);
+		writer.writeInt(ths.toEnableInterrupts);
+
+		writer.writeInt(ths.timerCounter);
+		writer.writeInt(ths.dividerCounter);
+		// Cycles left of the current line, which is all states before version 5
+		// had of the LCD
+		writer.writeInt(ths.ppu.DOTS_PER_LINE - ths.ppu.dot);
+	};
+
+	this.readCpuState = function(reader) {
+		ths.registers.A = reader.readByte();
+		ths.registers.F = reader.readByte();
+		ths.registers.B = reader.readByte();
+		ths.registers.C = reader.readByte();
+		ths.registers.D = reader.readByte();
+		ths.registers.E = reader.readByte();
+		ths.registers.H = reader.readByte();
+		ths.registers.L = reader.readByte();
+		ths.registers.PC = reader.readWord();
+		ths.registers.SP = reader.readWord();
+
+		ths.halted = reader.readBool();
+		ths.cpuStopped = reader.readBool();
+		ths.interruptsEnabled = reader.readBool();
+		ths.toDisableInterrupts = reader.readInt();
+		ths.toEnableInterrupts = reader.readInt();
+
+		ths.timerCounter = reader.readInt();
+		ths.dividerCounter = reader.readInt();
+
+		// Cycles left of the current line, the PPU has its own section for the
+		// rest so this only matters for older states
+		return reader.readInt();
 	};
 
-	this.debug = 0;
 	this.executeOpcode = function() {
 		var cycles = 0;
 
 		if (!ths.halted) {
+			// Where the instruction starts, the PC moves on as its operands are read
+			ths.instructionAddress = ths.registers.PC;
+
 			// Fetch the next operation that the program counter points too.
 			var nextOp = ths.mmu.read(ths.registers.PC);
-			if (ths.debug < 300) {
-				// console.log(nextOp.toString(16) + '\n');
-			}
 			// Execute the operation
 			cycles = ths.executeOperation(nextOp);
 
 			// Increment the program counter
 			ths.registers.PC++;
-			ths.debug++;
 		} else {
 			cycles = 4;
 		}
@@ -189,6 +647,65 @@ function Gameboy() {
 		return cycles;
 	};
 
+	this.step = function() {
+		// FETCH DECODE EXECUTE and then let the rest of the hardware catch up
+		// with the number of cycles the instruction took
+		if (ths.trace !== null && !ths.halted) {
+			ths.trace.record();
+		}
+		var cycles = ths.executeOpcode();
+
+		// In CGB double speed the CPU, timers and serial port get twice as many
+		// cycles done in the same time but the LCD and sound carry on at normal
+		// speed, so they only see half of them
+		var speed = ths.mmu.doubleSpeed ? 2 : 1;
+		var normalCycles = cycles / speed;
+
+		ths.updateTimers(cycles);
+		ths.updateGraphics(normalCycles);
+		ths.apu.update(normalCycles);
+		ths.serial.update(cycles);
+
+		// VRAM DMA (possibly just started by the LCD entering H-Blank) holds the
+		// CPU up while everything else carries on
+		var stallCycles = ths.mmu.takeStallCycles();
+		if (stallCycles > 0) {
+			ths.updateTimers(stallCycles * speed);
+			ths.updateGraphics(stallCycles);
+			ths.apu.update(stallCycles);
+			ths.serial.update(stallCycles * speed);
+			normalCycles += stallCycles;
+		}
+
+		ths.doInterrupts();
+
+		// Cycles at normal speed, which is what a frame is measured in
+		ths.cycleCount += normalCycles;
+		return normalCycles;
+	};
+
+	this.runFrame = function() {
+		// Execute one frames worth of clock cycles
+		return ths.runCycles(ths.CYCLES_PER_FRAME);
+	};
+
+	this.runCycles = function(cycles) {
+		// Execute cycles clock cycles (at normal speed, and instructions aren't
+		// split so it can go a few over) or until the CPU is stopped, is waiting
+		// on the other end of the link cable or the debugger stops us, and return
+		// how many cycles were actually executed
+		var cyclesExecuted = 0;
+
+		while (cyclesExecuted < cycles) {
+			if (ths.cpuStopped || ths.serial.waitingForLink) break;
+			if (ths.debugger !== null && ths.debugger.shouldBreak()) break;
+			if (ths.breakpoints.enabled && ths.breakpoints.shouldBreak()) break;
+			cyclesExecuted += ths.step();
+		}
+
+		return cyclesExecuted;
+	};
+
 	ths.pushToStack = function(data) {
 		ths.registers.SP--;
 		ths.mmu.write(ths.registers.SP, data);
@@ -204,6 +721,7 @@ function Gameboy() {
 		// bit = 0: V-Blank Interrupt
 		// bit = 1: LCD Interrupt
 		// bit = 2: Timer Interrupt
+		// bit = 3: Serial Interrupt
 		// bit = 4: Joypad Interrupt
 
 		// Make sure we only flip the one requested bit without messing up the others
@@ -218,6 +736,9 @@ function Gameboy() {
 			case 2:
 				currentRegisterVal |= 4;
 				break;
+			case 3:
+				currentRegisterVal |= 8;
+				break;
 			case 4:
 				currentRegisterVal |= 16;
 				break;
@@ -258,6 +779,9 @@ function Gameboy() {
 			case 2:
 				return 4 & val;
 				break;
+			case 3:
+				return 8 & val;
+				break;
 			case 4:
 				return 16 & val;
 				break;
@@ -270,6 +794,7 @@ function Gameboy() {
 		// V-Blank: 0x40
 		// LCD: 0x48
 		// TIMER: 0x50
+		// SERIAL: 0x58
 		// JOYPAD: 0x60
 
 		// Interrupt happened, un-halt CPU
@@ -292,6 +817,9 @@ function Gameboy() {
 			case 2:
 				requestedValue ^= 4;
 				break;
+			case 3:
+				requestedValue ^= 8;
+				break;
 			case 4:
 				requestedValue ^= 16;
 				break;
@@ -300,9 +828,12 @@ function Gameboy() {
 		ths.mmu.write(ths.INTERRUPT_REQUEST_ADDR, requestedValue);
 
 		// We now need to save the current PC by pushing it on the stack
-		// Then set the PC to the address of the requested interrupt
+		// Then set the PC to the address of the requested interrupt. Watchpoints
+		// the push sets off aren't the last instruction's doing
+		ths.breakpoints.interrupt = true;
 		ths.pushToStack(ths.registers.PC >> 8);
 		ths.pushToStack(ths.registers.PC & 0xFF);
+		ths.breakpoints.interrupt = false;
 		switch (interrupt) {
 			case 0:
 				ths.registers.PC = 0x40;
@@ -313,6 +844,9 @@ function Gameboy() {
 			case 2:
 				ths.registers.PC = 0x50;
 				break;
+			case 3:
+				ths.registers.PC = 0x58;
+				break;
 			case 4:
 				ths.registers.PC = 0x60;
 				break;
@@ -408,46 +942,8 @@ function Gameboy() {
 	};
 
 	this.updateGraphics = function(cycles) {
-
-		// Deal with setting LCD status
-		ths.setLcdStatus();
-
-		// If LCD Display is enabled, decerement counter by number of cycles
-		// Otherwise do nothing
-		if (ths.isLcdDisplayEnabled()) {
-			ths.scanlineCounter -= cycles;
-		} else {
-			return;
-		}
-
-		// If scanline counter hit 0, we need to move onto the next scanline
-		// Current scanline is found in memory in 0xFF44
-		// We can't write to this memory location using write functionas doing so
-		// should cause the value here to be set to 0 so access the memory directly
-		// Scanline 0 - 143 (144 in total) need to be rendered onto the screen
-		// Scanline 144 - 153 is the Vertical Blank Period and we need to
-		// request the Vertical Blank Interrupt
-		// If Scanline is greater than 153, reset to 0
-		if (ths.scanlineCounter <= 0) {
-			var scanline = ths.mmu.read(ths.CURRENT_SCANLINE_ADDR);
-			scanline++;
-			ths.mmu.memory[ths.CURRENT_SCANLINE_ADDR] = scanline;
-
-			// Reset scanline counter
-			ths.scanlineCounter = 456;
-
-			if (scanline <= 143) {
-				ths.drawToScreen();
-			} else if (scanline == 144) {
-				// We only need to request this interrupt as we enter Vertical
-				// Blank period, not for every value in V-Blank so only check
-				// for first V-Blank scanline
-				ths.requestInterrupt(0); // 0 is the bit for V-Blank interrupt
-			} else if (scanline > 153) {
-				scanline = 0;
-				ths.mmu.memory[ths.CURRENT_SCANLINE_ADDR] = scanline;
-			}
-		}
+		// The PPU draws the screen and keeps LY (0xFF44) and the STAT mode up to date
+		ths.ppu.update(cycles);
 	};
 
 	this.isLcdDisplayEnabled = function() {
@@ -462,446 +958,87 @@ function Gameboy() {
 		// 01 (1): Vertical-Blank
 		// 10 (2): Searching Sprites Atts
 		// 11 (3): Transfering Data to LCD Driver
+		//
+		// The PPU changes mode dot by dot and calls this whenever it does, so the
+		// mode bits are right for whichever dot of the line we are on. With the
+		// LCD disabled the mode is 0
+		var memory = ths.mmu.memory;
+		var currentLcdStatus = memory[ths.LCD_STATUS_ADDR];
+		var currentScanline = memory[ths.CURRENT_SCANLINE_ADDR];
+		var mode = ths.ppu.mode;
+
+		currentLcdStatus &= parseInt("11111000", 2);
+		currentLcdStatus |= mode;
 
-		var currentLcdStatus = ths.mmu.read(ths.LCD_STATUS_ADDR);
-		var currentScanline = ths.mmu.read(ths.CURRENT_SCANLINE_ADDR);
-
-		// IMPORTANT: If LCD is disabled, then the LCD mode must be set to 1 (V-Blank)
-		// When doing this, make sure to reset the scanline counter and current scanline
-		if (!ths.isLcdDisplayEnabled()) {
-			// Set the status bits to 1 and write
-			currentLcdStatus &= parseInt("11111100", 2);
-			currentLcdStatus ^= parseInt("00000001", 2);
-			ths.mmu.write(ths.LCD_STATUS_ADDR, currentLcdStatus);
-			ths.scanlineCounter = 456;
-			ths.mmu.memory[ths.CURRENT_SCANLINE_ADDR] = 0;
-			return;
+		// Bit 2 of Status register is Coincedence Flag
+		// This should be set to true if current scanline (0xFF44) is equal to
+		// value in  register 0xFF45. Otherwise turn it off.
+		var coincidence = currentScanline === memory[0xFF45];
+		if (coincidence) {
+			currentLcdStatus |= parseInt("00000100", 2);
 		}
 
-		// Each scanline takes 456 clock cycles and this is further split up
-		// If within the first 80 cycles of the 456, we should be in mode 2
-		// If within the next 172 cycles of the 456, we should be in  mode 3
-		// Past this point up to the end of the 456, we should be in mode 0
-		// If within V-Blank (scanline 144 - 153) we should be in mode 1
-
-		var mode = currentLcdStatus & 3; // This will give us the value of the first 2 bits
-		var newMode = mode;
-
 		// Interrupts are only enabled during mode change if the following bits are
 		// enabled in the status register when a mode is enabled
 		// Bit 3: Mode 0 Interupt Enabled
 		// Bit 4: Mode 1 Interupt Enabled
 		// Bit 5: Mode 2 Interupt Enabled
-		// Have a boolean to see if an interrupt should be enabled
-		var interruptEnabled = 0;
-
-		if (currentScanline >= 144) {
-			// Set mode to 1
-			currentLcdStatus &= parseInt("11111100", 2);
-			currentLcdStatus ^= parseInt("00000001", 2);
-			newMode = 1;
-			// Interrupt enabled if bit 4 set
-			interruptEnabled = currentLcdStatus & parseInt("00010000", 2);
-		} else {
-			if (ths.scanlineCounter >= (456 - 80) && ths.scanlineCounter <= 456) {
-				// Set mode to 2
-				currentLcdStatus &= parseInt("11111100", 2);
-				currentLcdStatus ^= parseInt("00000010", 2);
-				newMode = 2;
-				// Interrupt enabled if bit 5 set
-				interruptEnabled = currentLcdStatus & parseInt("00100000", 2);
-			} else if (ths.scanlineCounter >= (456 - 80 - 172) && ths.scanlineCounter < (456 - 80)) {
-				// Set mode to 3
-				currentLcdStatus &= parseInt("11111100", 2);
-				currentLcdStatus ^= parseInt("00000011", 2);
-				newMode = 3;
-			} else {
-				// Set mode to 0
-				currentLcdStatus &= parseInt("11111100", 2);
-				currentLcdStatus ^= parseInt("00000000", 2);
-				newMode = 0;
-				// Interrupt enabled if bit 3 set
-				interruptEnabled = currentLcdStatus & parseInt("00001000", 2);
-			}
+		// Bit 6: Coincidence Interrupt Enabled
+		// These are all OR'd together into one interrupt line and the LCD Interrupt
+		// is only requested when that line goes from off to on. So eg a coincidence
+		// on a line that starts H-Blank with both interrupts enabled is only one
+		// interrupt
+		var interruptLine = false;
+		if (ths.ppu.lcdEnabled) {
+			interruptLine = (mode === 0 && (currentLcdStatus & parseInt("00001000", 2)) !== 0) ||
+				(mode === 1 && (currentLcdStatus & parseInt("00010000", 2)) !== 0) ||
+				(mode === 2 && (currentLcdStatus & parseInt("00100000", 2)) !== 0) ||
+				(coincidence && (currentLcdStatus & parseInt("01000000", 2)) !== 0);
 		}
-
-		// If the mode has changed to 0, 1, or 2 and the appropriate interrupt bit
-		// was set (interruptEnabled > 0), then we need to request LCD Interrupt
-		if (interruptEnabled > 0 && newMode !== 3 && newMode !== mode) {
+		if (interruptLine && !ths.ppu.statInterruptLine) {
 			ths.requestInterrupt(1);
 		}
+		ths.ppu.statInterruptLine = interruptLine;
 
-		// Bit 2 of Status register is Coincedence Flag
-		// This should be set to true if current scanline (0xFF44) is equal to
-		// value in  register 0xFF45. Otherwise turn it off.
-		// If bit 6 is set in the Status register and the coincedence flag is turned
-		// on, then request an LCD Interrupt
-		if (currentScanline == ths.mmu.read(0xFF45)) {
-			currentLcdStatus |= parseInt("00000100", 2);
-			if (currentLcdStatus & parseInt("01000000", 2)) {
-				ths.requestInterrupt(1);
-			}
-		} else {
-			// currentLcdStatus &= parseInt("11111011", 2);
-			currentLcdStatus &= ~(1 << 2);
-		}
-
-		ths.mmu.write(ths.LCD_STATUS_ADDR, currentLcdStatus);
-
+		memory[ths.LCD_STATUS_ADDR] = currentLcdStatus;
 	};
 
-	this.drawToScreen = function() {
-		// Recall from above, bits of LCD Control Register
-		// Bit 7 - LCD Display Enable (0=Off, 1=On)
-		// Bit 6 - Window Tile Map Display Select (0=9800-9BFF, 1=9C00-9FFF)
-		// Bit 5 - Window Display Enable (0=Off, 1=On)
-		// Bit 4 - BG & Window Tile Data Select (0=8800-97FF, 1=8000-8FFF)
-		// Bit 3 - BG Tile Map Display Select (0=9800-9BFF, 1=9C00-9FFF)
-		// Bit 2 - OBJ (Sprite) Size (0=8x8, 1=8x16)
-		// Bit 1 - OBJ (Sprite) Display Enable (0=Off, 1=On)
-		// Bit 0 - BG Display (for CGB see below) (0=Off, 1=On)
-		var lcdControlValue = ths.mmu.read(ths.LCD_CONTROL_ADDR);
-
-		// If bit 0 is set, then we draw the background tiles
-		if (lcdControlValue & parseInt("00000001", 2)) {
-			ths.drawTiles(lcdControlValue);
-		}
-		// If bit 1 is set, then we draw the sprites
-		if (lcdControlValue & parseInt("00000010", 2)) {
-			ths.drawSprites(lcdControlValue);
-		}
+	this.setPixel = function(x, y, red, green, blue) {
+		var index = ((y * ths.VISIBLE_WIDTH) + x) * 4;
+		ths.frameBuffer[index] = red;
+		ths.frameBuffer[index + 1] = green;
+		ths.frameBuffer[index + 2] = blue;
+		ths.screenDataCache.changed = true;
 	};
 
-	this.drawTiles = function(lcdControlValue) {
-		// Important Memory addresses for drawing background and window which
-		// are necessary to know because the background (256x256) is bigger than
-		// the viewing area (160x144)
-		// ScrollY (0xFF42): The Y Position of the BACKGROUND where to start
-		//                   drawing the viewing area from
-		// ScrollX (0xFF43): The X Position of the BACKGROUND to start drawing
-		//                   the viewing area from
-		// WindowY (0xFF4A): The Y Position of the VIEWING AREA to start drawing
-		//                   the window from
-		// WindowX (0xFF4B): The X Positions -7 of the VIEWING AREA to start drawing
-		//                   the window from
-
-		var scrollY = ths.mmu.read(0xFF42);
-		var scrollX = ths.mmu.read(0xFF43);
-		var windowY = ths.mmu.read(0xFF4A);
-		var windowX = ths.mmu.read(0xFF4B) - 7;
-
-		// Each tile is 8x8 pixels which is represented by 16 bytes of in memory
-		// because each line of the tile is 2 bytes
-		var sizeOfTileInBytes = 16;
-
-		// We need Tile Identification numbers that are used to lookup tile data
-		// These can be in memory ranges 9800-9BFF or 9C00-9FFF for both the background
-		// and the window. Check bit 3 of lcd control register to see what region to use
-		// for the background and bit 6 for the window. Value of 0 for the bit
-		// means 9800--9BFF and 1 indicates 9C00-9FFF
-		var backgroundIdentificationRegion = lcdControlValue & parseInt("00001000", 2);
-		var windowIdentificationRegion = lcdControlValue & parseInt("01000000", 2);
-
-		var currentScanline = ths.mmu.read(ths.CURRENT_SCANLINE_ADDR);
-
-		// We only draw the window if it's enabled (bit 5)
-		var isWindowEnabled = lcdControlValue & parseInt("00100000", 2);
-		var drawWindow = false;
-		if (isWindowEnabled) {
-			// We need to see if the current scanline we are drawing is even
-			// within the Y position of the window. Otherwise we have no window
-			// to draw
-			if (windowY <= currentScanline) {
-				drawWindow = true;
-			}
-		}
-
-		// Tile data is in one of two regions based on bit 4. We need to figure this out
-		// If the region is 8800-97FF then the tile identification number is SIGNED and
-		// the value is between -127 and 127
-		// If the region is 8000-8FFF then the tile identification number is UNSIGNED and
-		// the value is between 0 and 255
-		var bitFourValue = lcdControlValue & parseInt("00010000", 2);
-		var tileDataRegionStart = null;
-		var unsigned = true;
-		if (bitFourValue) {
-			tileDataRegionStart = 0x8000;
-		} else {
-			tileDataRegionStart = 0x8800;
-			unsigned = false;
-		}
-
-		// We need to find out which region the tile identification number is in
-		// Remember that which region is dependent on the variables above and if we
-		// are drawing the window or not. If we draw the window, we don't have to draw
-		// the background behind it
-		var tileIdentificationRegionStart = null;
-		if (drawWindow) {
-			if (windowIdentificationRegion) {
-				tileIdentificationRegionStart = 0x9C00;
-			} else {
-				tileIdentificationRegionStart = 0x9800;
-			}
-		} else {
-			if (backgroundIdentificationRegion) {
-				tileIdentificationRegionStart = 0x9C00;
-			} else {
-				tileIdentificationRegionStart = 0x9800;
-			}
-		}
-
-		// We need to know what tile we are actually drawing. Use the
-		// scrollY or windowY and the current scanline to find this
-		var yPosition = null;
-		if (drawWindow) {
-			yPosition = currentScanline - windowY;
-		} else {
-			yPosition = scrollY + currentScanline
-		}
-
-		// We also need to know where in the tile we are drawing
-		var rowOfTile = ((yPosition / 8) * 32) & 0xFFFF;
-
-		// Now we can draw the scanline (160 pixels horizontal)
-		for (var px = 0; px < 160; px++) {
-
-			// Determine proper x-position based on window or background
-			var xPosition = px + scrollX;
-			if (drawWindow) {
-				if (px >= windowX) {
-					xPosition = px - windowX ;
-				}
-			}
-
-			// determine which tile we are on (horizontally)
-			var tileColumn = xPosition / 8;
+	this.setDmgPixel = function(x, y, shade) {
+		var colour = ths.DMG_COLOURS[shade];
+		ths.setPixel(x, y, colour[0], colour[1], colour[2]);
 
-			// Now we need to get the tileIdentificationNumber
-			var tileIdentificationAddress = tileIdentificationRegionStart + rowOfTile + tileColumn;
-			var tileIdentifier = ths.mmu.read(tileIdentificationAddress);
-			// If The value has to be signed, offset it by 128
-			if (!unsigned) {
-				if (tileIdentifier > 127) tileIdentifier = -(128 - (tileIdentifier - 128));
-			}
-
-			// Now we have the tile identifier, we can find the region of memory where
-			// the tile data itself is
-			var tileDataAddress = tileDataRegionStart;
-			if (unsigned) {
-				tileDataAddress += (tileIdentifier * 16) & 0xFFFF;
-			} else {
-				tileDataAddress += ((tileIdentifier + 128) * 16) & 0xFFFF;
-			}
-
-			// We need to find the correct vertical line we are on of the tile
-			var line = yPosition % 8;
-			// Every line takes up 2 bytes, not 1 so multiply 2 to get correct line
-			line = line * 2;
-
-			// Get the two bytes from memory
-			var firstTileByte = ths.mmu.read(tileDataAddress + line);
-			var secondTileByte = ths.mmu.read(tileDataAddress + line + 1);
-
-			// An 8-bit line of pixels has colour determined like this example
-			// pixel# = 1 2 3 4 5 6 7 8
-			// data 2 = 1 0 1 0 1 1 1 0
-			// data 1 = 0 0 1 1 0 1 0 1
-			// Pixel 1 colour id: 10
-			// Pixel 2 colour id: 00
-			// Pixel 3 colour id: 11
-			// Pixel 4 colour id: 01
-			// Pixel 5 colour id: 10
-			// Pixel 6 colour id: 11
-			// Pixel 7 colour id: 10
-			// Pixel 8 colour id: 01
-
-			// Determine what pixel we are currently colouring
-			var colourBit = xPosition % 8;
-			colourBit -= 7;
-			colourBit *= -1;
-
-			// Now we need to combine the tile bytes and determine the colour ID
-			// using the colour bit
-			var colourId = (secondTileByte >> colourBit) & parseInt("00000001", 2);
-			colourId <<= 1;
-			colourId |= ((firstTileByte >> colourBit) & parseInt("00000001", 2));
-
-			// Get colour as a string, the colour palette is in memory 0xFF47
-			var colour = ths.getColour(colourId, 0xFF47);
-			var red = 0;
-			var blue = 0;
-			var green = 0;
-
-			switch(colour) {
-				case "white":
-					red = 255; green = 255; blue = 255;
-					break;
-				case "light_gray":
-					red = 0xCC; green = 0xCC; blue = 0xCC;
-					break;
-				case "dark_gray":
-					red = 0x77; green = 0x77; blue = 0x77;
-					break;
-			}
-
-			var finaly = ths.mmu.read(ths.CURRENT_SCANLINE_ADDR);
-
-			// safety check to make sure what im about
-			// to set is int the 160x144 bounds
-			if (finaly < 0 || finaly > 143 || px < 0 || px > 159) {
-				continue;
-			}
-
-			// console.log(red, green, blue);
-			ths.screenData[px][finaly][0] = red;
-			ths.screenData[px][finaly][1] = green;
-			ths.screenData[px][finaly][2] = blue;
+		// The Super Gameboy colours the screen by shade
+		if (ths.sgbMode) {
+			ths.sgb.shades[(y * 160) + x] = shade;
 		}
 	};
 
-	this.drawSprites = function(lcdControlValue) {
-		// Sprite data is located at 0x8000-0x8FFF
-		// Sprite attributes are located at 0xFE00-0xFE9F and in this region
-		// each sprite has 4 bytes of attributes. These are what are in each byte
-		// of sprite attributes
-		// 0: Sprite Y Position: Position of the sprite on the Y axis of the
-		//    viewing display minus 16
-		// 1: Sprite X Position: Position of the sprite on the X axis of the
-		//    viewing display minus 8
-		// 2: Pattern number: This is the sprite identifier used for looking up
-		//    the sprite data in memory region 0x8000-0x8FFF
-		// 3: Attributes: These are the attributes of the sprite
-
-
-		// Start by determine the size of the sprite from bit 2 of lcdControl
-		var is8x16 = lcdControlValue & parseInt("00000100", 2);
-
-		// There are 40 sprite tiles. Loop through all of them and if they are
-		// visible and intercepting with the current scanline, then we can draw
-		// them
-		for (var sprite = 0; sprite < 40; sprite++) {
-			// get Index offset of sprite attributes. Remember there are 4 bytes
-			// of attributes per sprite
-			var idxOffset = sprite * 4;
-
-			var yPosition = ths.mmu.read(0xFE00 + idxOffset) - 16;
-			var xPosition = ths.mmu.read(0xFE00 + idxOffset + 1) - 8;
-			var patternNum = ths.mmu.read(0xFE00 + idxOffset + 2);
-			var attributes = ths.mmu.read(0xFE00 + idxOffset + 3);
-
-			// The following are what the bits represent in the attributes
-			// Bit7: Sprite to Background Priority
-			// Bit6: Y flip
-			// Bit5: X flip
-			// Bit4: Palette number. 0 then it gets it palette from 0xFF48 otherwise 0xFF49
-			// Bit3: Not used in standard gameboy
-			// Bit2-0: Not used in standard gameboy
-			var yFlip = attributes & parseInt("01000000", 2);
-			var xFlip = attributes & parseInt("00100000", 2);
-
-			var spriteHeight = is8x16 ? 16 : 8;
-
-			var currentScanline = ths.mmu.read(ths.CURRENT_SCANLINE_ADDR);
-
-			// determine if the sprite intercepts with the scanline
-			if ((currentScanline >= yPosition) && (currentScanline < (yPosition + spriteHeight))) {
-				var line = currentScanline - yPosition;
-
-				// If we are flipping the sprite vertically (yFlip) read the sprite
-				// in backwards
-				if (yFlip) {
-					line -= spriteHeight;
-					line *= -1;
-				}
-
-				// Similar process as for tiles
-				line *= 2;
-				var tileDataAddress = (0x8000 + (patternNum * 16)) + line;
-				var firstTileByte = ths.mmu.read(tileDataAddress);
-				var secondTileByte = ths.mmu.read(tileDataAddress + 1);
-
-				// its easier to read in from right to left as pixel 0 is
-				// bit 7 in the colour data, pixel 1 is bit 6 etc...
-				for (var tilePixel = 7; tilePixel >= 0; tilePixel--) {
-					var colourBit = tilePixel;
-					// If we are flipping the sprite horizontally (xFlip) read the
-					// sprite in backwards
-					if (xFlip) {
-						colourbit -= 7;
-						colourbit *= -1;
-					}
-
-					var colourId = (secondTileByte >> colourBit) & parseInt("00000001", 2);
-					colourId <<= 1;
-					colourId |= ((firstTileByte >> colourBit) & parseInt("00000001", 2));
-
-					var paletteAddrBit = attributes & parseInt("00010000", 2);
-					var paletteAddr = 0xFF48;
-					if (paletteAddrBit) paletteAddr = 0xFF49;
-
-					var colour = getColour(colourId, paletteAddr);
-
-					// White spirtes are transparent so don't draw it
-					if (colour == "white") continue;
-
-					var red = 0;
-					var green = 0;
-					var blue = 0;
-
-					switch(colour) {
-						case "white": red = 255; green = 255; blue = 255; break;
-						case "light_gray": red = 0xCC; green = 0xCC; blue = 0xCC; break;
-						case "dark_gray": red = 0x77; green = 0x77; blue = 0x77; break;
-					}
-
-					var xPix = 0 - tilePixel;
-					xPix += 7;
-
-					var pixel = xPosition + xPix;
-
-					// sanity check
-					if (scanline < 0 || scanline > 143 || pixel < 0 || pixel>159) {
-						continue;
-					}
-
-					ths.screenData[pixel][currentScanline][0] = red;
-					ths.screenData[pixel][currentScanline][1] = green;
-					ths.screenData[pixel][currentScanline][2] = blue;
-
-				}
-			}
-		}
+	this.setCgbPixel = function(x, y, paletteRam, palette, colourId) {
+		// Each CGB colour is 2 bytes (little endian) in palette RAM
+		// Bit 0-4   Red
+		// Bit 5-9   Green
+		// Bit 10-14 Blue
+		// Each 5 bit value is scaled up to 8 bits for the screen
+		var index = (palette * 8) + (colourId * 2);
+		var colour = paletteRam[index] | (paletteRam[index + 1] << 8);
+		var red = colour & 0x1F;
+		var green = (colour >> 5) & 0x1F;
+		var blue = (colour >> 10) & 0x1F;
+		ths.setPixel(x, y, (red << 3) | (red >> 2), (green << 3) | (green >> 2), (blue << 3) | (blue >> 2));
 	};
 
-	this.getColour = function(colourNum, paletteAddr) {
-		var result = "white";
-		var palette = ths.mmu.read(paletteAddr);
-
-		var hi = 0;
-		var lo = 0;
-
-		// which bits of the colour palette does the colour id map to?
-		switch (colourNum) {
-			case 0: hi = 1; lo = 0; break;
-			case 1: hi = 3; lo = 2; break;
-			case 2: hi = 5; lo = 4; break;
-			case 3: hi = 7; lo = 6; break;
-		}
-
-		// use the palette to get the colour
-		var colour = 0;
-		colour = ((palette >> hi) & parseInt("00000001", 2)) << 1;
-		colour |= ((palette >> lo) & parseInt("00000001", 2));
-
-		// convert the game colour to emulator colour
-		switch (colour) {
-			case 0: result = "white"; break;
-			case 1: result = "light_gray"; break;
-			case 2: result = "dark_gray"; break;
-			case 3: result = "black"; break;
-		}
-
-		return result;
+	this.getShade = function(colourNum, paletteAddr) {
+		// Each colour id has 2 bits of the palette, colour 0 is bits 0-1 up to
+		// colour 3 in bits 6-7. They give the shade (0 white - 3 black)
+		return (ths.mmu.memory[paletteAddr] >> (colourNum * 2)) & 3;
 	};
 
 	this.keyPressed = function(keyBit) {
@@ -929,7 +1066,6 @@ function Gameboy() {
 
 		// Resume CPU if stopped
 		ths.cpuStopped = false;
-		ths.debug = 0;
 
 		// Check if the current key requested was not pressed, if it wasn't pressed
 		// already, we might need an interrupt
@@ -1272,6 +1408,14 @@ function Gameboy() {
 				// There is a second byte of the instruction but it isn't used
 				ths.registers.PC++;
 				// ths.cpuStopped = true;
+
+				// On the CGB, STOP is also how the CPU switches speed once bit 0
+				// of KEY1 (0xFF4D) has been set. The divider register is reset
+				if (ths.cgbMode && ths.mmu.speedSwitchRequested) {
+					ths.mmu.doubleSpeed = !ths.mmu.doubleSpeed;
+					ths.mmu.speedSwitchRequested = false;
+					ths.mmu.memory[ths.DIVIDER_REGISTER_ADDR] = 0;
+				}
 				return 4;
 			case 0x11:
 				// LD DE, d16 - 12 cycles - Load the next two bytes in the queue
@@ -1674,7 +1818,11 @@ function Gameboy() {
 				return 4;
 			case 0x40:
 				// LD B, B - 4 cycles - Load B into B - redundant, just return
-				// cycles
+				// cycles. Test ROMs (and some emulators' debuggers) use it as a
+				// breakpoint, so let anyone listening know
+				if (ths.onMagicBreakpoint) {
+					ths.onMagicBreakpoint();
+				}
 				return 4;
 			case 0x41:
 				// LD B, C - 4 cycles - Load value in register C into register
@@ -1945,7 +2093,6 @@ function Gameboy() {
 				return 8;
 			case 0x76:
 				// HALT - 4 cycles - Halt CPU until an interrupt occurs
-				console.log("Halted!");
 				ths.halted = true;
 				return 4;
 			case 0x77:
@@ -2380,7 +2527,6 @@ function Gameboy() {
 				return 12;
 			case 0xCB:
 				// PREFIX CB - We need to call other op code table
-				console.log("SECOND TABLE");
 				return ths.executePrefixOperation(ths.mmu.read(++ths.registers.PC));
 			case 0xCC:
 				// CALL Z, a16 - 12 cycles - Call address found in next two bytes if zero
@@ -3934,3 +4080,19 @@ function Gameboy() {
 	};
 
 }
+
+// Allow the core to be loaded outside of the browser (Node.js) where there are no
+// script tags to put MMU into the global scope for us
+if (typeof module !== 'undefined' && module.exports) {
+	var MMU = require('./MMU.js');
+	var APU = require('./APU.js');
+	var Serial = require('./Serial.js').Serial;
+	var PPU = require('./PPU.js');
+	var CartridgeHeader = require('./CartridgeHeader.js');
+	var SaveStateWriter = require('./SaveState.js').SaveStateWriter;
+	var SaveStateReader = require('./SaveState.js').SaveStateReader;
+	var SuperGameboy = require('./SuperGameboy.js');
+	var ScreenData = require('./ScreenData.js');
+	var Breakpoints = require('./Breakpoints.js');
+	module.exports = Gameboy;
+}
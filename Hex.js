@@ -0,0 +1,11 @@
+function toHex(value, digits) {
+	// value in upper case hex with at least digits digits and no prefix, whoever
+	// shows it adds their own (0x for the debugger, $ for the disassembler)
+	var hex = value.toString(16).toUpperCase();
+	while (hex.length < digits) hex = '0' + hex;
+	return hex;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = toHex;
+}
@@ -22,31 +22,149 @@ function MMU() {
 	// Joypad byte - we will use 8 bits for denoting key pressed - not the same
 	// as internal memory joypad state. Just for convenience sake and for setting
 	// internal memory
-	this.JOYPAD = new Array(8);
+	this.JOYPAD = 0xFF;
 
-	// There are two types of rom banking, MBC1 and MBC2
-	// Some games don't use either and the rom bank mode is found at memory
+	// There are a few types of rom banking, MBC1, MBC2, MBC3 and MBC5
+	// Some games don't use any and the rom bank mode is found at memory
 	// location 0x147 after the game is loaded into memory (0x000 - 0x7FFF)
 	// Use flags to determine which type of rom banking is being used
 	this.mbc1 = false;
 	this.mbc2 = false;
+	this.mbc3 = false;
+	this.mbc5 = false;
 	this.romBanking = true;
 
 	// Different rom banks could be loaded into second area of memory (4000 - 7FFF)
 	// But memory region 0000 - 7FFF is fixed at rom bank 0. That stays loaded
 	// So keep a variable that says what rom bank is loaded into the second region
-	// Init to 1 as that's the first bank that loads (should never be 0)
+	// Init to 1 as that's the first bank that loads (should never be 0, except
+	// for MBC5 which does allow bank 0 to be selected here)
 	this.currentRomBank = 1;
+	// Number of ROM banks on the cartridge, bank numbers past this wrap around
+	this.romBankCount = 2;
 
-	// Memory location 0x148 tells how many RAM banks exist
+	// Memory location 0x149 tells how many RAM banks exist
 	// A RAM bank is 0x2000 bytes in size and the maximum RAM banks that a game can
-	// have is 4. Keep an Array variable to represent 4 RAM banks (0x8000 in size)
-	// and a variable to tell us which RAM bank is being used currently (between 0 and 3)
+	// have is 16 (MBC5). Keep an Array variable to represent 16 RAM banks (0x20000 in size)
+	// and a variable to tell us which RAM bank is being used currently (between 0 and 15)
 	// RAM banking isn't used if ROM bank mode is MBC2 so currentRamBank will stay 0
-	this.ramBanks = new Array(0x8000);
+	this.ramBanks = new Array(0x20000);
 	this.currentRamBank = 0;
 	this.enableRam = false;
 
+	// MBC3 cartridges can have a Real Time Clock. Writing 0x08-0x0C to 0x4000-0x5FFF
+	// maps one of the clock registers into 0xA000-0xBFFF instead of a RAM bank
+	// (0 means a RAM bank is mapped). The clock is latched by writing 0 then 1
+	// to 0x6000-0x7FFF so remember what was written there last
+	this.rtc = new RealTimeClock();
+	this.rtcRegister = 0;
+	this.rtcLatchData = -1;
+
+	// Some MBC5 cartridges have a rumble motor which is switched on and off with
+	// bit 3 of the RAM bank number. Set onRumble to a function to be told when
+	// the motor changes (it is passed true when on, false when off)
+	this.hasRumble = false;
+	this.rumbleOn = false;
+	this.onRumble = null;
+
+	// Set onRamWrite to a function to be told whenever the game writes to
+	// cartridge RAM (0xA000-0xBFFF)
+	this.onRamWrite = null;
+
+	// Sound registers (0xFF10-0xFF3F) belong to the Audio Processing Unit so reads
+	// and writes there are passed on to it
+	this.apu = null;
+
+	// Likewise the serial transfer registers (0xFF01-0xFF02) belong to the serial port
+	this.serial = null;
+
+	// Boot ROM, which covers the start of the cartridge (0x0000-0x00FF, and
+	// 0x0200-0x08FF for the CGB's bigger one) when the gameboy is switched on.
+	// It unmaps itself by writing to 0xFF50 just before it jumps to the cartridge
+	// at 0x100. Set onBootRomUnmapped to a function to be told when that happens
+	this.BOOT_ROM_DISABLE_ADDR = 0xFF50;
+	this.bootRom = null;
+	this.bootRomMapped = false;
+	this.onBootRomUnmapped = null;
+
+	// Super Gameboy, writes to the joypad register (0xFF00) are passed on to it
+	// as that's how games send it commands
+	this.sgb = null;
+
+	// Breakpoints (see Breakpoints.js) are told about every read and write while
+	// there are watchpoints
+	this.breakpoints = null;
+
+	// LY (0xFF44) always reads 0x90, as it does for the logs Gameboy Doctor
+	// compares traces with (see Trace.js). The LCD itself carries on as normal
+	this.doctorLy = false;
+
+	// Game Boy Color mode, set when a cartridge that supports the CGB is loaded
+	this.cgbMode = false;
+
+	// Video RAM lives here rather than in memory so that the CGB's second bank
+	// can be kept alongside the first. 0xFF4F (VBK) selects which bank the CPU
+	// sees at 0x8000-0x9FFF, the graphics can read either bank with readVram.
+	// In CGB mode bank 1 holds the tile attributes for the background maps and
+	// a second set of tile data
+	this.VRAM_BANK_ADDR = 0xFF4F;
+	this.vram = new Array(0x4000);
+	this.currentVramBank = 0;
+
+	// Work RAM likewise. 0xC000-0xCFFF is always bank 0 and 0xD000-0xDFFF is
+	// bank 1, or in CGB mode bank 1-7 as selected by 0xFF70 (SVBK)
+	this.WRAM_BANK_ADDR = 0xFF70;
+	this.wram = new Array(0x8000);
+	this.currentWramBank = 1;
+
+	// CGB colour palettes. There are 8 background and 8 sprite palettes of 4
+	// colours each, every colour taking 2 bytes (15-bit, 5 bits each of red,
+	// green and blue) so each palette RAM is 64 bytes. They can only be reached
+	// through an index register and a data register
+	// 0xFF68 BCPS/0xFF6A OCPS: Bit 0-5 Index into palette RAM
+	//                          Bit 7   Increment the index after writing data
+	// 0xFF69 BCPD/0xFF6B OCPD: Palette RAM at the index
+	this.BACKGROUND_PALETTE_INDEX_ADDR = 0xFF68;
+	this.BACKGROUND_PALETTE_DATA_ADDR = 0xFF69;
+	this.SPRITE_PALETTE_INDEX_ADDR = 0xFF6A;
+	this.SPRITE_PALETTE_DATA_ADDR = 0xFF6B;
+	this.backgroundPalettes = new Array(64);
+	this.spritePalettes = new Array(64);
+	this.backgroundPaletteIndex = 0;
+	this.spritePaletteIndex = 0;
+
+	// CGB double speed. The CPU (and timers) can run at twice the speed. To switch
+	// the game sets bit 0 of 0xFF4D (KEY1) and then runs STOP
+	// 0xFF4D KEY1: Bit 7 - Current Speed (0=Normal, 1=Double) (Read Only)
+	//              Bit 0 - Prepare Speed Switch (0=No, 1=Prepare)
+	this.SPEED_SWITCH_ADDR = 0xFF4D;
+	this.doubleSpeed = false;
+	this.speedSwitchRequested = false;
+
+	// CGB VRAM DMA, copies blocks of 16 bytes from ROM or RAM into VRAM
+	// 0xFF51 HDMA1, 0xFF52 HDMA2: Source address (high, low), lower 4 bits ignored
+	// 0xFF53 HDMA3, 0xFF54 HDMA4: Destination in VRAM (high, low), only bits 4-12 used
+	// 0xFF55 HDMA5: Bit 0-6 Length / 16 - 1
+	//               Bit 7   Mode (0=General Purpose DMA, 1=H-Blank DMA)
+	// General purpose DMA copies everything at once, H-Blank DMA copies one block
+	// each H-Blank. Reading HDMA5 gives the number of blocks left - 1, with bit 7
+	// set once the transfer is over (0xFF after it finished)
+	// Writing with bit 7 clear while an H-Blank DMA is running stops it
+	this.HDMA_SOURCE_HIGH_ADDR = 0xFF51;
+	this.HDMA_SOURCE_LOW_ADDR = 0xFF52;
+	this.HDMA_DESTINATION_HIGH_ADDR = 0xFF53;
+	this.HDMA_DESTINATION_LOW_ADDR = 0xFF54;
+	this.HDMA_CONTROL_ADDR = 0xFF55;
+	this.hdmaSource = 0;
+	this.hdmaDestination = 0;
+	this.hdmaBlocksLeft = 0;
+	this.hdmaActive = false;
+
+	// The CPU does nothing while VRAM DMA copies, 32 cycles (at normal speed) for
+	// each block. These pile up here until the CPU takes them (see takeStallCycles)
+	this.HDMA_BLOCK_CYCLES = 32;
+	this.stallCycles = 0;
+
 	this.initialize = function() {
 		// Init Memory to all 0 and then some spots equal to the following (from Docs)
 		for (var i = 0; i < ths.memory.length; i++) {
@@ -57,24 +175,7 @@ function MMU() {
 		ths.memory[0xFF05] = 0x00;
 		ths.memory[0xFF06] = 0x00;
 		ths.memory[0xFF07] = 0x00;
-		ths.memory[0xFF10] = 0x80;
-		ths.memory[0xFF11] = 0xBF;
-		ths.memory[0xFF12] = 0xF3;
-		ths.memory[0xFF14] = 0xBF;
-		ths.memory[0xFF16] = 0x3F;
-		ths.memory[0xFF17] = 0x00;
-		ths.memory[0xFF19] = 0xBF;
-		ths.memory[0xFF1A] = 0x7F;
-		ths.memory[0xFF1B] = 0xFF;
-		ths.memory[0xFF1C] = 0x9F;
-		ths.memory[0xFF1E] = 0xBF;
-		ths.memory[0xFF20] = 0xFF;
-		ths.memory[0xFF21] = 0x00;
-		ths.memory[0xFF22] = 0x00;
-		ths.memory[0xFF23] = 0xBF;
-		ths.memory[0xFF24] = 0x77;
-		ths.memory[0xFF25] = 0xF3;
-		ths.memory[0xFF26] = 0xF1;
+		// Sound registers (0xFF10-0xFF3F) are initialized by the APU
 		ths.memory[0xFF40] = 0x91;
 		ths.memory[0xFF42] = 0x00;
 		ths.memory[0xFF43] = 0x00;
@@ -87,9 +188,54 @@ function MMU() {
 		ths.memory[0xFFFF] = 0x00;
 
 		// Initialize Joypad all to 1 (which is unpressed)
-		for (var i = 0; i < 8; i++) {
-			ths.JOYPAD[i] = 1;
+		ths.JOYPAD = 0xFF;
+
+		// Forget about any previously loaded cartridge and its banking
+		ths.cartridgeData = null;
+		ths.mbc1 = false;
+		ths.mbc2 = false;
+		ths.mbc3 = false;
+		ths.mbc5 = false;
+		ths.romBanking = true;
+		ths.currentRomBank = 1;
+		ths.romBankCount = 2;
+		ths.currentRamBank = 0;
+		ths.enableRam = false;
+		for (var i = 0; i < ths.ramBanks.length; i++) {
+			ths.ramBanks[i] = 0;
+		}
+		ths.rtc.reset();
+		ths.rtcRegister = 0;
+		ths.rtcLatchData = -1;
+		ths.hasRumble = false;
+		ths.rumbleOn = false;
+		ths.bootRom = null;
+		ths.bootRomMapped = false;
+
+		ths.cgbMode = false;
+		for (var i = 0; i < ths.vram.length; i++) {
+			ths.vram[i] = 0;
+		}
+		ths.currentVramBank = 0;
+		for (var i = 0; i < ths.wram.length; i++) {
+			ths.wram[i] = 0;
 		}
+		ths.currentWramBank = 1;
+		// The CGB boot ROM leaves every colour white
+		for (var i = 0; i < 64; i++) {
+			ths.backgroundPalettes[i] = 0xFF;
+			ths.spritePalettes[i] = 0xFF;
+		}
+		ths.backgroundPaletteIndex = 0;
+		ths.spritePaletteIndex = 0;
+
+		ths.doubleSpeed = false;
+		ths.speedSwitchRequested = false;
+		ths.hdmaSource = 0;
+		ths.hdmaDestination = 0;
+		ths.hdmaBlocksLeft = 0;
+		ths.hdmaActive = false;
+		ths.stallCycles = 0;
 	};
 
 	this.setCartridgeData = function(data) {
@@ -98,8 +244,142 @@ function MMU() {
 		for (var i = 0; i < 0x8000; i++) {
 			ths.memory[i] = ths.cartridgeData[i];
 		}
+		ths.romBankCount = Math.max(2, Math.ceil(data.length / 0x4000));
 	}
 
+	this.getRamData = function(size) {
+		// Copy the first size bytes of cartridge RAM (all banks, in order) out into
+		// a byte array. This is the same layout as a raw .sav file
+		var data = new Uint8Array(size);
+		for (var i = 0; i < size && i < ths.ramBanks.length; i++) {
+			data[i] = ths.ramBanks[i];
+		}
+		return data;
+	};
+
+	this.setRamData = function(data) {
+		// Copy a byte array (like a raw .sav file) into cartridge RAM
+		for (var i = 0; i < data.length && i < ths.ramBanks.length; i++) {
+			ths.ramBanks[i] = data[i];
+		}
+	};
+
+	this.writeState = function(writer) {
+		// Everything but the cartridge ROM itself, which comes from the loaded ROM
+		writer.writeBytes(ths.memory);
+		writer.writeBytes(ths.ramBanks);
+
+		writer.writeWord(ths.currentRomBank);
+		writer.writeByte(ths.currentRamBank);
+		writer.writeBool(ths.romBanking);
+		writer.writeBool(ths.enableRam);
+		writer.writeByte(ths.rtcRegister);
+		writer.writeInt(ths.rtcLatchData);
+		writer.writeBool(ths.rumbleOn);
+		writer.writeByte(ths.JOYPAD);
+
+		writer.writeBytes(ths.vram);
+		writer.writeBytes(ths.wram);
+		writer.writeByte(ths.currentVramBank);
+		writer.writeByte(ths.currentWramBank);
+		writer.writeBytes(ths.backgroundPalettes);
+		writer.writeBytes(ths.spritePalettes);
+		writer.writeByte(ths.backgroundPaletteIndex);
+		writer.writeByte(ths.spritePaletteIndex);
+
+		writer.writeBool(ths.doubleSpeed);
+		writer.writeBool(ths.speedSwitchRequested);
+		writer.writeWord(ths.hdmaSource);
+		writer.writeWord(ths.hdmaDestination);
+		writer.writeByte(ths.hdmaBlocksLeft);
+		writer.writeBool(ths.hdmaActive);
+		writer.writeInt(ths.stallCycles);
+
+		writer.writeBool(ths.bootRomMapped);
+	};
+
+	this.readState = function(reader, version) {
+		var memory = reader.readBytes(ths.memory.length);
+		for (var i = 0; i < memory.length; i++) {
+			ths.memory[i] = memory[i];
+		}
+		var ramBanks = reader.readBytes(ths.ramBanks.length);
+		for (var i = 0; i < ramBanks.length; i++) {
+			ths.ramBanks[i] = ramBanks[i];
+		}
+
+		ths.currentRomBank = reader.readWord();
+		ths.currentRamBank = reader.readByte();
+		ths.romBanking = reader.readBool();
+		ths.enableRam = reader.readBool();
+		ths.rtcRegister = reader.readByte();
+		ths.rtcLatchData = reader.readInt();
+		ths.setRumble(reader.readBool());
+		ths.JOYPAD = reader.readByte();
+
+		if (version < 2) {
+			// Before CGB support video and work RAM were kept in memory
+			for (var i = 0; i < 0x2000; i++) {
+				ths.vram[i] = ths.memory[0x8000 + i];
+				ths.wram[i] = ths.memory[0xC000 + i];
+			}
+			ths.currentVramBank = 0;
+			ths.currentWramBank = 1;
+			return;
+		}
+
+		var vram = reader.readBytes(ths.vram.length);
+		for (var i = 0; i < vram.length; i++) {
+			ths.vram[i] = vram[i];
+		}
+		var wram = reader.readBytes(ths.wram.length);
+		for (var i = 0; i < wram.length; i++) {
+			ths.wram[i] = wram[i];
+		}
+		ths.currentVramBank = reader.readByte();
+		ths.currentWramBank = reader.readByte();
+		var backgroundPalettes = reader.readBytes(64);
+		var spritePalettes = reader.readBytes(64);
+		for (var i = 0; i < 64; i++) {
+			ths.backgroundPalettes[i] = backgroundPalettes[i];
+			ths.spritePalettes[i] = spritePalettes[i];
+		}
+		ths.backgroundPaletteIndex = reader.readByte();
+		ths.spritePaletteIndex = reader.readByte();
+
+		if (version < 3) {
+			// Before double speed and VRAM DMA
+			ths.doubleSpeed = false;
+			ths.speedSwitchRequested = false;
+			ths.hdmaActive = false;
+			ths.hdmaBlocksLeft = 0;
+			ths.stallCycles = 0;
+			return;
+		}
+
+		ths.doubleSpeed = reader.readBool();
+		ths.speedSwitchRequested = reader.readBool();
+		ths.hdmaSource = reader.readWord();
+		ths.hdmaDestination = reader.readWord();
+		ths.hdmaBlocksLeft = reader.readByte();
+		ths.hdmaActive = reader.readBool();
+		ths.stallCycles = reader.readInt();
+
+		if (version < 4) {
+			// Before boot ROM support, the boot ROM was never running
+			ths.bootRomMapped = false;
+			return;
+		}
+
+		// The boot ROM itself isn't saved, it has to have been given again
+		ths.bootRomMapped = reader.readBool() && ths.bootRom !== null;
+	};
+
+	this.mapBootRom = function(data) {
+		ths.bootRom = data;
+		ths.bootRomMapped = true;
+	};
+
 	this.determineRomBankingType = function() {
 		switch (ths.memory[0x147]) {
 			case 1:
@@ -117,32 +397,79 @@ function MMU() {
 			case 6:
 				ths.mbc2 = true;
 				break;
+			case 0x0F:
+			case 0x10:
+			case 0x11:
+			case 0x12:
+			case 0x13:
+				ths.mbc3 = true;
+				break;
+			case 0x19:
+			case 0x1A:
+			case 0x1B:
+				ths.mbc5 = true;
+				break;
+			case 0x1C:
+			case 0x1D:
+			case 0x1E:
+				ths.mbc5 = true;
+				ths.hasRumble = true;
+				break;
 			default:
 				break;
 		}
 	};
 
 	this.write = function(address, data) {
-		if (address === 0x8000) {
-			console.trace();
-			// return;
+		if (ths.breakpoints !== null && ths.breakpoints.watching) {
+			ths.breakpoints.checkWrite(address, data);
 		}
+
 		if (address < 0x8000) {
 			// If address is in Game ROM Area, don't write, this is read-only
 			// Handle ROM banking though
 			ths.handleBanking(address, data);
 
+		} else if (address < 0xA000) {
+			ths.vram[ths.getVramIndex(address)] = data;
+
+		} else if (address >= 0xC000 && address <= 0xFDFF) {
+			// Work RAM, and ECHO which is the same memory again
+			ths.wram[ths.getWramIndex(address)] = data;
+
 		} else if (address >= 0xA000 && address < 0xC000) {
-     		if (ths.enableRam) {
-		       var resolvedAddress = address - 0xA000;
-		       ths.ramBanks[resolvedAddress + (ths.currentRamBank * 0x2000)] = data;
-     		}
+			if (ths.enableRam) {
+				if (ths.rtcRegister) {
+					// A clock register is mapped here instead of RAM
+					ths.rtc.write(ths.rtcRegister, data);
+				} else {
+					var resolvedAddress = address - 0xA000;
+					ths.ramBanks[resolvedAddress + (ths.currentRamBank * 0x2000)] = data;
+				}
+
+				// Let anyone who cares know that cartridge RAM has changed (so battery
+				// backed RAM can be saved)
+				if (ths.onRamWrite) {
+					ths.onRamWrite();
+				}
+			}
+
+		} else if (address >= 0xFF10 && address <= 0xFF3F) {
+			ths.apu.write(address, data);
+
+		} else if (address === 0xFF01 || address === 0xFF02) {
+			ths.serial.write(address, data);
 
 		} else if (address === 0xFF04) {
 			// This is the divider register and if we try and write to this,
 			// it should reset to 0
 			ths.memory[address] = 0;
 
+		} else if (address === 0xFF41) {
+			// The bottom 3 bits of the LCD status (the mode and the coincidence flag)
+			// are read only, they're set by the PPU
+			ths.memory[address] = (data & parseInt("11111000", 2)) | (ths.memory[address] & parseInt("00000111", 2));
+
 		} else if (address === 0xFF44) {
 			// This is the register that holds the current scanline and if we try
 			// to write to this, it should reset to 0
@@ -158,10 +485,23 @@ function MMU() {
 			// This is not usable memory. Restricted access. Don't write
 			return;
 
-		} else if (address >= 0xE000 && address <= 0xFDFF) {
-			// If you write to ECHO, you also have to write to RAM
-     		ths.write(address - 0x2000, data);
+		} else if (ths.cgbMode && ths.isCgbRegister(address)) {
+			ths.writeCgbRegister(address, data);
+
+		} else if (address === ths.BOOT_ROM_DISABLE_ADDR) {
+			// Any write unmaps the boot ROM, and it can't be mapped back in
+			if (ths.bootRomMapped) {
+				ths.bootRomMapped = false;
+				if (ths.onBootRomUnmapped) {
+					ths.onBootRomUnmapped();
+				}
+			}
+
+		} else if (address === 0xFF00) {
 			ths.memory[address] = data;
+			if (ths.sgb !== null && ths.sgb.enabled) {
+				ths.sgb.writeJoypad(data);
+			}
 
 		} else {
 			ths.memory[address] = data;
@@ -170,6 +510,17 @@ function MMU() {
 	};
 
 	this.read = function(address) {
+		if (ths.breakpoints !== null && ths.breakpoints.watching) {
+			ths.breakpoints.checkRead(address);
+		}
+
+		if (ths.bootRomMapped && ths.isBootRomAddress(address)) {
+			return ths.bootRom[address];
+		}
+
+		if (address === 0xFF44 && ths.doctorLy) {
+			return 0x90;
+		}
 
 		// If reading the Joypad memory byte, resolve our JOYPAD object to what the
 		// memory should actually look lik
@@ -177,14 +528,38 @@ function MMU() {
    			return ths.getJoypadState();
 		}
 
+		if (address >= 0xFF10 && address <= 0xFF3F) {
+			return ths.apu.read(address);
+		}
+
+		if (address === 0xFF01 || address === 0xFF02) {
+			return ths.serial.read(address);
+		}
+
 		// If reading from ROM bank, find actual data we want in cartridge memory
 		if (address >= 0x4000 && address <= 0x7FFF) {
 			var resolvedAddress = address - 0x4000;
-			return ths.cartridgeData[resolvedAddress + (ths.currentRomBank * 0x4000)];
+			var bank = ths.currentRomBank % ths.romBankCount;
+			return ths.cartridgeData[resolvedAddress + (bank * 0x4000)];
+		}
+
+		if (address >= 0x8000 && address <= 0x9FFF) {
+			return ths.vram[ths.getVramIndex(address)];
+		}
+
+		if (address >= 0xC000 && address <= 0xFDFF) {
+			return ths.wram[ths.getWramIndex(address)];
+		}
+
+		if (ths.cgbMode && ths.isCgbRegister(address)) {
+			return ths.readCgbRegister(address);
 		}
 
 		// If reading from RAM bank
 		if (address >= 0xA000 && address <= 0xBFFF) {
+			if (ths.rtcRegister) {
+				return ths.rtc.read(ths.rtcRegister);
+			}
 			var resolvedAddress = address - 0xA000 ;
      		return ths.ramBanks[resolvedAddress + (ths.currentRamBank * 0x2000)] ;
 		}
@@ -192,11 +567,167 @@ function MMU() {
 		return ths.memory[address];
 	};
 
+	this.isBootRomAddress = function(address) {
+		// The cartridge header (0x0100-0x01FF) always shows through
+		return address < 0x100 || (ths.bootRom.length > 0x100 && address >= 0x200 && address < 0x900);
+	};
+
+	this.getVramIndex = function(address) {
+		return (address - 0x8000) + (ths.currentVramBank * 0x2000);
+	};
+
+	this.getWramIndex = function(address) {
+		// ECHO (0xE000-0xFDFF) is the same as 0xC000-0xDDFF
+		var offset = (address - 0xC000) & 0x1FFF;
+		if (offset < 0x1000) {
+			return offset;
+		}
+		return (offset - 0x1000) + (ths.currentWramBank * 0x1000);
+	};
+
+	this.readVram = function(bank, address) {
+		// For the graphics, which need to read either bank whatever the CPU sees
+		return ths.vram[(address - 0x8000) + (bank * 0x2000)];
+	};
+
+	this.isCgbRegister = function(address) {
+		return address === ths.VRAM_BANK_ADDR || address === ths.WRAM_BANK_ADDR ||
+			address === ths.SPEED_SWITCH_ADDR ||
+			(address >= ths.HDMA_SOURCE_HIGH_ADDR && address <= ths.HDMA_CONTROL_ADDR) ||
+			(address >= ths.BACKGROUND_PALETTE_INDEX_ADDR && address <= ths.SPRITE_PALETTE_DATA_ADDR);
+	};
+
+	this.readCgbRegister = function(address) {
+		// Unused bits read as 1
+		switch (address) {
+			case ths.VRAM_BANK_ADDR:
+				return ths.currentVramBank | parseInt("11111110", 2);
+			case ths.WRAM_BANK_ADDR:
+				return ths.currentWramBank | parseInt("11111000", 2);
+			case ths.BACKGROUND_PALETTE_INDEX_ADDR:
+				return ths.backgroundPaletteIndex | parseInt("01000000", 2);
+			case ths.BACKGROUND_PALETTE_DATA_ADDR:
+				return ths.backgroundPalettes[ths.backgroundPaletteIndex & 0x3F];
+			case ths.SPRITE_PALETTE_INDEX_ADDR:
+				return ths.spritePaletteIndex | parseInt("01000000", 2);
+			case ths.SPRITE_PALETTE_DATA_ADDR:
+				return ths.spritePalettes[ths.spritePaletteIndex & 0x3F];
+			case ths.SPEED_SWITCH_ADDR:
+				return (ths.doubleSpeed ? parseInt("10000000", 2) : 0) |
+					parseInt("01111110", 2) | (ths.speedSwitchRequested ? 1 : 0);
+			case ths.HDMA_CONTROL_ADDR:
+				return (ths.hdmaActive ? 0 : parseInt("10000000", 2)) | ((ths.hdmaBlocksLeft - 1) & 0x7F);
+			default:
+				// The other DMA registers can't be read back
+				return 0xFF;
+		}
+	};
+
+	this.writeCgbRegister = function(address, data) {
+		switch (address) {
+			case ths.VRAM_BANK_ADDR:
+				ths.currentVramBank = data & 1;
+				break;
+			case ths.WRAM_BANK_ADDR:
+				// Bank 0 can't be selected here, it is always at 0xC000, so 0 means 1
+				ths.currentWramBank = (data & 0x7) || 1;
+				break;
+			case ths.BACKGROUND_PALETTE_INDEX_ADDR:
+				ths.backgroundPaletteIndex = data & parseInt("10111111", 2);
+				break;
+			case ths.BACKGROUND_PALETTE_DATA_ADDR:
+				ths.backgroundPalettes[ths.backgroundPaletteIndex & 0x3F] = data;
+				ths.backgroundPaletteIndex = ths.incrementPaletteIndex(ths.backgroundPaletteIndex);
+				break;
+			case ths.SPRITE_PALETTE_INDEX_ADDR:
+				ths.spritePaletteIndex = data & parseInt("10111111", 2);
+				break;
+			case ths.SPRITE_PALETTE_DATA_ADDR:
+				ths.spritePalettes[ths.spritePaletteIndex & 0x3F] = data;
+				ths.spritePaletteIndex = ths.incrementPaletteIndex(ths.spritePaletteIndex);
+				break;
+			case ths.SPEED_SWITCH_ADDR:
+				ths.speedSwitchRequested = (data & 1) !== 0;
+				break;
+			case ths.HDMA_SOURCE_HIGH_ADDR:
+				ths.hdmaSource = (data << 8) | (ths.hdmaSource & 0xFF);
+				break;
+			case ths.HDMA_SOURCE_LOW_ADDR:
+				ths.hdmaSource = (ths.hdmaSource & 0xFF00) | (data & 0xF0);
+				break;
+			case ths.HDMA_DESTINATION_HIGH_ADDR:
+				ths.hdmaDestination = ((data & 0x1F) << 8) | (ths.hdmaDestination & 0xFF);
+				break;
+			case ths.HDMA_DESTINATION_LOW_ADDR:
+				ths.hdmaDestination = (ths.hdmaDestination & 0x1F00) | (data & 0xF0);
+				break;
+			case ths.HDMA_CONTROL_ADDR:
+				ths.startHdma(data);
+				break;
+		}
+	};
+
+	this.startHdma = function(data) {
+		if (ths.hdmaActive && !(data & parseInt("10000000", 2))) {
+			// Stop the H-Blank DMA, what's left stays in the length
+			ths.hdmaActive = false;
+			return;
+		}
+
+		ths.hdmaBlocksLeft = (data & 0x7F) + 1;
+		if (data & parseInt("10000000", 2)) {
+			ths.hdmaActive = true;
+		} else {
+			// General purpose DMA, everything is copied now
+			while (ths.hdmaBlocksLeft > 0) {
+				ths.copyHdmaBlock();
+			}
+		}
+	};
+
+	this.doHblankDma = function() {
+		// Called as the LCD enters H-Blank, copies the next block if an H-Blank
+		// DMA is running
+		if (!ths.hdmaActive) return;
+
+		ths.copyHdmaBlock();
+		if (ths.hdmaBlocksLeft === 0) {
+			ths.hdmaActive = false;
+		}
+	};
+
+	this.copyHdmaBlock = function() {
+		// The destination is always in VRAM (the bank selected by VBK)
+		ths.setDmaWatching(true);
+		for (var i = 0; i < 16; i++) {
+			var data = ths.read((ths.hdmaSource + i) & 0xFFFF);
+			ths.vram[ths.getVramIndex(0x8000 + ((ths.hdmaDestination + i) & 0x1FFF))] = data;
+		}
+		ths.setDmaWatching(false);
+		ths.hdmaSource = (ths.hdmaSource + 16) & 0xFFFF;
+		ths.hdmaDestination = (ths.hdmaDestination + 16) & 0x1FFF;
+		ths.hdmaBlocksLeft--;
+		ths.stallCycles += ths.HDMA_BLOCK_CYCLES;
+	};
+
+	this.takeStallCycles = function() {
+		// Cycles (at normal speed) the CPU has to sit out for VRAM DMA since last asked
+		var cycles = ths.stallCycles;
+		ths.stallCycles = 0;
+		return cycles;
+	};
+
+	this.incrementPaletteIndex = function(index) {
+		// If bit 7 is set the index moves on to the next byte (wrapping at 64)
+		if (!(index & parseInt("10000000", 2))) return index;
+		return (index & parseInt("10000000", 2)) | ((index + 1) & 0x3F);
+	};
+
 	this.handleBanking = function(address, data) {
 		if (address < 0x2000) {
 			// If the address is between 0x0000 and 0x2000, and ROM Banking is enabled
 			// then we attempt RAM enabling
-			if (ths.mbc1 || ths.mbc2) {
+			if (ths.mbc1 || ths.mbc2 || ths.mbc3 || ths.mbc5) {
 				ths.doEnableRamBanking(address, data);
 			}
 		} else if (address >= 0x2000 && address < 0x4000) {
@@ -204,6 +735,10 @@ function MMU() {
 			// then we perform a ROM bank change
 			if (ths.mbc1 || ths.mbc2) {
 				ths.doRomLoBankChange(data);
+			} else if (ths.mbc3) {
+				ths.doMbc3RomBankChange(data);
+			} else if (ths.mbc5) {
+				ths.doMbc5RomBankChange(address, data);
 			}
 		} else if (address >= 0x4000 && address < 0x6000) {
 			// If the address is between 0x4000 and 0x6000 then we perform either
@@ -216,6 +751,10 @@ function MMU() {
 				} else {
 					ths.doRamBankChange(data);
 				}
+			} else if (ths.mbc3) {
+				ths.doMbc3RamBankChange(data);
+			} else if (ths.mbc5) {
+				ths.doMbc5RamBankChange(data);
 			}
 		} else if (address >= 0x6000 && address < 0x8000) {
 			// In mbc1, rom banking is flipped depending on data to signify
@@ -224,6 +763,8 @@ function MMU() {
 			// this flag or not
 			if (ths.mbc1) {
 				ths.doChangeRomRamMode(data);
+			} else if (ths.mbc3) {
+				ths.doLatchRtc(data);
 			}
 		}
 	};
@@ -234,15 +775,16 @@ function MMU() {
 			if (address & parseInt('1000', 2)) {
 				return; // Bit-Wise AND showed us bit 4 was 1 and not 0 so return
 			}
+		}
 
-			// If lower nibble of data being written is 0xA then we enable RAM Banking
-			// and if the lower nibble is 0 then it is disabled
-			var lowerNibble = data & 0xF;
-			if (lowerNibble === 0xA) {
-				ths.enableRam = true;
-			} else if (lowerNibble === 0) {
-				ths.enableRam = false;
-			}
+		// If lower nibble of data being written is 0xA then we enable RAM Banking
+		// and if the lower nibble is 0 then it is disabled
+		// For mbc3 this also enables access to the RTC registers
+		var lowerNibble = data & 0xF;
+		if (lowerNibble === 0xA) {
+			ths.enableRam = true;
+		} else if (lowerNibble === 0) {
+			ths.enableRam = false;
 		}
 	};
 
@@ -280,6 +822,64 @@ function MMU() {
 		}
 	};
 
+	this.doMbc3RomBankChange = function(data) {
+		// mbc3 uses all 7 lower bits of data for the ROM bank in one write
+		ths.currentRomBank = data & parseInt('01111111', 2);
+		if (ths.currentRomBank === 0) {
+			// This cannot be 0 as rom bank 0 is always in Memory 0000-3FFF
+			ths.currentRomBank++;
+		}
+	};
+
+	this.doMbc3RamBankChange = function(data) {
+		// 0x00-0x03 selects one of the 4 RAM banks and 0x08-0x0C selects one of
+		// the RTC registers instead
+		if (data <= 0x03) {
+			ths.currentRamBank = data;
+			ths.rtcRegister = 0;
+		} else if (data >= 0x08 && data <= 0x0C) {
+			ths.rtcRegister = data;
+		}
+	};
+
+	this.doLatchRtc = function(data) {
+		// Writing 0 and then 1 latches the current time into the RTC registers
+		if (ths.rtcLatchData === 0 && data === 1) {
+			ths.rtc.latch();
+		}
+		ths.rtcLatchData = data;
+	};
+
+	this.doMbc5RomBankChange = function(address, data) {
+		// mbc5 has a 9 bit ROM bank number. Writing to 0x2000-0x2FFF sets the
+		// lower 8 bits and writing to 0x3000-0x3FFF sets bit 8 from bit 0 of data
+		// Unlike the other mappers, bank 0 can be mapped into 0x4000-0x7FFF
+		if (address < 0x3000) {
+			ths.currentRomBank = (ths.currentRomBank & 0x100) | data;
+		} else {
+			ths.currentRomBank = (ths.currentRomBank & 0xFF) | ((data & 1) << 8);
+		}
+	};
+
+	this.doMbc5RamBankChange = function(data) {
+		// Lower 4 bits select one of the 16 RAM banks, except on carts with a rumble
+		// motor where bit 3 switches the motor instead and only 8 banks can be used
+		if (ths.hasRumble) {
+			ths.currentRamBank = data & 0x7;
+			ths.setRumble((data & parseInt('1000', 2)) !== 0);
+		} else {
+			ths.currentRamBank = data & 0xF;
+		}
+	};
+
+	this.setRumble = function(on) {
+		if (on === ths.rumbleOn) return;
+		ths.rumbleOn = on;
+		if (ths.onRumble) {
+			ths.onRumble(on);
+		}
+	};
+
 	this.doRamBankChange = function(data) {
 		// Only used for mbc1 as mbc2 holds External RAM on the cartridge not in memory
 		// Set RAM Bank to the lower 2 bits of the data
@@ -307,10 +907,19 @@ function MMU() {
 		// by 8 spots instead. This is the same as multiplying by 100)
 
 		var sourceAddress = data << 8;
+		ths.setDmaWatching(true);
 		for (var i = 0xFE00; i <= 0xFE9F; i++) {
 			ths.write(i, ths.read(sourceAddress));
 			sourceAddress++;
 		}
+		ths.setDmaWatching(false);
+	};
+
+	this.setDmaWatching = function(dma) {
+		// Watchpoints set off while copying are reported as DMA
+		if (ths.breakpoints !== null) {
+			ths.breakpoints.dma = dma;
+		}
 	};
 
 	this.getJoypadState = function() {
@@ -336,6 +945,18 @@ function MMU() {
 
 		var result = ths.memory[0xFF00];
 
+		// With the Super Gameboy's multiplayer on, selecting neither the buttons
+		// nor the directions reads the current player's number (0xF for player 1,
+		// 0xE for player 2...). Only player 1 has any buttons pressed
+		if (ths.sgb !== null && ths.sgb.enabled && ths.sgb.playerCount > 1) {
+			if ((result & parseInt("00110000", 2)) === parseInt("00110000", 2)) {
+				return 0xF0 | (0xF - ths.sgb.currentPlayer);
+			}
+			if (ths.sgb.currentPlayer !== 0) {
+				return result | parseInt("11001111", 2);
+			}
+		}
+
 		// Flip the bits
 		result ^= 0xFF;
 
@@ -358,3 +979,8 @@ function MMU() {
 	};
 
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+	var RealTimeClock = require('./RealTimeClock.js');
+	module.exports = MMU;
+}
@@ -0,0 +1,725 @@
+function PPU(gameboy) {
+	// PIXEL PROCESSING UNIT INFO
+	//
+	// The LCD is drawn a dot (pixel clock, the same 4194304 Hz as the CPU) at a
+	// time. Each of the 154 lines takes 456 dots, lines 0-143 are drawn and
+	// 144-153 are the Vertical Blank period. A drawn line goes through the modes
+	// that show in the bottom 2 bits of STAT (0xFF41)
+	// Mode 2 (OAM Scan):  80 dots, finds the (up to 10) sprites on the line
+	// Mode 3 (Drawing):   172-289 dots, pixels are pushed out to the screen
+	// Mode 0 (H-Blank):   What's left of the 456 dots
+	// Mode 1 (V-Blank):   All of lines 144-153
+	//
+	// While drawing, the fetcher reads the background (or window) a tile at a time,
+	// 2 dots each for the tile number, the low byte and the high byte, and pushes
+	// the tile's 8 pixels into the background FIFO once it is empty. Every dot a
+	// pixel comes out of the FIFO, is mixed with the sprite FIFO and goes to the
+	// screen. So mode 3 takes longer when
+	// - SCX isn't a multiple of 8: the first SCX & 7 pixels are thrown away
+	// - The window starts: the FIFO is emptied and the fetcher starts again on
+	//   the window (6 dots)
+	// - A sprite starts: the fetcher finishes the tile it's on (0-5 dots, once per
+	//   tile) and then fetches the sprite into the sprite FIFO (6 dots)
+	// Registers are read as the pixels that use them are fetched or drawn, so
+	// changing SCX, the palettes or LCDC part way along a line shows part way along
+	// it, as it does on the real thing
+	//
+	// The CPU catches the PPU up after every instruction (see Gameboy.step) so
+	// register writes land within an instruction of where they would on hardware
+
+	var ths = this;
+
+	this.gameboy = gameboy;
+	this.mmu = gameboy.mmu;
+
+	this.MODE_HBLANK = 0;
+	this.MODE_VBLANK = 1;
+	this.MODE_OAM_SCAN = 2;
+	this.MODE_DRAWING = 3;
+
+	this.DOTS_PER_LINE = 456;
+	this.OAM_SCAN_DOTS = 80;
+	this.VISIBLE_LINES = 144;
+	this.LINES_PER_FRAME = 154;
+	this.MAX_SPRITES_PER_LINE = 10;
+
+	// The first tile fetched on every line is thrown away, so drawing always
+	// starts this many dots late
+	this.FIRST_FETCH_DOTS = 6;
+	// Dots taken to fetch a sprite once the background fetcher has finished its tile
+	// (which takes up to 5 more)
+	this.SPRITE_FETCH_DOTS = 6;
+	// Dots taken to set the fetcher up for the window
+	this.WINDOW_FETCH_DOTS = 6;
+
+	// Fetcher steps, each but the last takes 2 dots. The last waits until the
+	// background FIFO is empty
+	this.FETCH_TILE = 0;
+	this.FETCH_DATA_LOW = 1;
+	this.FETCH_DATA_HIGH = 2;
+	this.FETCH_PUSH = 3;
+
+	this.LCD_CONTROL_ADDR = 0xFF40;
+	this.SCROLL_Y_ADDR = 0xFF42;
+	this.SCROLL_X_ADDR = 0xFF43;
+	this.CURRENT_SCANLINE_ADDR = 0xFF44;
+	this.WINDOW_Y_ADDR = 0xFF4A;
+	this.WINDOW_X_ADDR = 0xFF4B;
+	this.OAM_ADDR = 0xFE00;
+
+	// Sprites found by the OAM scan: their index in OAM, their X position and
+	// whether they've been fetched yet
+	this.spriteIndexes = new Uint8Array(this.MAX_SPRITES_PER_LINE);
+	this.spriteXs = new Uint8Array(this.MAX_SPRITES_PER_LINE);
+	this.spritesFetched = new Uint8Array(this.MAX_SPRITES_PER_LINE);
+
+	// Background FIFO, the colour ids of one tile's pixels (only ever pushed into
+	// when empty). They all share the tile's CGB attributes
+	this.backgroundFifo = new Uint8Array(8);
+
+	// Sprite FIFO, a ring of 8 pixels. Each has its colour id, the sprite's
+	// attributes (for palette and priority) and its OAM index (for CGB priority)
+	this.spriteFifoColours = new Uint8Array(8);
+	this.spriteFifoAttributes = new Uint8Array(8);
+	this.spriteFifoIndexes = new Uint8Array(8);
+
+	this.initialize = function() {
+		// Dot of the current line (0-455) and the mode it's in
+		ths.dot = 0;
+		ths.mode = ths.MODE_OAM_SCAN;
+		ths.lcdEnabled = true;
+
+		// Whether the STAT interrupt line is high (see Gameboy.setLcdStatus), the
+		// LCD Interrupt is only requested when it goes from low to high
+		ths.statInterruptLine = false;
+
+		// The window is shown from the line where LY first equals WY, and has its
+		// own line counter which only moves on lines where the window was drawn
+		ths.windowTriggered = false;
+		ths.windowLine = 0;
+
+		// How many dots mode 3 took on the last line drawn
+		ths.drawingDots = 0;
+
+		// Frames finished (V-Blanks started) since we were initialized
+		ths.frameCount = 0;
+
+		// Line 0 doesn't come through startOamScan, so look for the window here
+		ths.startLine();
+		ths.checkWindowY();
+	};
+
+	this.startLine = function() {
+		// Line state, set up again at the start of each line
+		ths.pixelX = 0;
+		ths.discardPixels = 0;
+		ths.delayDots = 0;
+		ths.drawingStart = 0;
+
+		ths.spriteCount = 0;
+		ths.spritesFetched.fill(0);
+		ths.spriteFetching = -1;
+		ths.spriteFetchDots = 0;
+		ths.spriteWaited = false;
+
+		ths.backgroundFifoLength = 0;
+		ths.backgroundFifoAttributes = 0;
+
+		ths.spriteFifoStart = 0;
+		ths.spriteFifoLength = 0;
+
+		// Fetcher
+		ths.fetchingWindow = false;
+		ths.windowDrawn = false;
+		ths.fetcherStep = ths.FETCH_TILE;
+		ths.fetcherDots = 0;
+		ths.fetcherX = 0;
+		ths.fetcherTileAddress = 0;
+		ths.fetcherAttributes = 0;
+		ths.fetcherLow = 0;
+		ths.fetcherHigh = 0;
+	};
+
+	this.update = function(cycles) {
+		// Move the LCD on by cycles dots
+		var memory = ths.mmu.memory;
+
+		if (!(memory[ths.LCD_CONTROL_ADDR] & parseInt("10000000", 2))) {
+			// With the LCD off LY stays at 0 and STAT shows mode 0. When it's
+			// turned back on it starts again from the top of a frame
+			if (ths.lcdEnabled) {
+				ths.lcdEnabled = false;
+				memory[ths.CURRENT_SCANLINE_ADDR] = 0;
+				ths.dot = 0;
+				ths.mode = ths.MODE_HBLANK;
+			}
+			ths.gameboy.setLcdStatus();
+			return;
+		}
+
+		if (!ths.lcdEnabled) {
+			ths.lcdEnabled = true;
+			ths.windowTriggered = false;
+			ths.windowLine = 0;
+			ths.startOamScan();
+		}
+
+		while (cycles > 0) {
+			if (ths.mode === ths.MODE_DRAWING) {
+				ths.drawDot();
+				ths.dot++;
+				cycles--;
+				continue;
+			}
+
+			// Nothing happens dot by dot in the other modes so skip to whichever
+			// comes first of the end of the cycles and the next mode change
+			var end = ths.mode === ths.MODE_OAM_SCAN ? ths.OAM_SCAN_DOTS : ths.DOTS_PER_LINE;
+			var dots = Math.min(cycles, end - ths.dot);
+			ths.dot += dots;
+			cycles -= dots;
+
+			if (ths.dot === end) {
+				if (ths.mode === ths.MODE_OAM_SCAN) {
+					ths.startDrawing();
+				} else {
+					ths.nextLine();
+				}
+			}
+		}
+
+		// LYC may have been written since we last looked
+		ths.gameboy.setLcdStatus();
+	};
+
+	this.nextLine = function() {
+		var memory = ths.mmu.memory;
+		var scanline = memory[ths.CURRENT_SCANLINE_ADDR] + 1;
+		ths.dot = 0;
+
+		if (scanline >= ths.LINES_PER_FRAME) {
+			scanline = 0;
+			ths.windowTriggered = false;
+			ths.windowLine = 0;
+		}
+		memory[ths.CURRENT_SCANLINE_ADDR] = scanline;
+
+		if (scanline < ths.VISIBLE_LINES) {
+			ths.startOamScan();
+		} else if (scanline === ths.VISIBLE_LINES) {
+			ths.mode = ths.MODE_VBLANK;
+			ths.frameCount++;
+
+			// We only need to request this interrupt as we enter Vertical Blank
+			// period, not for every line in V-Blank
+			ths.gameboy.requestInterrupt(0); // 0 is the bit for V-Blank interrupt
+
+			// The frame is finished so the Super Gameboy can put it in its border
+			if (ths.gameboy.sgbMode) {
+				ths.gameboy.sgb.onVblank();
+			}
+			ths.gameboy.setLcdStatus();
+		}
+	};
+
+	this.startOamScan = function() {
+		ths.mode = ths.MODE_OAM_SCAN;
+		ths.startLine();
+		ths.checkWindowY();
+		ths.gameboy.setLcdStatus();
+	};
+
+	this.checkWindowY = function() {
+		// The window is triggered for the rest of the frame once LY has equalled WY
+		var memory = ths.mmu.memory;
+		if (memory[ths.WINDOW_Y_ADDR] === memory[ths.CURRENT_SCANLINE_ADDR]) {
+			ths.windowTriggered = true;
+		}
+	};
+
+	this.startDrawing = function() {
+		// The OAM scan finds the first 10 sprites (in OAM order) that are on this
+		// line. It's done in one go here as the CPU can't get at OAM during it
+		var memory = ths.mmu.memory;
+		var scanline = memory[ths.CURRENT_SCANLINE_ADDR];
+		var spriteHeight = (memory[ths.LCD_CONTROL_ADDR] & parseInt("00000100", 2)) ? 16 : 8;
+
+		for (var sprite = 0; sprite < 40 && ths.spriteCount < ths.MAX_SPRITES_PER_LINE; sprite++) {
+			// Sprite Y positions are the screen position plus 16
+			var y = memory[ths.OAM_ADDR + (sprite * 4)];
+			if (scanline + 16 >= y && scanline + 16 < y + spriteHeight) {
+				ths.spriteIndexes[ths.spriteCount] = sprite;
+				ths.spriteXs[ths.spriteCount] = memory[ths.OAM_ADDR + (sprite * 4) + 1];
+				ths.spriteCount++;
+			}
+		}
+
+		ths.mode = ths.MODE_DRAWING;
+		ths.drawingStart = ths.dot;
+		ths.delayDots = ths.FIRST_FETCH_DOTS;
+		ths.discardPixels = memory[ths.SCROLL_X_ADDR] & 7;
+		ths.gameboy.setLcdStatus();
+	};
+
+	this.finishDrawing = function() {
+		// The dot after the last pixel is the start of H-Blank
+		ths.drawingDots = ths.dot + 1 - ths.drawingStart;
+		if (ths.windowDrawn) {
+			ths.windowLine++;
+		}
+
+		ths.mode = ths.MODE_HBLANK;
+		// Entering H-Blank is when an H-Blank DMA copies its next block
+		ths.mmu.doHblankDma();
+		ths.gameboy.setLcdStatus();
+	};
+
+	this.drawDot = function() {
+		var memory = ths.mmu.memory;
+		var lcdControl = memory[ths.LCD_CONTROL_ADDR];
+
+		if (ths.delayDots > 0) {
+			ths.delayDots--;
+			return;
+		}
+
+		// The window starts when we get to WX - 7 on a line at or below WY. It
+		// can't start left of the screen, a WX below 7 throws away its first pixels
+		if (!ths.fetchingWindow && ths.windowTriggered && (lcdControl & parseInt("00100000", 2))) {
+			var windowX = memory[ths.WINDOW_X_ADDR];
+			if (ths.pixelX + 7 === windowX || (windowX < 7 && ths.pixelX === 0)) {
+				// Starting the fetcher again on the window costs the tile it was
+				// on. At the start of the line it hasn't fetched anything yet, but
+				// setting up for the window takes just as long
+				var fetcherFresh = ths.fetcherStep === ths.FETCH_TILE && ths.fetcherDots === 0 &&
+					ths.fetcherX === 0 && ths.backgroundFifoLength === 0;
+				ths.fetchingWindow = true;
+				ths.windowDrawn = true;
+				ths.backgroundFifoLength = 0;
+				ths.fetcherStep = ths.FETCH_TILE;
+				ths.fetcherDots = 0;
+				ths.fetcherX = 0;
+				ths.discardPixels = windowX < 7 ? 7 - windowX : 0;
+				if (fetcherFresh) {
+					// This dot is the first of them
+					ths.delayDots = ths.WINDOW_FETCH_DOTS - 1;
+					return;
+				}
+			}
+		}
+
+		ths.fetchDot();
+
+		if (ths.spriteFetching === -1) {
+			ths.findSprite(lcdControl);
+		}
+
+		// Drawing stops while a sprite is fetched
+		if (ths.spriteFetching !== -1) {
+			ths.spriteFetchDots--;
+			if (ths.spriteFetchDots === 0) {
+				ths.fetchSprite(ths.spriteFetching);
+				ths.spritesFetched[ths.spriteFetching] = 1;
+				ths.spriteFetching = -1;
+			}
+			return;
+		}
+
+		if (ths.backgroundFifoLength === 0) {
+			return;
+		}
+
+		// Pixels scrolled off the left (SCX & 7) come out of the FIFO but don't
+		// go to the screen
+		if (ths.discardPixels > 0) {
+			ths.discardPixels--;
+			ths.backgroundFifoLength--;
+			return;
+		}
+
+		ths.drawPixel(lcdControl);
+		ths.pixelX++;
+
+		if (ths.pixelX === ths.gameboy.VISIBLE_WIDTH) {
+			ths.finishDrawing();
+		}
+	};
+
+	this.findSprite = function(lcdControl) {
+		// A sprite starts once we get to its X position minus 8 (or straight away
+		// for sprites hanging off the left of the screen), as long as there are
+		// background pixels to mix it with. On the original gameboy sprites turned
+		// off don't hold the drawing up
+		if (ths.spriteCount === 0 || ths.backgroundFifoLength === 0 || ths.discardPixels > 0 ||
+			!(ths.gameboy.cgbMode || (lcdControl & parseInt("00000010", 2)))) {
+			return;
+		}
+
+		for (var i = 0; i < ths.spriteCount; i++) {
+			if (!ths.spritesFetched[i] && ths.spriteXs[i] <= ths.pixelX + 8) {
+				ths.spriteFetching = i;
+				ths.spriteFetchDots = ths.SPRITE_FETCH_DOTS;
+
+				// The background fetcher has to finish the next tile first. It's
+				// done 1 dot of it for every pixel of this tile that has come out
+				// of the FIFO, so it needs up to 5 more. Only the first sprite on a
+				// tile waits for it
+				if (!ths.spriteWaited) {
+					ths.spriteFetchDots += Math.max(0, ths.backgroundFifoLength - 3);
+					ths.spriteWaited = true;
+				}
+				return;
+			}
+		}
+	};
+
+	this.fetchDot = function() {
+		// Move the background fetcher on by one dot
+		if (ths.fetcherStep === ths.FETCH_PUSH) {
+			if (ths.backgroundFifoLength === 0) {
+				ths.pushTile();
+			}
+			return;
+		}
+
+		ths.fetcherDots++;
+		if (ths.fetcherDots < 2) {
+			return;
+		}
+		ths.fetcherDots = 0;
+
+		switch (ths.fetcherStep) {
+			case ths.FETCH_TILE:
+				ths.fetchTile();
+				break;
+			case ths.FETCH_DATA_LOW:
+				ths.fetcherLow = ths.mmu.readVram(ths.getFetcherBank(), ths.fetcherTileAddress);
+				break;
+			case ths.FETCH_DATA_HIGH:
+				ths.fetcherHigh = ths.mmu.readVram(ths.getFetcherBank(), ths.fetcherTileAddress + 1);
+				break;
+		}
+		ths.fetcherStep++;
+	};
+
+	this.fetchTile = function() {
+		// Find the tile number (and its CGB attributes) of the next 8 pixels.
+		// The background and window maps are 32x32 tiles at 9800-9BFF or
+		// 9C00-9FFF, picked by bit 3 (background) or bit 6 (window) of LCDC
+		var memory = ths.mmu.memory;
+		var lcdControl = memory[ths.LCD_CONTROL_ADDR];
+		var mapStart;
+		var column;
+		var y;
+
+		if (ths.fetchingWindow) {
+			mapStart = (lcdControl & parseInt("01000000", 2)) ? 0x9C00 : 0x9800;
+			column = ths.fetcherX & 31;
+			y = ths.windowLine;
+		} else {
+			// The background wraps around at 256
+			mapStart = (lcdControl & parseInt("00001000", 2)) ? 0x9C00 : 0x9800;
+			column = ((memory[ths.SCROLL_X_ADDR] >> 3) + ths.fetcherX) & 31;
+			y = (memory[ths.CURRENT_SCANLINE_ADDR] + memory[ths.SCROLL_Y_ADDR]) & 0xFF;
+		}
+
+		var mapAddress = mapStart + ((y >> 3) * 32) + column;
+		var tileIdentifier = ths.mmu.readVram(0, mapAddress);
+
+		// In CGB mode the same place in VRAM bank 1 holds the tile's attributes
+		// Bit 0-2 Background palette number (BGP0-7)
+		// Bit 3   Tile VRAM bank number (0=Bank 0, 1=Bank 1)
+		// Bit 5   Horizontal flip
+		// Bit 6   Vertical flip
+		// Bit 7   Background to sprite priority (1=Draw over sprites)
+		ths.fetcherAttributes = ths.gameboy.cgbMode ? ths.mmu.readVram(1, mapAddress) : 0;
+
+		// Tile data is in one of two regions based on bit 4 of LCDC. At 8000-8FFF
+		// tile numbers are unsigned, at 8800-97FF they're signed and relative to 0x9000
+		var tileAddress;
+		if (lcdControl & parseInt("00010000", 2)) {
+			tileAddress = 0x8000 + (tileIdentifier * 16);
+		} else {
+			tileAddress = 0x9000 + (((tileIdentifier << 24) >> 24) * 16);
+		}
+
+		// Every line of a tile takes up 2 bytes
+		var line = y & 7;
+		if (ths.fetcherAttributes & parseInt("01000000", 2)) {
+			line = 7 - line;
+		}
+		ths.fetcherTileAddress = tileAddress + (line * 2);
+	};
+
+	this.getFetcherBank = function() {
+		return (ths.fetcherAttributes & parseInt("00001000", 2)) ? 1 : 0;
+	};
+
+	this.pushTile = function() {
+		// An 8-bit line of pixels has colour determined like this example
+		// pixel# = 1 2 3 4 5 6 7 8
+		// data 2 = 1 0 1 0 1 1 1 0
+		// data 1 = 0 0 1 1 0 1 0 1
+		// Pixel 1 colour id: 10
+		// Pixel 2 colour id: 00
+		// Pixel 3 colour id: 11
+		// Pixel 4 colour id: 01
+		// Pixel 5 colour id: 10
+		// Pixel 6 colour id: 11
+		// Pixel 7 colour id: 10
+		// Pixel 8 colour id: 01
+		var xFlip = ths.fetcherAttributes & parseInt("00100000", 2);
+		for (var pixel = 0; pixel < 8; pixel++) {
+			var colourBit = xFlip ? pixel : 7 - pixel;
+			ths.backgroundFifo[pixel] = (((ths.fetcherHigh >> colourBit) & 1) << 1) |
+				((ths.fetcherLow >> colourBit) & 1);
+		}
+		ths.backgroundFifoLength = 8;
+		ths.backgroundFifoAttributes = ths.fetcherAttributes;
+		ths.spriteWaited = false;
+
+		ths.fetcherX++;
+		ths.fetcherStep = ths.FETCH_TILE;
+	};
+
+	this.fetchSprite = function(sprite) {
+		// Each sprite has 4 bytes of attributes in OAM (0xFE00-0xFE9F)
+		// 0: Y Position (screen position plus 16)
+		// 1: X Position (screen position plus 8)
+		// 2: Tile number, sprite tiles are always at 0x8000-0x8FFF
+		// 3: Attributes
+		//    Bit7: Sprite to Background Priority (1=Behind background colours 1-3)
+		//    Bit6: Y flip
+		//    Bit5: X flip
+		//    Bit4: Palette number. 0 then it gets it palette from 0xFF48 otherwise 0xFF49
+		//          (Not used in CGB mode)
+		//    Bit3: Tile VRAM bank (CGB mode only)
+		//    Bit2-0: Palette number OBP0-7 (CGB mode only)
+		var memory = ths.mmu.memory;
+		var index = ths.spriteIndexes[sprite];
+		var address = ths.OAM_ADDR + (index * 4);
+
+		var is8x16 = memory[ths.LCD_CONTROL_ADDR] & parseInt("00000100", 2);
+		var spriteHeight = is8x16 ? 16 : 8;
+		var patternNum = memory[address + 2];
+		var attributes = memory[address + 3];
+
+		var line = memory[ths.CURRENT_SCANLINE_ADDR] + 16 - memory[address];
+		if (attributes & parseInt("01000000", 2)) {
+			line = spriteHeight - 1 - line;
+		}
+		// 8x16 sprites ignore bit 0 of the pattern number
+		if (is8x16) {
+			patternNum &= 0xFE;
+		}
+		// OAM may have changed since the scan, keep to the sprite's lines
+		line &= spriteHeight - 1;
+
+		var tileBank = (ths.gameboy.cgbMode && (attributes & parseInt("00001000", 2))) ? 1 : 0;
+		var tileDataAddress = 0x8000 + (patternNum * 16) + (line * 2);
+		var firstTileByte = ths.mmu.readVram(tileBank, tileDataAddress);
+		var secondTileByte = ths.mmu.readVram(tileBank, tileDataAddress + 1);
+
+		// Fill the sprite FIFO up with transparent pixels, then put the sprite's
+		// pixels in where what's there is transparent. On the original gameboy
+		// sprites to the left win, and they're fetched first. In CGB mode the one
+		// earlier in OAM wins
+		while (ths.spriteFifoLength < 8) {
+			var slot = (ths.spriteFifoStart + ths.spriteFifoLength) & 7;
+			ths.spriteFifoColours[slot] = 0;
+			ths.spriteFifoLength++;
+		}
+
+		// Pixels of sprites hanging off the left of the screen are already gone
+		var skip = ths.pixelX + 8 - ths.spriteXs[sprite];
+		var xFlip = attributes & parseInt("00100000", 2);
+		for (var pixel = skip; pixel < 8; pixel++) {
+			var colourBit = xFlip ? pixel : 7 - pixel;
+			var colourId = (((secondTileByte >> colourBit) & 1) << 1) | ((firstTileByte >> colourBit) & 1);
+
+			// Colour 0 is transparent for sprites
+			if (colourId === 0) continue;
+
+			var fifoSlot = (ths.spriteFifoStart + pixel - skip) & 7;
+			if (ths.spriteFifoColours[fifoSlot] === 0 ||
+				(ths.gameboy.cgbMode && index < ths.spriteFifoIndexes[fifoSlot])) {
+				ths.spriteFifoColours[fifoSlot] = colourId;
+				ths.spriteFifoAttributes[fifoSlot] = attributes;
+				ths.spriteFifoIndexes[fifoSlot] = index;
+			}
+		}
+	};
+
+	this.drawPixel = function(lcdControl) {
+		// Take a pixel from each FIFO, mix them and put the result on the screen
+		var gameboy = ths.gameboy;
+		var scanline = ths.mmu.memory[ths.CURRENT_SCANLINE_ADDR];
+
+		var backgroundColourId = ths.backgroundFifo[8 - ths.backgroundFifoLength];
+		var backgroundAttributes = ths.backgroundFifoAttributes;
+		ths.backgroundFifoLength--;
+
+		var spriteColourId = 0;
+		var spriteAttributes = 0;
+		if (ths.spriteFifoLength > 0) {
+			spriteColourId = ths.spriteFifoColours[ths.spriteFifoStart];
+			spriteAttributes = ths.spriteFifoAttributes[ths.spriteFifoStart];
+			ths.spriteFifoStart = (ths.spriteFifoStart + 1) & 7;
+			ths.spriteFifoLength--;
+		}
+
+		// On the original gameboy bit 0 of LCDC turns the background (and window)
+		// off and leaves it white. In CGB mode it doesn't, instead the background
+		// and window lose their priority over sprites
+		var backgroundHasPriority = true;
+		var backgroundBlank = false;
+		if (!(lcdControl & parseInt("00000001", 2))) {
+			if (gameboy.cgbMode) {
+				backgroundHasPriority = false;
+			} else {
+				backgroundColourId = 0;
+				backgroundBlank = true;
+			}
+		}
+
+		// Bit 1 of LCDC turns sprites off. The background wins over the sprite
+		// where it isn't colour 0 if either the sprite or (in CGB mode) the tile
+		// asked for it
+		var drawSprite = spriteColourId !== 0 && (lcdControl & parseInt("00000010", 2));
+		if (drawSprite && backgroundHasPriority && backgroundColourId !== 0 &&
+			((spriteAttributes & parseInt("10000000", 2)) || (backgroundAttributes & parseInt("10000000", 2)))) {
+			drawSprite = false;
+		}
+
+		if (drawSprite) {
+			if (gameboy.cgbMode) {
+				gameboy.setCgbPixel(ths.pixelX, scanline, ths.mmu.spritePalettes,
+					spriteAttributes & parseInt("00000111", 2), spriteColourId);
+			} else {
+				var paletteAddr = (spriteAttributes & parseInt("00010000", 2)) ? 0xFF49 : 0xFF48;
+				gameboy.setDmgPixel(ths.pixelX, scanline, gameboy.getShade(spriteColourId, paletteAddr));
+			}
+		} else if (gameboy.cgbMode) {
+			gameboy.setCgbPixel(ths.pixelX, scanline, ths.mmu.backgroundPalettes,
+				backgroundAttributes & parseInt("00000111", 2), backgroundColourId);
+		} else if (backgroundBlank) {
+			gameboy.setDmgPixel(ths.pixelX, scanline, 0);
+		} else {
+			// The background palette is in memory 0xFF47
+			gameboy.setDmgPixel(ths.pixelX, scanline, gameboy.getShade(backgroundColourId, 0xFF47));
+		}
+	};
+
+	this.resume = function(dot) {
+		// Pick up from dot of the current line when all we know is where we are
+		// (a save state from before the PPU had its own). A line part way through
+		// drawing is drawn again from the start of mode 3
+		var scanline = ths.mmu.memory[ths.CURRENT_SCANLINE_ADDR];
+		ths.startLine();
+		ths.lcdEnabled = (ths.mmu.memory[ths.LCD_CONTROL_ADDR] & parseInt("10000000", 2)) !== 0;
+		ths.statInterruptLine = false;
+		ths.windowTriggered = scanline >= ths.mmu.memory[ths.WINDOW_Y_ADDR];
+		ths.windowLine = ths.windowTriggered ? scanline - ths.mmu.memory[ths.WINDOW_Y_ADDR] : 0;
+
+		if (scanline >= ths.VISIBLE_LINES) {
+			ths.mode = ths.MODE_VBLANK;
+			ths.dot = dot;
+		} else if (dot < ths.OAM_SCAN_DOTS) {
+			ths.mode = ths.MODE_OAM_SCAN;
+			ths.dot = dot;
+		} else {
+			ths.dot = ths.OAM_SCAN_DOTS;
+			ths.startDrawing();
+		}
+	};
+
+	this.writeState = function(writer) {
+		writer.writeInt(ths.dot);
+		writer.writeByte(ths.mode);
+		writer.writeBool(ths.lcdEnabled);
+		writer.writeBool(ths.statInterruptLine);
+		writer.writeBool(ths.windowTriggered);
+		writer.writeByte(ths.windowLine);
+		writer.writeInt(ths.drawingDots);
+
+		writer.writeByte(ths.pixelX);
+		writer.writeByte(ths.discardPixels);
+		writer.writeByte(ths.delayDots);
+		writer.writeInt(ths.drawingStart);
+
+		writer.writeByte(ths.spriteCount);
+		writer.writeBytes(ths.spriteIndexes);
+		writer.writeBytes(ths.spriteXs);
+		writer.writeBytes(ths.spritesFetched);
+		writer.writeInt(ths.spriteFetching);
+		writer.writeByte(ths.spriteFetchDots);
+		writer.writeBool(ths.spriteWaited);
+
+		writer.writeBytes(ths.backgroundFifo);
+		writer.writeByte(ths.backgroundFifoLength);
+		writer.writeByte(ths.backgroundFifoAttributes);
+		writer.writeBytes(ths.spriteFifoColours);
+		writer.writeBytes(ths.spriteFifoAttributes);
+		writer.writeBytes(ths.spriteFifoIndexes);
+		writer.writeByte(ths.spriteFifoStart);
+		writer.writeByte(ths.spriteFifoLength);
+
+		writer.writeBool(ths.fetchingWindow);
+		writer.writeBool(ths.windowDrawn);
+		writer.writeByte(ths.fetcherStep);
+		writer.writeByte(ths.fetcherDots);
+		writer.writeByte(ths.fetcherX);
+		writer.writeWord(ths.fetcherTileAddress);
+		writer.writeByte(ths.fetcherAttributes);
+		writer.writeByte(ths.fetcherLow);
+		writer.writeByte(ths.fetcherHigh);
+	};
+
+	this.readState = function(reader) {
+		ths.dot = reader.readInt();
+		ths.mode = reader.readByte();
+		ths.lcdEnabled = reader.readBool();
+		ths.statInterruptLine = reader.readBool();
+		ths.windowTriggered = reader.readBool();
+		ths.windowLine = reader.readByte();
+		ths.drawingDots = reader.readInt();
+
+		ths.pixelX = reader.readByte();
+		ths.discardPixels = reader.readByte();
+		ths.delayDots = reader.readByte();
+		ths.drawingStart = reader.readInt();
+
+		ths.spriteCount = reader.readByte();
+		ths.spriteIndexes.set(reader.readBytes(ths.MAX_SPRITES_PER_LINE));
+		ths.spriteXs.set(reader.readBytes(ths.MAX_SPRITES_PER_LINE));
+		ths.spritesFetched.set(reader.readBytes(ths.MAX_SPRITES_PER_LINE));
+		ths.spriteFetching = reader.readInt();
+		ths.spriteFetchDots = reader.readByte();
+		ths.spriteWaited = reader.readBool();
+
+		ths.backgroundFifo.set(reader.readBytes(8));
+		ths.backgroundFifoLength = reader.readByte();
+		ths.backgroundFifoAttributes = reader.readByte();
+		ths.spriteFifoColours.set(reader.readBytes(8));
+		ths.spriteFifoAttributes.set(reader.readBytes(8));
+		ths.spriteFifoIndexes.set(reader.readBytes(8));
+		ths.spriteFifoStart = reader.readByte();
+		ths.spriteFifoLength = reader.readByte();
+
+		ths.fetchingWindow = reader.readBool();
+		ths.windowDrawn = reader.readBool();
+		ths.fetcherStep = reader.readByte();
+		ths.fetcherDots = reader.readByte();
+		ths.fetcherX = reader.readByte();
+		ths.fetcherTileAddress = reader.readWord();
+		ths.fetcherAttributes = reader.readByte();
+		ths.fetcherLow = reader.readByte();
+		ths.fetcherHigh = reader.readByte();
+	};
+
+	this.initialize();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = PPU;
+}
@@ -0,0 +1,289 @@
+function RealTimeClock(clockSource) {
+	// MBC3 REAL TIME CLOCK
+	//
+	// The clock has 5 registers that are selected by writing 0x08-0x0C into
+	// 0x4000-0x5FFF and are then read/written through 0xA000-0xBFFF
+	// 08 RTC S  Seconds 0-59
+	// 09 RTC M  Minutes 0-59
+	// 0A RTC H  Hours 0-23
+	// 0B RTC DL Lower 8 bits of Day Counter
+	// 0C RTC DH Upper 1 bit of Day Counter, Carry Bit, Halt Flag
+	//        Bit 0 - Most significant bit of Day Counter (Bit 8)
+	//        Bit 6 - Halt (0=Active, 1=Stop Timer)
+	//        Bit 7 - Day Counter Carry Bit (1=Counter Overflow)
+	//
+	// Games don't read the counting registers directly. Writing 0 then 1 to
+	// 0x6000-0x7FFF latches the current time into the registers that are read
+
+	var ths = this;
+
+	this.SECONDS_REGISTER = 0x08;
+	this.MINUTES_REGISTER = 0x09;
+	this.HOURS_REGISTER = 0x0A;
+	this.DAY_LOW_REGISTER = 0x0B;
+	this.DAY_HIGH_REGISTER = 0x0C;
+
+	// Where we get the current time from (in milliseconds). This can be swapped
+	// out so the clock can be driven by something other than the wall clock
+	this.clockSource = clockSource || function() {
+		return Date.now();
+	};
+
+	// Counting registers
+	this.seconds = 0;
+	this.minutes = 0;
+	this.hours = 0;
+	this.days = 0;
+	this.halted = false;
+	this.dayCarry = false;
+
+	// Registers latched for the game to read (S, M, H, DL, DH)
+	this.latched = [0, 0, 0, 0, 0];
+
+	// Time of the clock source that the counting registers were last brought up
+	// to date with, and the milliseconds left over that haven't made a second yet
+	this.lastTime = this.clockSource();
+	this.millisecondsCounter = 0;
+
+	this.reset = function() {
+		ths.seconds = 0;
+		ths.minutes = 0;
+		ths.hours = 0;
+		ths.days = 0;
+		ths.halted = false;
+		ths.dayCarry = false;
+		ths.latched = [0, 0, 0, 0, 0];
+		ths.lastTime = ths.clockSource();
+		ths.millisecondsCounter = 0;
+	};
+
+	this.setClockSource = function(source) {
+		// Bring the clock up to date with the old source before moving over
+		ths.update();
+		ths.clockSource = source;
+		ths.lastTime = ths.clockSource();
+	};
+
+	this.update = function() {
+		// Advance the counting registers by however much time has passed on the
+		// clock source since we last updated them
+		var now = ths.clockSource();
+		if (!ths.halted) {
+			ths.millisecondsCounter += now - ths.lastTime;
+			if (ths.millisecondsCounter >= 1000) {
+				var elapsedSeconds = Math.floor(ths.millisecondsCounter / 1000);
+				ths.millisecondsCounter -= elapsedSeconds * 1000;
+				ths.advance(elapsedSeconds);
+			}
+		}
+		ths.lastTime = now;
+	};
+
+	this.advance = function(elapsedSeconds) {
+		while (elapsedSeconds > 0) {
+			if (ths.seconds < 60 && ths.minutes < 60 && ths.hours < 24) {
+				// All registers hold sensible values so we can work out the new time
+				// in one go
+				var total = ths.seconds + (ths.minutes * 60) + (ths.hours * 3600) + elapsedSeconds;
+				elapsedSeconds = 0;
+
+				ths.seconds = total % 60;
+				total = Math.floor(total / 60);
+				ths.minutes = total % 60;
+				total = Math.floor(total / 60);
+				ths.hours = total % 24;
+
+				var days = ths.days + Math.floor(total / 24);
+				if (days > 511) {
+					ths.dayCarry = true;
+					days %= 512;
+				}
+				ths.days = days;
+			} else {
+				// A game wrote an out of range value into a register. Those count up
+				// until they overflow their bits without carrying into the next
+				// register so tick one second at a time until things are sensible again
+				ths.tick();
+				elapsedSeconds--;
+			}
+		}
+	};
+
+	this.tick = function() {
+		ths.seconds = (ths.seconds + 1) & 0x3F;
+		if (ths.seconds !== 60) return;
+		ths.seconds = 0;
+
+		ths.minutes = (ths.minutes + 1) & 0x3F;
+		if (ths.minutes !== 60) return;
+		ths.minutes = 0;
+
+		ths.hours = (ths.hours + 1) & 0x1F;
+		if (ths.hours !== 24) return;
+		ths.hours = 0;
+
+		ths.days++;
+		if (ths.days > 511) {
+			ths.days = 0;
+			ths.dayCarry = true;
+		}
+	};
+
+	this.getRegister = function(register) {
+		// Current value of a counting register
+		switch (register) {
+			case ths.SECONDS_REGISTER:
+				return ths.seconds;
+			case ths.MINUTES_REGISTER:
+				return ths.minutes;
+			case ths.HOURS_REGISTER:
+				return ths.hours;
+			case ths.DAY_LOW_REGISTER:
+				return ths.days & 0xFF;
+			case ths.DAY_HIGH_REGISTER:
+				var dayHigh = (ths.days >> 8) & 1;
+				if (ths.halted) dayHigh |= parseInt('01000000', 2);
+				if (ths.dayCarry) dayHigh |= parseInt('10000000', 2);
+				return dayHigh;
+		}
+		return 0xFF;
+	};
+
+	this.latch = function() {
+		// Copy the current time into the registers the game can read
+		ths.update();
+		for (var register = ths.SECONDS_REGISTER; register <= ths.DAY_HIGH_REGISTER; register++) {
+			ths.latched[register - ths.SECONDS_REGISTER] = ths.getRegister(register);
+		}
+	};
+
+	// Battery backed saves of cartridges with a clock have the clock appended to
+	// the end of the RAM in the format most emulators use (48 bytes)
+	// 0-19  Seconds, Minutes, Hours, Day Low, Day High (4 bytes each, little endian)
+	// 20-39 Latched Seconds, Minutes, Hours, Day Low, Day High
+	// 40-47 Unix timestamp (seconds) of when the save was written
+	this.SAVE_DATA_SIZE = 48;
+
+	this.getSaveData = function() {
+		ths.update();
+
+		var data = new Uint8Array(ths.SAVE_DATA_SIZE);
+		var writeInt = function(offset, value) {
+			data[offset] = value & 0xFF;
+			data[offset + 1] = (value >> 8) & 0xFF;
+			data[offset + 2] = (value >> 16) & 0xFF;
+			data[offset + 3] = (value >> 24) & 0xFF;
+		};
+
+		for (var i = 0; i < 5; i++) {
+			writeInt(i * 4, ths.getRegister(ths.SECONDS_REGISTER + i));
+			writeInt(20 + (i * 4), ths.latched[i]);
+		}
+
+		var timestamp = Math.floor(ths.clockSource() / 1000);
+		writeInt(40, timestamp % 0x100000000);
+		writeInt(44, Math.floor(timestamp / 0x100000000));
+
+		return data;
+	};
+
+	this.setSaveData = function(data) {
+		// Some emulators only use a 4 byte timestamp (44 bytes total)
+		if (data.length < 44) return;
+
+		var readInt = function(offset) {
+			if (offset + 3 >= data.length) return 0;
+			return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) |
+				(data[offset + 3] << 24)) >>> 0;
+		};
+
+		ths.seconds = readInt(0) & 0x3F;
+		ths.minutes = readInt(4) & 0x3F;
+		ths.hours = readInt(8) & 0x1F;
+		var dayHigh = readInt(16);
+		ths.days = (readInt(12) & 0xFF) | ((dayHigh & 1) << 8);
+		ths.halted = (dayHigh & parseInt('01000000', 2)) !== 0;
+		ths.dayCarry = (dayHigh & parseInt('10000000', 2)) !== 0;
+		for (var i = 0; i < 5; i++) {
+			ths.latched[i] = readInt(20 + (i * 4)) & 0xFF;
+		}
+
+		// The clock kept running while the game was switched off so catch up on the
+		// time that has passed since the save was written
+		var timestamp = readInt(40) + (readInt(44) * 0x100000000);
+		ths.lastTime = Math.min(timestamp * 1000, ths.clockSource());
+		ths.millisecondsCounter = 0;
+		ths.update();
+	};
+
+	// Save states (see SaveState.js) hold the clock as it is, loading one puts
+	// the clock back to then rather than catching up on the time since
+	this.writeState = function(writer) {
+		ths.update();
+
+		writer.writeByte(ths.seconds);
+		writer.writeByte(ths.minutes);
+		writer.writeByte(ths.hours);
+		writer.writeWord(ths.days);
+		writer.writeBool(ths.halted);
+		writer.writeBool(ths.dayCarry);
+		writer.writeBytes(ths.latched);
+		writer.writeInt(ths.millisecondsCounter);
+	};
+
+	this.readState = function(reader) {
+		ths.seconds = reader.readByte();
+		ths.minutes = reader.readByte();
+		ths.hours = reader.readByte();
+		ths.days = reader.readWord();
+		ths.halted = reader.readBool();
+		ths.dayCarry = reader.readBool();
+		ths.latched = Array.prototype.slice.call(reader.readBytes(5));
+		ths.millisecondsCounter = reader.readInt();
+		ths.lastTime = ths.clockSource();
+	};
+
+	this.read = function(register) {
+		if (register < ths.SECONDS_REGISTER || register > ths.DAY_HIGH_REGISTER) {
+			return 0xFF;
+		}
+		return ths.latched[register - ths.SECONDS_REGISTER];
+	};
+
+	this.write = function(register, data) {
+		// Make sure time that has passed so far is counted before we change anything
+		ths.update();
+
+		switch (register) {
+			case ths.SECONDS_REGISTER:
+				// Writing the seconds also resets the sub-second counter
+				ths.seconds = data & 0x3F;
+				ths.millisecondsCounter = 0;
+				break;
+			case ths.MINUTES_REGISTER:
+				ths.minutes = data & 0x3F;
+				break;
+			case ths.HOURS_REGISTER:
+				ths.hours = data & 0x1F;
+				break;
+			case ths.DAY_LOW_REGISTER:
+				ths.days = (ths.days & 0x100) | (data & 0xFF);
+				break;
+			case ths.DAY_HIGH_REGISTER:
+				ths.days = (ths.days & 0xFF) | ((data & 1) << 8);
+				ths.halted = (data & parseInt('01000000', 2)) !== 0;
+				ths.dayCarry = (data & parseInt('10000000', 2)) !== 0;
+				break;
+			default:
+				return;
+		}
+
+		// Writes show up in the latched registers straight away
+		ths.latched[register - ths.SECONDS_REGISTER] = ths.getRegister(register);
+	};
+
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = RealTimeClock;
+}
@@ -0,0 +1,296 @@
+function Rewind(gameboy) {
+	// Rewind - keeps the recent history of the game so it can be run backwards.
+	// Every few frames (the interval) a snapshot of the whole machine is taken,
+	// the same bytes as a save state so it has the registers, memory, banks and
+	// the PPU, timer and sound counters. Going back loads them again, newest first
+	//
+	// A snapshot is a couple of hundred KB but very little of it changes from one
+	// to the next. So only every KEYFRAME_INTERVAL'th (a keyframe) is kept whole,
+	// the rest are XORed with the keyframe before them, which leaves zeros
+	// wherever nothing changed. All of them are stored with their runs of zeros
+	// squashed (see encode)
+	//
+	// Snapshots are kept in a ring buffer, once it's full each new one takes the
+	// place of the oldest. Deltas hold on to their keyframe so it stays around
+	// until the last of them is gone, and is counted in size until then too
+
+	var ths = this;
+
+	this.gameboy = gameboy;
+
+	this.KEYFRAME_INTERVAL = 60;
+
+	// Frames the gameboy makes a second (59.73)
+	this.FRAME_RATE = gameboy.CLOCK_SPEED / (gameboy.ppu.DOTS_PER_LINE * gameboy.ppu.LINES_PER_FRAME);
+
+	// Going back more than this much at once is forgotten, as in the Scheduler
+	this.MAX_CATCH_UP_MS = 100;
+
+	// How many times real time we go back at
+	this.speedMultiplier = 1;
+
+	this.configure = function(seconds, interval) {
+		// Keep seconds of history with a snapshot every interval frames. This
+		// throws the history we have away
+		if (!(seconds > 0) || !(interval >= 1)) {
+			throw new Error('Bad rewind length ' + seconds + 's every ' + interval + ' frames');
+		}
+		ths.seconds = seconds;
+		ths.interval = Math.floor(interval);
+		ths.capacity = Math.ceil(seconds * ths.FRAME_RATE / ths.interval);
+		ths.reset();
+	};
+
+	this.reset = function() {
+		ths.slots = new Array(ths.capacity);
+		ths.start = 0;
+		ths.count = 0;
+
+		// Bytes used by the snapshots we have, and by keyframes that have been
+		// taken out but still have deltas that need them
+		ths.size = 0;
+
+		// The keyframe new snapshots are stored against and its bytes
+		ths.keyframe = null;
+		ths.keyframeState = null;
+		ths.sinceKeyframe = 0;
+
+		// The keyframe last decoded when going back, most steps use the same one
+		ths.decodedKeyframe = null;
+		ths.decodedKeyframeState = null;
+
+		ths.lastFrameCount = ths.gameboy.ppu.frameCount;
+		ths.framesSinceSnapshot = 0;
+
+		ths.resetClock();
+		ths.framesOwed = 0;
+
+		// Output buffer for encode, grown as needed
+		ths.encodeBuffer = new Uint8Array(0);
+	};
+
+	this.resetClock = function() {
+		ths.lastTime = null;
+	};
+
+	this.setSpeed = function(multiplier) {
+		if (!(multiplier > 0)) {
+			throw new Error('Bad speed ' + multiplier);
+		}
+		ths.speedMultiplier = multiplier;
+	};
+
+	this.getSeconds = function() {
+		// How far back we can go
+		return ths.count * ths.interval / ths.FRAME_RATE;
+	};
+
+	this.update = function() {
+		// Call between runs of the emulator, takes a snapshot if enough frames
+		// have passed since the last one
+		var frameCount = ths.gameboy.ppu.frameCount;
+		ths.framesSinceSnapshot += frameCount - ths.lastFrameCount;
+		ths.lastFrameCount = frameCount;
+
+		if (ths.framesSinceSnapshot >= ths.interval) {
+			ths.framesSinceSnapshot = 0;
+			ths.takeSnapshot();
+		}
+	};
+
+	this.takeSnapshot = function() {
+		var state = ths.gameboy.saveState();
+		var slot;
+
+		if (ths.keyframe === null || ths.sinceKeyframe >= ths.KEYFRAME_INTERVAL ||
+			state.length !== ths.keyframeState.length) {
+			slot = { keyframe: null, length: state.length, data: ths.encode(state, null), deltas: 0, removed: false };
+			ths.keyframe = slot;
+			ths.keyframeState = state;
+			ths.sinceKeyframe = 0;
+		} else {
+			slot = { keyframe: ths.keyframe, length: state.length, data: ths.encode(state, ths.keyframeState) };
+			ths.keyframe.deltas++;
+			ths.sinceKeyframe++;
+		}
+
+		if (ths.count === ths.capacity) {
+			ths.removeSlot(ths.slots[ths.start]);
+			ths.slots[ths.start] = null;
+			ths.start = (ths.start + 1) % ths.capacity;
+			ths.count--;
+		}
+
+		ths.slots[(ths.start + ths.count) % ths.capacity] = slot;
+		ths.count++;
+		ths.size += slot.data.length;
+	};
+
+	this.stepBack = function() {
+		// Take the newest snapshot off and load it, returns false if there are
+		// none left
+		if (ths.count === 0) return false;
+
+		var index = (ths.start + ths.count - 1) % ths.capacity;
+		var slot = ths.slots[index];
+		ths.slots[index] = null;
+		ths.count--;
+		ths.removeSlot(slot);
+
+		// New snapshots can't be stored against a keyframe we've gone back past
+		if (slot === ths.keyframe || ths.count === 0) {
+			ths.keyframe = null;
+			ths.keyframeState = null;
+		}
+
+		ths.gameboy.loadState(ths.getState(slot));
+		ths.lastFrameCount = ths.gameboy.ppu.frameCount;
+		ths.framesSinceSnapshot = 0;
+		return true;
+	};
+
+	this.removeSlot = function(slot) {
+		// Take a slot's bytes off size. A keyframe's are only taken off once it
+		// and every delta against it are gone
+		if (slot.keyframe === null) {
+			slot.removed = true;
+			if (slot.deltas === 0) {
+				ths.size -= slot.data.length;
+			}
+			return;
+		}
+
+		ths.size -= slot.data.length;
+		slot.keyframe.deltas--;
+		if (slot.keyframe.removed && slot.keyframe.deltas === 0) {
+			ths.size -= slot.keyframe.data.length;
+		}
+	};
+
+	this.getState = function(slot) {
+		if (slot.keyframe === null) {
+			return ths.decode(slot.data, slot.length, null);
+		}
+
+		if (ths.decodedKeyframe !== slot.keyframe) {
+			ths.decodedKeyframe = slot.keyframe;
+			ths.decodedKeyframeState = ths.decode(slot.keyframe.data, slot.keyframe.length, null);
+		}
+		return ths.decode(slot.data, slot.length, ths.decodedKeyframeState);
+	};
+
+	this.run = function(now) {
+		// Go back as far as the time since the last call (from the same clock as
+		// the Scheduler is given) calls for and return true if we went anywhere.
+		// The frame after the snapshot we stop at is run so there's a picture of
+		// it to show
+		if (ths.lastTime === null) {
+			ths.lastTime = now;
+			return false;
+		}
+
+		var elapsed = Math.min(Math.max(now - ths.lastTime, 0), ths.MAX_CATCH_UP_MS);
+		ths.lastTime = now;
+		ths.framesOwed += elapsed * ths.speedMultiplier * ths.FRAME_RATE / 1000;
+
+		var steppedBack = false;
+		while (ths.framesOwed >= ths.interval) {
+			ths.framesOwed -= ths.interval;
+			if (!ths.stepBack()) {
+				ths.framesOwed = 0;
+				break;
+			}
+			steppedBack = true;
+		}
+
+		if (steppedBack) {
+			ths.gameboy.runFrame();
+			ths.lastFrameCount = ths.gameboy.ppu.frameCount;
+		}
+		return steppedBack;
+	};
+
+	this.encode = function(state, base) {
+		// XOR state with base (or nothing for a keyframe) and squash it down to
+		// pairs of counts, zeros to skip then bytes to copy, followed by the bytes
+		// to copy. Counts are stored 7 bits a byte, low bits first, with the top
+		// bit set when there's more to come
+		var length = state.length;
+		if (ths.encodeBuffer.length < length * 2 + 16) {
+			ths.encodeBuffer = new Uint8Array(length * 2 + 16);
+		}
+		var output = ths.encodeBuffer;
+		var position = 0;
+
+		var writeCount = function(count) {
+			while (count > 0x7F) {
+				output[position++] = (count & 0x7F) | 0x80;
+				count >>>= 7;
+			}
+			output[position++] = count;
+		};
+
+		var i = 0;
+		while (i < length) {
+			var zerosStart = i;
+			while (i < length && (base === null ? state[i] : state[i] ^ base[i]) === 0) {
+				i++;
+			}
+			writeCount(i - zerosStart);
+
+			// Copy up to the next run of zeros that is worth skipping
+			var copyStart = i;
+			while (i < length && ((base === null ? state[i] : state[i] ^ base[i]) !== 0 ||
+				(i + 1 < length && (base === null ? state[i + 1] : state[i + 1] ^ base[i + 1]) !== 0))) {
+				i++;
+			}
+			writeCount(i - copyStart);
+			for (var j = copyStart; j < i; j++) {
+				output[position++] = base === null ? state[j] : state[j] ^ base[j];
+			}
+		}
+
+		return output.slice(0, position);
+	};
+
+	this.decode = function(data, length, base) {
+		// Undo encode, giving back the length bytes of state
+		var state = new Uint8Array(length);
+		if (base !== null) {
+			state.set(base);
+		}
+
+		var position = 0;
+		var readCount = function() {
+			var count = 0;
+			var shift = 0;
+			var value;
+			do {
+				value = data[position++];
+				count += (value & 0x7F) * Math.pow(2, shift);
+				shift += 7;
+			} while (value & 0x80);
+			return count;
+		};
+
+		var i = 0;
+		while (position < data.length) {
+			i += readCount();
+			var copyEnd = i + readCount();
+			for (; i < copyEnd; i++) {
+				state[i] ^= data[position++];
+			}
+		}
+
+		if (i !== length) {
+			throw new Error('Rewind snapshot is corrupt');
+		}
+		return state;
+	};
+
+	this.configure(60, 2);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = Rewind;
+}
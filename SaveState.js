@@ -0,0 +1,161 @@
+// SAVE STATE FORMAT
+//
+// A save state is a snapshot of the whole machine stored as bytes (little endian)
+// 0-3  Magic "GBJS"
+// 4-5  Format version
+// 6    Header checksum (0x14D) of the ROM the state was made from
+// 7-8  Global checksum (0x14E-0x14F) of the ROM the state was made from
+// 9-   Sections, each one is
+//      0-3 Section name (4 ASCII characters, eg "CPU ")
+//      4-7 Length of the section data
+//      8-  Section data
+//
+// Every part of the emulator writes its own section so new parts can add sections
+// without breaking older states. Sections that aren't understood are skipped
+
+function SaveStateWriter() {
+
+	var ths = this;
+
+	// Bytes are written into a buffer that doubles in size when it fills up,
+	// states are taken often enough (for rewinding) that this is worth it
+	this.bytes = new Uint8Array(0x10000);
+	this.length = 0;
+
+	this.reserve = function(count) {
+		if (ths.length + count <= ths.bytes.length) return;
+
+		var size = ths.bytes.length * 2;
+		while (size < ths.length + count) {
+			size *= 2;
+		}
+		var bytes = new Uint8Array(size);
+		bytes.set(ths.bytes.subarray(0, ths.length));
+		ths.bytes = bytes;
+	};
+
+	this.writeByte = function(value) {
+		ths.reserve(1);
+		ths.bytes[ths.length++] = value & 0xFF;
+	};
+
+	this.writeWord = function(value) {
+		ths.writeByte(value);
+		ths.writeByte(value >> 8);
+	};
+
+	this.writeInt = function(value) {
+		ths.writeWord(value);
+		ths.writeWord(value >> 16);
+	};
+
+	this.writeBool = function(value) {
+		ths.writeByte(value ? 1 : 0);
+	};
+
+	this.writeBytes = function(values) {
+		// Typed arrays and plain arrays of bytes alike
+		ths.reserve(values.length);
+		ths.bytes.set(values, ths.length);
+		ths.length += values.length;
+	};
+
+	this.writeString = function(value) {
+		for (var i = 0; i < value.length; i++) {
+			ths.writeByte(value.charCodeAt(i));
+		}
+	};
+
+	this.writeSection = function(name, writeData) {
+		// Write the section header and then let writeData fill in the data. The
+		// length is filled in once we know how much was written
+		ths.writeString(name);
+		var lengthOffset = ths.length;
+		ths.writeInt(0);
+
+		writeData(ths);
+
+		var length = ths.length - lengthOffset - 4;
+		ths.bytes[lengthOffset] = length & 0xFF;
+		ths.bytes[lengthOffset + 1] = (length >> 8) & 0xFF;
+		ths.bytes[lengthOffset + 2] = (length >> 16) & 0xFF;
+		ths.bytes[lengthOffset + 3] = (length >> 24) & 0xFF;
+	};
+
+	this.toBytes = function() {
+		return ths.bytes.slice(0, ths.length);
+	};
+
+}
+
+function SaveStateReader(data) {
+
+	var ths = this;
+
+	this.data = data;
+	this.position = 0;
+
+	this.readByte = function() {
+		if (ths.position >= ths.data.length) {
+			throw new Error('Save state is truncated');
+		}
+		return ths.data[ths.position++];
+	};
+
+	this.readWord = function() {
+		return ths.readByte() | (ths.readByte() << 8);
+	};
+
+	this.readInt = function() {
+		// Signed, so negative counters (like the interrupt delays) survive
+		return ths.readWord() | (ths.readWord() << 16);
+	};
+
+	this.readBool = function() {
+		return ths.readByte() !== 0;
+	};
+
+	this.readBytes = function(length) {
+		if (ths.position + length > ths.data.length) {
+			throw new Error('Save state is truncated');
+		}
+		var values = ths.data.subarray(ths.position, ths.position + length);
+		ths.position += length;
+		return values;
+	};
+
+	this.readString = function(length) {
+		var value = '';
+		for (var i = 0; i < length; i++) {
+			value += String.fromCharCode(ths.readByte());
+		}
+		return value;
+	};
+
+	this.checkFinished = function(name) {
+		// Called once a section has been read, which should have used all of it
+		if (ths.position !== ths.data.length) {
+			throw new Error('Save state ' + name.trim() + ' section is the wrong length');
+		}
+	};
+
+	this.readSections = function() {
+		// Read every remaining section into an object of section name to a reader
+		// for the section data
+		var sections = {};
+		while (ths.position < ths.data.length) {
+			var name = ths.readString(4);
+			var length = ths.readInt();
+			sections[name] = new SaveStateReader(ths.readBytes(length));
+		}
+		return sections;
+	};
+
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		SaveStateWriter: SaveStateWriter,
+		SaveStateReader: SaveStateReader
+	};
+}
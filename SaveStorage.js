@@ -0,0 +1,120 @@
+function SaveStorage() {
+	// Keeps battery backed cartridge RAM in the browser's IndexedDB so that games
+	// remember their progress between page loads. Saves are keyed by the ROM's
+	// global checksum so each game gets its own save
+	// Quick save slots (save states) are kept here too, keyed by checksum and slot
+
+	var ths = this;
+
+	this.DATABASE_NAME = 'gameboy-js';
+	this.DATABASE_VERSION = 2;
+	this.SAVE_STORE = 'saves';
+	this.STATE_STORE = 'states';
+
+	this.database = null;
+
+	// Callbacks waiting on the database while it is being opened, null when it
+	// isn't being opened
+	this.openCallbacks = null;
+
+	this.open = function(callback) {
+		// Open the database (only once) and pass it to callback, or null if the
+		// browser can't give us one
+		if (ths.database !== null) {
+			callback(ths.database);
+			return;
+		}
+		if (typeof indexedDB === 'undefined') {
+			callback(null);
+			return;
+		}
+		if (ths.openCallbacks !== null) {
+			ths.openCallbacks.push(callback);
+			return;
+		}
+
+		ths.openCallbacks = [callback];
+		var opened = function(database) {
+			var callbacks = ths.openCallbacks;
+			ths.openCallbacks = null;
+			callbacks.forEach(function(waiting) {
+				waiting(database);
+			});
+		};
+
+		var request = indexedDB.open(ths.DATABASE_NAME, ths.DATABASE_VERSION);
+		request.onupgradeneeded = function() {
+			var database = request.result;
+			if (!database.objectStoreNames.contains(ths.SAVE_STORE)) {
+				database.createObjectStore(ths.SAVE_STORE);
+			}
+			if (!database.objectStoreNames.contains(ths.STATE_STORE)) {
+				database.createObjectStore(ths.STATE_STORE);
+			}
+		};
+		request.onsuccess = function() {
+			ths.database = request.result;
+			opened(ths.database);
+		};
+		request.onerror = function() {
+			console.log("Could not open save storage", request.error);
+			opened(null);
+		};
+	};
+
+	this.getKey = function(header) {
+		var checksum = header.globalChecksum.toString(16).toUpperCase();
+		while (checksum.length < 4) checksum = '0' + checksum;
+		return checksum;
+	};
+
+	this.get = function(store, key, callback) {
+		// Passes the value stored under key to callback, or null if there is none
+		ths.open(function(database) {
+			if (database === null) {
+				callback(null);
+				return;
+			}
+
+			var transaction = database.transaction(store, 'readonly');
+			var request = transaction.objectStore(store).get(key);
+			request.onsuccess = function() {
+				callback(request.result ? new Uint8Array(request.result) : null);
+			};
+			request.onerror = function() {
+				console.log("Could not load " + key, request.error);
+				callback(null);
+			};
+		});
+	};
+
+	this.put = function(store, key, data) {
+		ths.open(function(database) {
+			if (database === null) return;
+
+			var transaction = database.transaction(store, 'readwrite');
+			transaction.objectStore(store).put(data, key);
+			transaction.onerror = function() {
+				console.log("Could not write " + key, transaction.error);
+			};
+		});
+	};
+
+	this.load = function(header, callback) {
+		// Passes the saved RAM for this cartridge to callback, or null if there is none
+		ths.get(ths.SAVE_STORE, ths.getKey(header), callback);
+	};
+
+	this.save = function(header, data) {
+		ths.put(ths.SAVE_STORE, ths.getKey(header), data);
+	};
+
+	this.loadState = function(header, slot, callback) {
+		ths.get(ths.STATE_STORE, ths.getKey(header) + '-' + slot, callback);
+	};
+
+	this.saveState = function(header, slot, data) {
+		ths.put(ths.STATE_STORE, ths.getKey(header) + '-' + slot, data);
+	};
+
+}
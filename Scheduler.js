@@ -0,0 +1,194 @@
+function Scheduler(gameboy) {
+	// Keeps the emulator running at the speed of the real thing. Call run with
+	// the time now (in milliseconds, from whichever clock is driving us) as often
+	// as suits, eg once a display frame. It works out how many clock cycles are
+	// owed for the time that has passed since the last call and runs exactly that
+	// many, carrying over what the last instruction went past. So the gameboy
+	// makes its own 59.73 frames a second whatever rate run is called at
+	//
+	// If we fall too far behind (a slow machine, or the page was hidden) only
+	// MAX_CATCH_UP_MS worth is run and the rest is forgotten. Otherwise each call
+	// would have more to do than the last and we'd never catch up
+	//
+	// It can run faster or slower than the real thing too (setSpeed), as fast as
+	// it can (UNCAPPED), or be paused and moved on a frame at a time
+	//
+	// How fast we're going is measured as we go, fps is frames the gameboy has
+	// finished a second and speed is the percentage of real time we're keeping
+	// up with. Set onStats to a function to be called when they're updated
+
+	var ths = this;
+
+	this.gameboy = gameboy;
+
+	this.MAX_CATCH_UP_MS = 100;
+	this.STATS_INTERVAL_MS = 500;
+
+	// Speed for running as fast as we can. Each call to run then keeps going
+	// for UNCAPPED_MS of real time, leaving the rest of a display frame free
+	this.UNCAPPED = Infinity;
+	this.UNCAPPED_MS = 10;
+
+	// How many times the real speed we run at, 0.5 is half speed
+	this.speedMultiplier = 1;
+
+	this.onStats = null;
+
+	this.reset = function() {
+		ths.resetClock();
+		ths.cyclesOwed = 0;
+
+		ths.paused = false;
+		ths.framesToAdvance = 0;
+
+		ths.fps = 0;
+		ths.speed = 0;
+		ths.statsStart = null;
+		ths.statsCycles = 0;
+		ths.statsFrameCount = 0;
+	};
+
+	this.resetClock = function() {
+		// Start timing again from the next call to run, for when the clock we're
+		// given the time from changes (they count from different starts)
+		ths.lastTime = null;
+	};
+
+	this.setSpeed = function(multiplier) {
+		if (!(multiplier > 0)) {
+			throw new Error('Bad speed ' + multiplier);
+		}
+		ths.speedMultiplier = multiplier;
+	};
+
+	this.pause = function() {
+		ths.paused = true;
+		ths.cyclesOwed = 0;
+	};
+
+	this.resume = function() {
+		ths.paused = false;
+		ths.framesToAdvance = 0;
+		ths.resetClock();
+	};
+
+	this.advanceFrame = function() {
+		// Pause if we aren't already, then run one more frame on the next call to
+		// run (each call asks for another)
+		ths.pause();
+		ths.framesToAdvance++;
+	};
+
+	this.run = function(now) {
+		// Run the cycles owed up to now and return how many were executed
+		var executed = 0;
+
+		if (ths.paused) {
+			while (ths.framesToAdvance > 0) {
+				ths.framesToAdvance--;
+				executed += ths.runToNextFrame();
+			}
+			ths.lastTime = now;
+		} else if (ths.speedMultiplier === ths.UNCAPPED) {
+			executed = ths.runUncapped();
+			ths.lastTime = now;
+		} else if (ths.lastTime === null) {
+			ths.lastTime = now;
+		} else {
+			executed = ths.runOwed(now);
+		}
+
+		ths.updateStats(now, executed);
+		return executed;
+	};
+
+	this.runOwed = function(now) {
+		var elapsed = Math.min(Math.max(now - ths.lastTime, 0), ths.MAX_CATCH_UP_MS);
+		ths.lastTime = now;
+		ths.cyclesOwed += elapsed * ths.speedMultiplier * ths.gameboy.CLOCK_SPEED / 1000;
+
+		var executed = 0;
+		if (ths.cyclesOwed > 0) {
+			executed = ths.gameboy.runCycles(ths.cyclesOwed);
+			ths.cyclesOwed -= executed;
+
+			// Stopped early (by the debugger, STOP or waiting on the link cable),
+			// the time until we start again isn't owed
+			if (ths.cyclesOwed > 0) {
+				ths.cyclesOwed = 0;
+			}
+		}
+
+		return executed;
+	};
+
+	this.runUncapped = function() {
+		// Whole frames until our time is up or something stops us
+		var start = ths.getTime();
+		var executed = 0;
+		var cycles;
+
+		ths.cyclesOwed = 0;
+		do {
+			cycles = ths.gameboy.runFrame();
+			executed += cycles;
+		} while (cycles >= ths.gameboy.CYCLES_PER_FRAME && ths.getTime() - start < ths.UNCAPPED_MS);
+
+		return executed;
+	};
+
+	this.runToNextFrame = function() {
+		// Run until the next V-Blank starts so each frame advanced is a whole new
+		// picture. With the LCD off there are no V-Blanks, so we stop after a
+		// frame's worth of dots
+		var ppu = ths.gameboy.ppu;
+		var frameCount = ppu.frameCount;
+		var frameDots = ppu.DOTS_PER_LINE * ppu.LINES_PER_FRAME;
+		var executed = 0;
+
+		while (ppu.frameCount === frameCount && executed < frameDots) {
+			var cycles = ths.gameboy.runCycles(1);
+			if (cycles === 0) break;
+			executed += cycles;
+		}
+
+		return executed;
+	};
+
+	this.getTime = function() {
+		// Real time in milliseconds, for timing ourselves when uncapped
+		return typeof performance !== 'undefined' ? performance.now() : Date.now();
+	};
+
+	this.updateStats = function(now, executed) {
+		var frameCount = ths.gameboy.ppu.frameCount;
+		if (ths.statsStart === null) {
+			ths.statsStart = now;
+			ths.statsCycles = 0;
+			ths.statsFrameCount = frameCount;
+			return;
+		}
+
+		ths.statsCycles += executed;
+		var elapsed = now - ths.statsStart;
+		if (elapsed < ths.STATS_INTERVAL_MS) {
+			return;
+		}
+
+		ths.fps = (frameCount - ths.statsFrameCount) * 1000 / elapsed;
+		ths.speed = ths.statsCycles * 100 / (elapsed * ths.gameboy.CLOCK_SPEED / 1000);
+		ths.statsStart = now;
+		ths.statsCycles = 0;
+		ths.statsFrameCount = frameCount;
+
+		if (ths.onStats) {
+			ths.onStats(ths.fps, ths.speed);
+		}
+	};
+
+	this.reset();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = Scheduler;
+}
@@ -0,0 +1,35 @@
+function ScreenData(frameBuffer, width, height) {
+	// A width x height RGBA frame buffer as screenData[x][y][red, green, blue], how
+	// the screen was kept before frame buffers. It's only built again when asked
+	// for if something has been drawn since (whoever draws sets changed), and
+	// writing to it doesn't change the screen
+
+	var ths = this;
+
+	this.frameBuffer = frameBuffer;
+	this.width = width;
+	this.height = height;
+
+	this.cache = [];
+	this.changed = true;
+
+	this.get = function() {
+		if (ths.changed) {
+			for (var x = 0; x < ths.width; x++) {
+				if (!ths.cache[x]) {
+					ths.cache[x] = [];
+				}
+				for (var y = 0; y < ths.height; y++) {
+					var index = ((y * ths.width) + x) * 4;
+					ths.cache[x][y] = [ths.frameBuffer[index], ths.frameBuffer[index + 1], ths.frameBuffer[index + 2]];
+				}
+			}
+			ths.changed = false;
+		}
+		return ths.cache;
+	};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = ScreenData;
+}
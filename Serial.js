@@ -0,0 +1,190 @@
+function Serial() {
+	// SERIAL PORT (LINK CABLE) INFO
+	//
+	// FF01 SB: Serial transfer data, the byte to send. As it is sent, the byte
+	//          received from the other gameboy is shifted in to replace it
+	// FF02 SC: Serial transfer control
+	//          Bit 7 - Transfer Start Flag (0=No Transfer, 1=Start/In progress)
+	//          Bit 0 - Shift Clock (0=External Clock, 1=Internal Clock)
+	//
+	// With the internal clock this gameboy drives the transfer at 8192 Hz, so a
+	// whole byte takes 4096 cycles. With the external clock we wait for the other
+	// gameboy to drive the transfer. Either way, when all 8 bits have been swapped
+	// bit 7 of SC is cleared and the Serial Interrupt (bit 3) is requested
+	//
+	// Whatever is on the other end of the cable is the link. A link is any object
+	// with a transfer function which is called with the byte we send when we drive
+	// the clock and returns the byte the other end sends back. The other end can
+	// drive the clock for us by calling externalClock (see the links below)
+	//
+	// Links that can't answer straight away (like over a network) return null from
+	// transfer and call receive once the byte arrives. Until then we are waiting on
+	// the link and the emulator holds still so both ends stay in step. Links can
+	// also have a startExternal function which is called when we start waiting on
+	// the external clock
+
+	var ths = this;
+
+	this.SERIAL_DATA_ADDR = 0xFF01;
+	this.SERIAL_CONTROL_ADDR = 0xFF02;
+
+	// Cycles to send a whole byte with the internal clock
+	this.TRANSFER_CYCLES = 4096;
+
+	this.link = new DisconnectedLink();
+
+	// Called when a transfer completes so the Serial Interrupt can be requested
+	this.onInterrupt = null;
+
+	this.initialize = function() {
+		ths.data = 0x00;
+		ths.control = 0x7E;
+		ths.transferCounter = 0;
+		ths.waitingForLink = false;
+	};
+
+	this.setLink = function(link) {
+		ths.link = link || new DisconnectedLink();
+	};
+
+	this.isTransferring = function() {
+		return (ths.control & parseInt("10000000", 2)) !== 0;
+	};
+
+	this.isInternalClock = function() {
+		return (ths.control & 1) !== 0;
+	};
+
+	this.read = function(address) {
+		if (address === ths.SERIAL_DATA_ADDR) {
+			return ths.data;
+		}
+		// Unused bits of SC read as 1
+		return ths.control | parseInt("01111110", 2);
+	};
+
+	this.write = function(address, data) {
+		if (address === ths.SERIAL_DATA_ADDR) {
+			ths.data = data;
+			return;
+		}
+
+		ths.control = data;
+		if (ths.isTransferring()) {
+			if (ths.isInternalClock()) {
+				ths.transferCounter = ths.TRANSFER_CYCLES;
+			} else if (ths.link.startExternal) {
+				ths.link.startExternal();
+			}
+		}
+	};
+
+	this.update = function(cycles) {
+		// Only transfers we drive the clock for progress here, with the external
+		// clock we wait for the link to call externalClock
+		if (!ths.isTransferring() || !ths.isInternalClock() || ths.waitingForLink) return;
+
+		ths.transferCounter -= cycles;
+		if (ths.transferCounter <= 0) {
+			var received = ths.link.transfer(ths.data);
+			if (received === null) {
+				ths.waitingForLink = true;
+			} else {
+				ths.completeTransfer(received);
+			}
+		}
+	};
+
+	this.receive = function(received) {
+		// The link has answered a transfer we drove the clock for
+		if (!ths.waitingForLink) return;
+		ths.waitingForLink = false;
+		ths.completeTransfer(received);
+	};
+
+	this.externalClock = function(received) {
+		// The other end of the link has driven the clock for a whole byte. If we are
+		// waiting on the external clock the transfer completes, otherwise we aren't
+		// shifting so the byte is lost. Either way the other end gets our SB
+		var sent = ths.data;
+		if (ths.isTransferring() && !ths.isInternalClock()) {
+			ths.completeTransfer(received);
+		}
+		return sent;
+	};
+
+	this.completeTransfer = function(received) {
+		ths.data = received & 0xFF;
+		ths.control &= parseInt("01111111", 2);
+		if (ths.onInterrupt) {
+			ths.onInterrupt();
+		}
+	};
+
+	this.writeState = function(writer) {
+		writer.writeByte(ths.data);
+		writer.writeByte(ths.control);
+		writer.writeInt(ths.transferCounter);
+	};
+
+	this.readState = function(reader) {
+		ths.data = reader.readByte();
+		ths.control = reader.readByte();
+		ths.transferCounter = reader.readInt();
+		ths.waitingForLink = false;
+	};
+
+	this.initialize();
+}
+
+function DisconnectedLink() {
+	// Nothing plugged in. The data line is pulled high so every bit received is 1
+	this.transfer = function(data) {
+		return 0xFF;
+	};
+}
+
+function LoopbackLink() {
+	// Data out wired straight back into data in, we receive whatever we send
+	this.transfer = function(data) {
+		return data;
+	};
+}
+
+function GameboyLink(first, second) {
+	// Link cable between two Gameboy instances in the same process. Whichever one
+	// drives the clock swaps bytes with the other straight away
+	var ths = this;
+
+	this.first = first;
+	this.second = second;
+
+	this.connect = function() {
+		ths.first.serial.setLink({
+			transfer: function(data) {
+				return ths.second.serial.externalClock(data);
+			}
+		});
+		ths.second.serial.setLink({
+			transfer: function(data) {
+				return ths.first.serial.externalClock(data);
+			}
+		});
+	};
+
+	this.disconnect = function() {
+		ths.first.serial.setLink(null);
+		ths.second.serial.setLink(null);
+	};
+
+	this.connect();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		Serial: Serial,
+		DisconnectedLink: DisconnectedLink,
+		LoopbackLink: LoopbackLink,
+		GameboyLink: GameboyLink
+	};
+}
@@ -0,0 +1,628 @@
+function SuperGameboy(mmu) {
+	// SUPER GAMEBOY INFO
+	//
+	// The Super Gameboy is a gameboy on a SNES cartridge. Games that support it
+	// (0x146 is 0x03) send it commands which colour the screen and draw a
+	// 256x224 border around it. Commands are sent in 16 byte packets, one bit at
+	// a time, by pulsing P14 and P15 of the joypad register (0xFF00)
+	// P14 and P15 low  - Reset, a packet is starting
+	// P14 low          - 0 bit
+	// P15 low          - 1 bit
+	// P14 and P15 high - Between pulses
+	// Bytes are sent least significant bit first and each packet ends with a 0
+	// bit. The first byte of the first packet is the command (bits 3-7) and how
+	// many packets the command takes (bits 0-2)
+	//
+	// Colours are 15-bit like the CGB (5 bits each of red, green and blue). The
+	// screen is split into 20x18 cells of 8x8 pixels and each cell uses one of 4
+	// palettes. Colour 0 is shared by all palettes
+	//
+	// Bigger things (palettes, attribute files, the border) are sent by putting
+	// them on the gameboy screen as tiles and sending a _TRN command. The 4KB
+	// of tile data shown on the next frame is what gets transferred
+
+	var ths = this;
+
+	this.mmu = mmu;
+
+	this.SCREEN_WIDTH = 256;
+	this.SCREEN_HEIGHT = 224;
+	// Where the gameboy screen is inside the border
+	this.GAME_X = 48;
+	this.GAME_Y = 40;
+
+	// Commands
+	this.PAL01 = 0x00;
+	this.PAL23 = 0x01;
+	this.PAL03 = 0x02;
+	this.PAL12 = 0x03;
+	this.ATTR_BLK = 0x04;
+	this.ATTR_LIN = 0x05;
+	this.ATTR_DIV = 0x06;
+	this.ATTR_CHR = 0x07;
+	this.PAL_SET = 0x0A;
+	this.PAL_TRN = 0x0B;
+	this.MLT_REQ = 0x11;
+	this.CHR_TRN = 0x13;
+	this.PCT_TRN = 0x14;
+	this.ATTR_TRN = 0x15;
+	this.ATTR_SET = 0x16;
+	this.MASK_EN = 0x17;
+
+	// MASK_EN modes, what to show instead of the game while it sets things up
+	this.MASK_NONE = 0;
+	this.MASK_FREEZE = 1;
+	this.MASK_BLACK = 2;
+	this.MASK_COLOUR_0 = 3;
+
+	// Palette the Super Gameboy starts with until the game sets its own
+	this.DEFAULT_PALETTE = [0x67BF, 0x265B, 0x10B5, 0x2866];
+
+	// Only on for games that support the Super Gameboy (see Gameboy.setSgbMode)
+	this.enabled = false;
+
+	// The composed 256x224 picture, border and all, as RGBA bytes like the
+	// gameboy's frameBuffer
+	this.frameBuffer = new Uint8ClampedArray(this.SCREEN_WIDTH * this.SCREEN_HEIGHT * 4);
+
+	// The picture as screenData[x][y][red, green, blue] (see ScreenData.js)
+	this.screenDataCache = new ScreenData(this.frameBuffer, this.SCREEN_WIDTH, this.SCREEN_HEIGHT);
+	Object.defineProperty(this, 'screenData', {
+		get: this.screenDataCache.get
+	});
+
+	// Shade (0-3) of every pixel of the gameboy screen as the Super Gameboy
+	// sees it, filled in by the gameboy as it draws
+	this.shades = new Array(160 * 144);
+
+	this.initialize = function() {
+		ths.enabled = false;
+
+		// Packets coming in through the joypad register
+		ths.receiving = false;
+		ths.packetBits = 0;
+		ths.packet = new Array(16);
+		ths.lastLines = 0x30;
+		ths.command = 0;
+		ths.commandData = [];
+		ths.packetsLeft = 0;
+
+		// The 4 palettes in use, 4 colours each
+		ths.palettes = new Array(16);
+		for (var i = 0; i < 16; i++) {
+			ths.palettes[i] = ths.DEFAULT_PALETTE[i % 4];
+		}
+
+		// 512 system palettes (sent with PAL_TRN, chosen with PAL_SET)
+		ths.systemPalettes = new Array(512 * 4);
+		// Palette (0-3) for each 8x8 cell of the screen
+		ths.attributeMap = new Array(20 * 18);
+		// 45 attribute files (sent with ATTR_TRN, chosen with ATTR_SET), each is
+		// a whole attribute map packed 4 cells to a byte
+		ths.attributeFiles = new Array(45 * 90);
+		ths.fill(ths.systemPalettes, 0);
+		ths.fill(ths.attributeMap, 0);
+		ths.fill(ths.attributeFiles, 0);
+
+		// The border is 32x28 tiles of SNES 4 bit tile data (32 bytes a tile)
+		// using palettes 4-7 of 16 colours each. Colour 0 is see through
+		ths.borderTiles = new Array(256 * 32);
+		ths.borderMap = new Array(32 * 28);
+		ths.borderPalettes = new Array(4 * 16);
+		ths.fill(ths.borderTiles, 0);
+		ths.fill(ths.borderMap, 0);
+		ths.fill(ths.borderPalettes, 0);
+		ths.borderPixels = null;
+
+		ths.mask = ths.MASK_NONE;
+		ths.playerCount = 1;
+		ths.currentPlayer = 0;
+
+		// _TRN command waiting for the next frame to take its data from
+		ths.pendingTransfer = null;
+
+		// Colour of each pixel of the gameboy screen, kept so MASK_EN can freeze it
+		ths.gameColours = new Array(160 * 144);
+		ths.fill(ths.gameColours, ths.DEFAULT_PALETTE[0]);
+		ths.fill(ths.shades, 0);
+
+		for (var i = 0; i < ths.frameBuffer.length; i += 4) {
+			ths.frameBuffer[i] = 0;
+			ths.frameBuffer[i + 1] = 0;
+			ths.frameBuffer[i + 2] = 0;
+			ths.frameBuffer[i + 3] = 0xFF;
+		}
+		ths.screenDataCache.changed = true;
+	};
+
+	this.fill = function(array, value) {
+		for (var i = 0; i < array.length; i++) {
+			array[i] = value;
+		}
+	};
+
+	this.writeJoypad = function(data) {
+		// Called with everything written to 0xFF00, picks packets out of the pulses
+		var lines = data & parseInt("00110000", 2);
+
+		if (lines === 0) {
+			// Reset pulse, a new packet is starting
+			ths.receiving = true;
+			ths.packetBits = 0;
+			ths.fill(ths.packet, 0);
+
+		} else if (lines === parseInt("00110000", 2)) {
+			// With more than one player, P15 going high moves on to the next
+			// player's joypad
+			if (!ths.receiving && ths.playerCount > 1 && !(ths.lastLines & parseInt("00100000", 2))) {
+				ths.currentPlayer = (ths.currentPlayer + 1) % ths.playerCount;
+			}
+
+		} else if (ths.receiving && ths.lastLines === parseInt("00110000", 2)) {
+			// P15 low is a 1 bit, P14 low is a 0 bit
+			var bit = lines === parseInt("00010000", 2) ? 1 : 0;
+
+			if (ths.packetBits === 128) {
+				// The stop bit, which should be 0
+				ths.receiving = false;
+				if (bit === 0) {
+					ths.receivePacket();
+				}
+			} else {
+				if (bit) {
+					ths.packet[ths.packetBits >> 3] |= 1 << (ths.packetBits & 7);
+				}
+				ths.packetBits++;
+			}
+		}
+
+		ths.lastLines = lines;
+	};
+
+	this.receivePacket = function() {
+		if (ths.packetsLeft === 0) {
+			// First packet of a command
+			ths.command = ths.packet[0] >> 3;
+			ths.packetsLeft = Math.max(1, ths.packet[0] & 7);
+			ths.commandData = [];
+		}
+
+		for (var i = 0; i < 16; i++) {
+			ths.commandData.push(ths.packet[i]);
+		}
+
+		ths.packetsLeft--;
+		if (ths.packetsLeft === 0) {
+			ths.runCommand(ths.command, ths.commandData);
+		}
+	};
+
+	this.runCommand = function(command, data) {
+		switch (command) {
+			case ths.PAL01: ths.setPalettes(0, 1, data); break;
+			case ths.PAL23: ths.setPalettes(2, 3, data); break;
+			case ths.PAL03: ths.setPalettes(0, 3, data); break;
+			case ths.PAL12: ths.setPalettes(1, 2, data); break;
+			case ths.ATTR_BLK: ths.attributeBlocks(data); break;
+			case ths.ATTR_LIN: ths.attributeLines(data); break;
+			case ths.ATTR_DIV: ths.attributeDivide(data); break;
+			case ths.ATTR_CHR: ths.attributeCells(data); break;
+			case ths.PAL_SET: ths.setSystemPalettes(data); break;
+			case ths.ATTR_SET:
+				ths.applyAttributeFile(data[1] & 0x3F);
+				if (data[1] & parseInt("01000000", 2)) {
+					ths.mask = ths.MASK_NONE;
+				}
+				break;
+			case ths.MLT_REQ:
+				// 0 = 1 player, 1 = 2 players, 3 = 4 players
+				ths.playerCount = [1, 2, 1, 4][data[1] & 3];
+				ths.currentPlayer = 0;
+				break;
+			case ths.MASK_EN:
+				ths.mask = data[1] & 3;
+				break;
+			case ths.PAL_TRN:
+			case ths.CHR_TRN:
+			case ths.PCT_TRN:
+			case ths.ATTR_TRN:
+				ths.pendingTransfer = { command: command, data: data };
+				break;
+			default:
+				// Sound, SNES program and other commands aren't supported
+				break;
+		}
+	};
+
+	this.readWord = function(data, index) {
+		return data[index] | (data[index + 1] << 8);
+	};
+
+	this.setPalettes = function(first, second, data) {
+		// Colour 0 for every palette, then colours 1-3 of each of the two palettes
+		var colourZero = ths.readWord(data, 1);
+		for (var palette = 0; palette < 4; palette++) {
+			ths.palettes[palette * 4] = colourZero;
+		}
+		for (var colour = 1; colour < 4; colour++) {
+			ths.palettes[(first * 4) + colour] = ths.readWord(data, 1 + (colour * 2));
+			ths.palettes[(second * 4) + colour] = ths.readWord(data, 7 + (colour * 2));
+		}
+	};
+
+	this.setSystemPalettes = function(data) {
+		// Byte 1-8: Number of the system palette to use for palettes 0-3
+		// Byte 9:   Bit 0-5 Attribute file to apply, if bit 7 is set
+		//           Bit 6   Cancel MASK_EN
+		for (var palette = 0; palette < 4; palette++) {
+			var systemPalette = ths.readWord(data, 1 + (palette * 2)) & 0x1FF;
+			for (var colour = 0; colour < 4; colour++) {
+				ths.palettes[(palette * 4) + colour] = ths.systemPalettes[(systemPalette * 4) + colour];
+			}
+		}
+		for (var palette = 1; palette < 4; palette++) {
+			ths.palettes[palette * 4] = ths.palettes[0];
+		}
+
+		if (data[9] & parseInt("10000000", 2)) {
+			ths.applyAttributeFile(data[9] & 0x3F);
+		}
+		if (data[9] & parseInt("01000000", 2)) {
+			ths.mask = ths.MASK_NONE;
+		}
+	};
+
+	this.setAttribute = function(x, y, palette) {
+		if (x < 0 || x >= 20 || y < 0 || y >= 18) return;
+		ths.attributeMap[(y * 20) + x] = palette;
+	};
+
+	this.attributeBlocks = function(data) {
+		// Byte 1: Number of blocks, then 6 bytes for each block
+		// Byte 0: Bit 0 Change inside, Bit 1 Change border, Bit 2 Change outside
+		// Byte 1: Bit 0-1 Inside palette, Bit 2-3 Border palette, Bit 4-5 Outside palette
+		// Byte 2-5: Left, top, right and bottom of the block in cells
+		var count = data[1];
+		for (var block = 0; block < count; block++) {
+			var offset = 2 + (block * 6);
+			if (offset + 5 >= data.length) break;
+
+			var control = data[offset] & 7;
+			var insidePalette = data[offset + 1] & 3;
+			var borderPalette = (data[offset + 1] >> 2) & 3;
+			var outsidePalette = (data[offset + 1] >> 4) & 3;
+			var left = data[offset + 2] & 0x1F;
+			var top = data[offset + 3] & 0x1F;
+			var right = data[offset + 4] & 0x1F;
+			var bottom = data[offset + 5] & 0x1F;
+
+			// If only the inside or only the outside is changed, the border goes
+			// along with it
+			var changeBorder = control & 2;
+			if (control === 1) {
+				changeBorder = true;
+				borderPalette = insidePalette;
+			} else if (control === 4) {
+				changeBorder = true;
+				borderPalette = outsidePalette;
+			}
+
+			for (var y = 0; y < 18; y++) {
+				for (var x = 0; x < 20; x++) {
+					if (x > left && x < right && y > top && y < bottom) {
+						if (control & 1) ths.setAttribute(x, y, insidePalette);
+					} else if (x >= left && x <= right && y >= top && y <= bottom) {
+						if (changeBorder) ths.setAttribute(x, y, borderPalette);
+					} else if (control & 4) {
+						ths.setAttribute(x, y, outsidePalette);
+					}
+				}
+			}
+		}
+	};
+
+	this.attributeLines = function(data) {
+		// Byte 1: Number of lines, then 1 byte for each line
+		// Bit 0-4 Line number, Bit 5-6 Palette, Bit 7 (0=Vertical, 1=Horizontal)
+		var count = data[1];
+		for (var i = 0; i < count && 2 + i < data.length; i++) {
+			var line = data[2 + i] & 0x1F;
+			var palette = (data[2 + i] >> 5) & 3;
+			var horizontal = data[2 + i] & parseInt("10000000", 2);
+			for (var j = 0; j < 20; j++) {
+				if (horizontal) {
+					ths.setAttribute(j, line, palette);
+				} else {
+					ths.setAttribute(line, j, palette);
+				}
+			}
+		}
+	};
+
+	this.attributeDivide = function(data) {
+		// Byte 1: Bit 0-1 Palette right of (or below) the line
+		//         Bit 2-3 Palette left of (or above) the line
+		//         Bit 4-5 Palette of the line itself
+		//         Bit 6   (0=Vertical line, 1=Horizontal line)
+		// Byte 2: Cell the line is on
+		var afterPalette = data[1] & 3;
+		var beforePalette = (data[1] >> 2) & 3;
+		var linePalette = (data[1] >> 4) & 3;
+		var horizontal = data[1] & parseInt("01000000", 2);
+		var line = data[2] & 0x1F;
+
+		for (var y = 0; y < 18; y++) {
+			for (var x = 0; x < 20; x++) {
+				var position = horizontal ? y : x;
+				if (position < line) {
+					ths.setAttribute(x, y, beforePalette);
+				} else if (position === line) {
+					ths.setAttribute(x, y, linePalette);
+				} else {
+					ths.setAttribute(x, y, afterPalette);
+				}
+			}
+		}
+	};
+
+	this.attributeCells = function(data) {
+		// Byte 1-2: Cell to start from (x, y)
+		// Byte 3-4: Number of cells to set
+		// Byte 5:   (0=Left to right, 1=Top to bottom)
+		// Byte 6-:  Palettes, 2 bits per cell, first cell in the top bits
+		var x = data[1];
+		var y = data[2];
+		var count = ths.readWord(data, 3);
+		var vertical = data[5] & 1;
+
+		for (var i = 0; i < count && i < 360 && 6 + (i >> 2) < data.length; i++) {
+			var palette = (data[6 + (i >> 2)] >> (6 - ((i & 3) * 2))) & 3;
+			ths.setAttribute(x, y, palette);
+
+			if (vertical) {
+				y++;
+				if (y >= 18) {
+					y = 0;
+					x++;
+				}
+			} else {
+				x++;
+				if (x >= 20) {
+					x = 0;
+					y++;
+				}
+			}
+		}
+	};
+
+	this.applyAttributeFile = function(file) {
+		if (file >= 45) return;
+		for (var cell = 0; cell < 360; cell++) {
+			var packed = ths.attributeFiles[(file * 90) + (cell >> 2)];
+			ths.attributeMap[cell] = (packed >> (6 - ((cell & 3) * 2))) & 3;
+		}
+	};
+
+	this.getTransferData = function() {
+		// The 4KB shown on screen for a _TRN command. The screen is read as
+		// 256 tiles, 20 to a row, from the top left of the background map
+		var lcdControl = ths.mmu.read(0xFF40);
+		var mapStart = (lcdControl & parseInt("00001000", 2)) ? 0x9C00 : 0x9800;
+		var unsigned = lcdControl & parseInt("00010000", 2);
+
+		var data = new Array(4096);
+		for (var tile = 0; tile < 256; tile++) {
+			var tileIdentifier = ths.mmu.readVram(0, mapStart + (Math.floor(tile / 20) * 32) + (tile % 20));
+			var tileDataAddress;
+			if (unsigned) {
+				tileDataAddress = 0x8000 + (tileIdentifier * 16);
+			} else {
+				tileDataAddress = 0x9000 + (((tileIdentifier << 24) >> 24) * 16);
+			}
+			for (var i = 0; i < 16; i++) {
+				data[(tile * 16) + i] = ths.mmu.readVram(0, tileDataAddress + i);
+			}
+		}
+		return data;
+	};
+
+	this.doTransfer = function(transfer) {
+		var data = ths.getTransferData();
+
+		switch (transfer.command) {
+			case ths.PAL_TRN:
+				for (var i = 0; i < ths.systemPalettes.length; i++) {
+					ths.systemPalettes[i] = ths.readWord(data, i * 2);
+				}
+				break;
+			case ths.ATTR_TRN:
+				for (var i = 0; i < ths.attributeFiles.length; i++) {
+					ths.attributeFiles[i] = data[i];
+				}
+				break;
+			case ths.CHR_TRN:
+				// Bit 0 of byte 1 says if these are tiles 0x00-0x7F or 0x80-0xFF
+				var offset = (transfer.data[1] & 1) * 4096;
+				for (var i = 0; i < 4096; i++) {
+					ths.borderTiles[offset + i] = data[i];
+				}
+				ths.borderPixels = null;
+				break;
+			case ths.PCT_TRN:
+				// The border map, then palettes 4-7
+				for (var i = 0; i < ths.borderMap.length; i++) {
+					ths.borderMap[i] = ths.readWord(data, i * 2);
+				}
+				for (var i = 0; i < ths.borderPalettes.length; i++) {
+					ths.borderPalettes[i] = ths.readWord(data, 0x800 + (i * 2));
+				}
+				ths.borderPixels = null;
+				break;
+		}
+	};
+
+	this.renderBorder = function() {
+		// Colour of every pixel of the border, or -1 where it is see through
+		// Each entry of the border map is
+		// Bit 0-7   Tile number
+		// Bit 10-12 Palette (4-7)
+		// Bit 14    Horizontal flip
+		// Bit 15    Vertical flip
+		ths.borderPixels = new Array(ths.SCREEN_WIDTH * ths.SCREEN_HEIGHT);
+
+		for (var tileY = 0; tileY < 28; tileY++) {
+			for (var tileX = 0; tileX < 32; tileX++) {
+				var entry = ths.borderMap[(tileY * 32) + tileX];
+				var tile = entry & 0xFF;
+				var palette = ((entry >> 10) & 7) - 4;
+				var xFlip = entry & 0x4000;
+				var yFlip = entry & 0x8000;
+
+				for (var row = 0; row < 8; row++) {
+					// SNES tiles keep bit planes 0 and 1 in the first 16 bytes and
+					// bit planes 2 and 3 in the next 16, 2 bytes a row
+					var line = yFlip ? 7 - row : row;
+					var address = (tile * 32) + (line * 2);
+					var plane0 = ths.borderTiles[address];
+					var plane1 = ths.borderTiles[address + 1];
+					var plane2 = ths.borderTiles[address + 16];
+					var plane3 = ths.borderTiles[address + 17];
+
+					for (var column = 0; column < 8; column++) {
+						var bit = xFlip ? column : 7 - column;
+						var colourId = ((plane0 >> bit) & 1) | (((plane1 >> bit) & 1) << 1) |
+							(((plane2 >> bit) & 1) << 2) | (((plane3 >> bit) & 1) << 3);
+
+						var colour = -1;
+						if (colourId !== 0 && palette >= 0) {
+							colour = ths.borderPalettes[(palette * 16) + colourId];
+						}
+						ths.borderPixels[(((tileY * 8) + row) * ths.SCREEN_WIDTH) + (tileX * 8) + column] = colour;
+					}
+				}
+			}
+		}
+	};
+
+	this.onVblank = function() {
+		// Called once the gameboy has finished drawing a frame
+		if (ths.pendingTransfer !== null) {
+			ths.doTransfer(ths.pendingTransfer);
+			ths.pendingTransfer = null;
+		}
+		ths.composeFrame();
+	};
+
+	this.composeFrame = function() {
+		if (ths.borderPixels === null) {
+			ths.renderBorder();
+		}
+
+		// Colour in the gameboy screen, unless it is masked
+		if (ths.mask !== ths.MASK_FREEZE) {
+			for (var y = 0; y < 144; y++) {
+				for (var x = 0; x < 160; x++) {
+					var i = (y * 160) + x;
+					if (ths.mask === ths.MASK_BLACK) {
+						ths.gameColours[i] = 0;
+					} else if (ths.mask === ths.MASK_COLOUR_0) {
+						ths.gameColours[i] = ths.palettes[0];
+					} else {
+						var palette = ths.attributeMap[((y >> 3) * 20) + (x >> 3)];
+						ths.gameColours[i] = ths.palettes[(palette * 4) + ths.shades[i]];
+					}
+				}
+			}
+		}
+
+		// The border goes on top of the game, with colour 0 showing behind both
+		for (var y = 0; y < ths.SCREEN_HEIGHT; y++) {
+			for (var x = 0; x < ths.SCREEN_WIDTH; x++) {
+				var colour = ths.borderPixels[(y * ths.SCREEN_WIDTH) + x];
+				if (colour === -1) {
+					var gameX = x - ths.GAME_X;
+					var gameY = y - ths.GAME_Y;
+					if (gameX >= 0 && gameX < 160 && gameY >= 0 && gameY < 144) {
+						colour = ths.gameColours[(gameY * 160) + gameX];
+					} else {
+						colour = ths.palettes[0];
+					}
+				}
+				ths.setPixel(x, y, colour);
+			}
+		}
+	};
+
+	this.setPixel = function(x, y, colour) {
+		// Each 5 bit value of the 15-bit colour is scaled up to 8 bits
+		var red = colour & 0x1F;
+		var green = (colour >> 5) & 0x1F;
+		var blue = (colour >> 10) & 0x1F;
+		var index = ((y * ths.SCREEN_WIDTH) + x) * 4;
+		ths.frameBuffer[index] = (red << 3) | (red >> 2);
+		ths.frameBuffer[index + 1] = (green << 3) | (green >> 2);
+		ths.frameBuffer[index + 2] = (blue << 3) | (blue >> 2);
+		ths.screenDataCache.changed = true;
+	};
+
+	this.writeState = function(writer) {
+		var writeWords = function(words) {
+			for (var i = 0; i < words.length; i++) {
+				writer.writeWord(words[i]);
+			}
+		};
+
+		writer.writeBool(ths.enabled);
+		writeWords(ths.palettes);
+		writeWords(ths.systemPalettes);
+		writer.writeBytes(ths.attributeMap);
+		writer.writeBytes(ths.attributeFiles);
+		writer.writeBytes(ths.borderTiles);
+		writeWords(ths.borderMap);
+		writeWords(ths.borderPalettes);
+		writeWords(ths.gameColours);
+		writer.writeByte(ths.mask);
+		writer.writeByte(ths.playerCount);
+		writer.writeByte(ths.currentPlayer);
+	};
+
+	this.readState = function(reader) {
+		var readWords = function(words) {
+			for (var i = 0; i < words.length; i++) {
+				words[i] = reader.readWord();
+			}
+		};
+		var readBytes = function(bytes) {
+			var data = reader.readBytes(bytes.length);
+			for (var i = 0; i < bytes.length; i++) {
+				bytes[i] = data[i];
+			}
+		};
+
+		ths.enabled = reader.readBool();
+		readWords(ths.palettes);
+		readWords(ths.systemPalettes);
+		readBytes(ths.attributeMap);
+		readBytes(ths.attributeFiles);
+		readBytes(ths.borderTiles);
+		readWords(ths.borderMap);
+		readWords(ths.borderPalettes);
+		readWords(ths.gameColours);
+		ths.mask = reader.readByte();
+		ths.playerCount = reader.readByte();
+		ths.currentPlayer = reader.readByte();
+
+		// Whatever was half sent is lost
+		ths.receiving = false;
+		ths.packetsLeft = 0;
+		ths.pendingTransfer = null;
+		ths.borderPixels = null;
+	};
+
+	this.initialize();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	var ScreenData = require('./ScreenData.js');
+	module.exports = SuperGameboy;
+}
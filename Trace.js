@@ -0,0 +1,77 @@
+function Trace(gameboy, size) {
+	// Execution trace - a line for every instruction, taken just before it runs,
+	// in the format Gameboy Doctor and other emulators' logs use so they can be
+	// compared line by line (see tools/trace-compare.js)
+	// A:01 F:B0 B:00 C:13 D:00 E:D8 H:01 L:4D SP:FFFE PC:0100 PCMEM:00,C3,13,02
+	// PCMEM is the 4 bytes from PC onwards. Nothing is logged while halted
+	//
+	// Gameboy Doctor's logs are made with LY (0xFF44) always reading 0x90, so games
+	// waiting for V-Blank get there straight away. To match them set doctorLy on
+	// the MMU (headless.js --trace-doctor), otherwise we part ways at the first
+	// read of LY
+	//
+	// The last size lines are kept (in the browser there's nowhere else for them
+	// to go). Set onLine to a function to be passed every line as well, which is
+	// how the headless runner writes them all to a file
+
+	var ths = this;
+
+	this.gameboy = gameboy;
+	this.size = size || 10000;
+	this.onLine = null;
+
+	this.HEX = [];
+	for (var i = 0; i < 0x100; i++) {
+		this.HEX[i] = (i < 0x10 ? '0' : '') + i.toString(16).toUpperCase();
+	}
+
+	this.clear = function() {
+		ths.lines = new Array(ths.size);
+		ths.position = 0;
+		ths.count = 0;
+	};
+
+	this.record = function() {
+		var line = ths.format();
+
+		ths.lines[ths.position] = line;
+		ths.position = (ths.position + 1) % ths.size;
+		ths.count = Math.min(ths.count + 1, ths.size);
+
+		if (ths.onLine) {
+			ths.onLine(line);
+		}
+	};
+
+	this.format = function() {
+		var registers = ths.gameboy.registers;
+		var peek = ths.gameboy.breakpoints.peek;
+		var hex = ths.HEX;
+		var pc = registers.PC;
+
+		return 'A:' + hex[registers.A] + ' F:' + hex[registers.F] +
+			' B:' + hex[registers.B] + ' C:' + hex[registers.C] +
+			' D:' + hex[registers.D] + ' E:' + hex[registers.E] +
+			' H:' + hex[registers.H] + ' L:' + hex[registers.L] +
+			' SP:' + hex[registers.SP >> 8] + hex[registers.SP & 0xFF] +
+			' PC:' + hex[pc >> 8] + hex[pc & 0xFF] +
+			' PCMEM:' + hex[peek(pc)] + ',' + hex[peek(pc + 1)] + ',' +
+			hex[peek(pc + 2)] + ',' + hex[peek(pc + 3)];
+	};
+
+	this.getLines = function() {
+		// Oldest first
+		var lines = [];
+		var start = (ths.position - ths.count + ths.size) % ths.size;
+		for (var i = 0; i < ths.count; i++) {
+			lines.push(ths.lines[(start + i) % ths.size]);
+		}
+		return lines;
+	};
+
+	this.clear();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = Trace;
+}
@@ -0,0 +1,137 @@
+function WebSocketLink(url, serial, socketConstructor) {
+	// Link cable over a WebSocket, to another emulator connected to the same room of
+	// the link relay (tools/link-relay.js). Messages are JSON
+	// {type: 'peer', connected: true/false} - From the relay, the other end came or went
+	// {type: 'transfer', data: byte}        - The other end drove the clock and sent data
+	// {type: 'reply', data: byte}           - The other end's answer to our transfer
+	//
+	// When we drive the clock, the emulator waits (see Serial) until the reply comes
+	// back so both ends stay in step at every transfer. When the other end drives
+	// the clock and we aren't waiting on the external clock yet, we hold on to their
+	// byte for a little while in case we are about to be
+	//
+	// If both ends drive the clock at once, each takes the other's transfer as the
+	// answer to its own. The replies each end then sends back are out of date and
+	// are dropped, one for every collision
+
+	var ths = this;
+
+	// How long (ms) to hold a transfer from the other end before answering anyway
+	this.LINK_TIMEOUT = 500;
+
+	this.serial = serial;
+	this.connected = false;
+	this.pendingTransfer = null;
+	this.pendingTimeout = null;
+	this.staleReplies = 0;
+
+	// Set onStatus to a function to be told when the connection changes, it is
+	// passed a short description
+	this.onStatus = null;
+
+	this.setStatus = function(status) {
+		if (ths.onStatus) {
+			ths.onStatus(status);
+		}
+	};
+
+	this.send = function(message) {
+		if (ths.socket.readyState === 1) {
+			ths.socket.send(JSON.stringify(message));
+		}
+	};
+
+	this.transfer = function(data) {
+		// Nobody on the other end, same as nothing plugged in
+		if (!ths.connected) return 0xFF;
+
+		ths.send({ type: 'transfer', data: data });
+		return null;
+	};
+
+	this.startExternal = function() {
+		if (ths.pendingTransfer !== null) {
+			ths.answerTransfer();
+		}
+	};
+
+	this.answerTransfer = function() {
+		if (ths.pendingTimeout !== null) {
+			clearTimeout(ths.pendingTimeout);
+			ths.pendingTimeout = null;
+		}
+
+		var received = ths.pendingTransfer;
+		ths.pendingTransfer = null;
+		ths.send({ type: 'reply', data: ths.serial.externalClock(received) });
+	};
+
+	this.handleMessage = function(message) {
+		switch (message.type) {
+			case 'peer':
+				ths.connected = message.connected;
+				ths.setStatus(ths.connected ? 'Linked' : 'Waiting for other player');
+				if (!ths.connected) {
+					// Don't leave the emulator waiting for an answer that won't come
+					ths.pendingTransfer = null;
+					ths.staleReplies = 0;
+					ths.serial.receive(0xFF);
+				}
+				break;
+			case 'transfer':
+				if (ths.serial.waitingForLink) {
+					// Both ends drove the clock at the same time, so both just swap bytes
+					ths.send({ type: 'reply', data: ths.serial.data });
+					ths.staleReplies++;
+					ths.serial.receive(message.data);
+					return;
+				}
+
+				ths.pendingTransfer = message.data;
+				if (ths.serial.isTransferring() && !ths.serial.isInternalClock()) {
+					ths.answerTransfer();
+				} else if (ths.pendingTimeout === null) {
+					ths.pendingTimeout = setTimeout(function() {
+						ths.pendingTimeout = null;
+						if (ths.pendingTransfer !== null) {
+							ths.answerTransfer();
+						}
+					}, ths.LINK_TIMEOUT);
+				}
+				break;
+			case 'reply':
+				if (ths.staleReplies > 0) {
+					// The other end's reply to a transfer that collided with theirs
+					ths.staleReplies--;
+					return;
+				}
+				ths.serial.receive(message.data);
+				break;
+		}
+	};
+
+	this.close = function() {
+		ths.socket.close();
+	};
+
+	// Connect. A WebSocket constructor can be passed in for environments that
+	// don't have one built in
+	var Socket = socketConstructor || WebSocket;
+	this.socket = new Socket(url);
+	this.setStatus('Connecting');
+
+	this.socket.onopen = function() {
+		ths.setStatus('Waiting for other player');
+	};
+	this.socket.onmessage = function(event) {
+		ths.handleMessage(JSON.parse(event.data));
+	};
+	this.socket.onclose = function() {
+		ths.handleMessage({ type: 'peer', connected: false });
+		ths.setStatus('Disconnected');
+	};
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = WebSocketLink;
+}
@@ -0,0 +1,27 @@
+// Entry point for using the emulator core outside of the browser (Node.js)
+// In the browser the same files are loaded with script tags instead (see index.html)
+
+module.exports = {
+	Gameboy: require('./Gameboy.js'),
+	MMU: require('./MMU.js'),
+	APU: require('./APU.js'),
+	PPU: require('./PPU.js'),
+	Serial: require('./Serial.js').Serial,
+	DisconnectedLink: require('./Serial.js').DisconnectedLink,
+	LoopbackLink: require('./Serial.js').LoopbackLink,
+	GameboyLink: require('./Serial.js').GameboyLink,
+	WebSocketLink: require('./WebSocketLink.js'),
+	SuperGameboy: require('./SuperGameboy.js'),
+	ScreenData: require('./ScreenData.js'),
+	Scheduler: require('./Scheduler.js'),
+	Rewind: require('./Rewind.js'),
+	Debugger: require('./Debugger.js'),
+	Breakpoints: require('./Breakpoints.js'),
+	Disassembler: require('./Disassembler.js'),
+	toHex: require('./Hex.js'),
+	Trace: require('./Trace.js'),
+	CartridgeHeader: require('./CartridgeHeader.js'),
+	RealTimeClock: require('./RealTimeClock.js'),
+	SaveStateWriter: require('./SaveState.js').SaveStateWriter,
+	SaveStateReader: require('./SaveState.js').SaveStateReader
+};
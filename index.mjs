@@ -0,0 +1,26 @@
+// ES module entry point, this just re-exports the CommonJS entry point
+import core from './index.js';
+
+export var Gameboy = core.Gameboy;
+export var MMU = core.MMU;
+export var APU = core.APU;
+export var PPU = core.PPU;
+export var Serial = core.Serial;
+export var DisconnectedLink = core.DisconnectedLink;
+export var LoopbackLink = core.LoopbackLink;
+export var GameboyLink = core.GameboyLink;
+export var WebSocketLink = core.WebSocketLink;
+export var SuperGameboy = core.SuperGameboy;
+export var ScreenData = core.ScreenData;
+export var Scheduler = core.Scheduler;
+export var Rewind = core.Rewind;
+export var Debugger = core.Debugger;
+export var Breakpoints = core.Breakpoints;
+export var Disassembler = core.Disassembler;
+export var toHex = core.toHex;
+export var Trace = core.Trace;
+export var CartridgeHeader = core.CartridgeHeader;
+export var RealTimeClock = core.RealTimeClock;
+export var SaveStateWriter = core.SaveStateWriter;
+export var SaveStateReader = core.SaveStateReader;
+export default core;
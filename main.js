@@ -1,156 +1,750 @@
 $(document).ready(function() {
 
-    // Gameboy refreshes screen 60 times a seconds, 60 (frames per second) fps
-    // Gameboy emulates 4194304 clock cycles a seconds
-    // Each frame executes 69905 (4194304/60) clock cycles a frame
-    // So 69905 should be max number of clock cycles executed a frame
-
     // Create Emulator
     var gameboy = new Gameboy();
 
-    var CLOCK_SPEED = 4194304;
+    // Handle of the pending animation frame request. We keep this around so that
+    // loading a new ROM can cancel the old loop instead of starting a second one
+    var loopRequest = null;
+    var running = false;
 
-    // to load changes in so draw to screen happens all at once
-    var canvasBuffer = document.createElement('canvas');
-    var contextBuffer = canvasBuffer.getContext('2d');
-    canvasBuffer.width = 160;
-    canvasBuffer.height = 144;
+    // Runs as many cycles as the time passed since the last display frame calls
+    // for, so the game runs at the right speed whatever the display's refresh rate
+    var scheduler = new Scheduler(gameboy);
 
-    var rgbToHexColour = function(red, green, blue) {
-        var decColor = 0x1000000 + blue + 0x100 * green + 0x10000 * red;
-        return '#' + decColor.toString(16).substr(1);
-    }
+    // Fast-forward while the key is held, otherwise the chosen speed
+    var fastForward = false;
+
+    var showSpeedStats = function() {
+        $('#speed-stats').text(scheduler.paused ? 'Paused' :
+            scheduler.fps.toFixed(1) + ' fps, ' + Math.round(scheduler.speed) + '%');
+    };
+
+    var updateSpeed = function() {
+        scheduler.setSpeed(parseFloat($(fastForward ? '#fast-forward' : '#speed').val()));
+    };
+
+    $('#speed, #fast-forward').on('change', updateSpeed);
+
+    // Recent history, run backwards while the rewind key is held
+    var rewind = new Rewind(gameboy);
+    var rewinding = false;
+
+    var showRewindStatus = function() {
+        $('#rewind-status').text(rewind.getSeconds().toFixed(1) + 's kept, ' +
+            (rewind.size / 1048576).toFixed(1) + 'MB');
+    };
+
+    $('#rewind-speed').on('change', function() {
+        rewind.setSpeed(parseFloat(this.value));
+    });
+    $('#rewind-length, #rewind-interval').on('change', function() {
+        rewind.configure(parseFloat($('#rewind-length').val()), parseInt($('#rewind-interval').val(), 10));
+        showRewindStatus();
+    });
+
+    scheduler.onStats = function() {
+        showSpeedStats();
+        showRewindStatus();
+    };
+
+    // Battery backed RAM is saved to the browser a short while after the game
+    // stops writing to it, rather than on every single write
+    var saveStorage = new SaveStorage();
+    var saveTimeout = null;
+    var SAVE_DELAY = 1000;
+
+    // Quick save slot that F5 saves to and F9 loads from (chosen with keys 1-9)
+    var stateSlot = 1;
+
+    // Counts ROM loads so a save that finishes loading after another ROM was
+    // chosen doesn't start the old game
+    var romLoadCount = 0;
+
+    // The frame is put on the canvas straight from the core's frame buffer,
+    // this wraps it (without copying) once the game's screen size is known
+    var screenImage = null;
+
+    // Shake the screen (and the device, if it can vibrate) while the cartridge's
+    // rumble motor is on
+    gameboy.mmu.onRumble = function(on) {
+        $('#game-screen').toggleClass('rumble', on);
+        if (navigator.vibrate) {
+            navigator.vibrate(on ? 10000 : 0);
+        }
+    };
+
+    var persistSave = function() {
+        if (saveTimeout !== null) {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+        }
+        saveStorage.save(gameboy.cartridgeHeader, gameboy.getSaveData());
+    };
+
+    gameboy.mmu.onRamWrite = function() {
+        if (!running || !gameboy.hasBattery()) return;
+
+        if (saveTimeout !== null) {
+            clearTimeout(saveTimeout);
+        }
+        saveTimeout = setTimeout(persistSave, SAVE_DELAY);
+    };
+
+    // Sound is played through an AudioWorklet (AudioProcessor.js). Browsers only
+    // let sound start once the user has interacted with the page, so this is set
+    // up when a ROM is chosen or a key is pressed
+    var audioContext = null;
+    var audioNode = null;
+    var soundEnabled = true;
+
+    var startAudio = function() {
+        if (!soundEnabled || !window.AudioContext) return;
+
+        if (audioContext !== null) {
+            if (audioContext.state === 'suspended') audioContext.resume();
+            return;
+        }
+
+        audioContext = new AudioContext();
+        gameboy.apu.setSampleRate(audioContext.sampleRate);
+        audioContext.audioWorklet.addModule('AudioProcessor.js').then(function() {
+            audioNode = new AudioWorkletNode(audioContext, 'gameboy-audio-processor', {
+                outputChannelCount: [2]
+            });
+            audioNode.connect(audioContext.destination);
+        }, function(e) {
+            console.log("Could not start sound", e);
+        });
+    };
+
+    // Sound is only played at normal speed, sped up, slowed down or backwards it
+    // would be at the wrong pitch and too much or too little to keep the queue going
+    gameboy.apu.onSamples = function(buffer) {
+        if (audioNode !== null && soundEnabled && scheduler.speedMultiplier === 1 &&
+            !scheduler.paused && !rewinding) {
+            audioNode.port.postMessage(buffer, [buffer.buffer]);
+        }
+    };
+
+    $('#sound-enabled').on('change', function() {
+        soundEnabled = this.checked;
+        if (soundEnabled) {
+            startAudio();
+        } else if (audioContext !== null) {
+            audioContext.suspend();
+        }
+    });
+
+    // When sound is playing we keep time by the audio clock, so the samples are
+    // made exactly as fast as they're played and the queue never runs dry or
+    // backs up. Otherwise the display's timestamps will do
+    var usingAudioClock = false;
+
+    var getTime = function(timestamp) {
+        var audioClock = soundEnabled && audioNode !== null && audioContext.state === 'running';
+        if (audioClock !== usingAudioClock) {
+            // The two clocks count from different starts
+            usingAudioClock = audioClock;
+            scheduler.resetClock();
+            rewind.resetClock();
+        }
+        return audioClock ? audioContext.currentTime * 1000 : timestamp;
+    };
+
+    // This function is called every time the browser is ready to show a frame
+    var emulationLoop = function(timestamp) {
+        loopRequest = requestAnimationFrame(emulationLoop);
 
-    // This function should execute 60 times a second (60 fps)
-    var emulationLoop = function() {
+        var time = getTime(timestamp);
+        var changed;
+        if (rewinding) {
+            changed = rewind.run(time);
+            if (changed) showRewindStatus();
+        } else {
+            changed = scheduler.run(time) > 0;
+            rewind.update();
+        }
+
+        // Only draw when there's something new to show, nothing runs while
+        // the debugger has us paused or the CPU is stopped
+        if (changed) {
+            var c = document.getElementById("game-screen");
+            var ctx = c.getContext("2d");
+
+            showDebuggerState();
+            ctx.putImageData(screenImage, 0, 0);
+        }
+    };
+
+    var showCartridgeInfo = function(report) {
+        $('#cartridge-info').text([
+            'Title: ' + report.title,
+            'Manufacturer: ' + (report.manufacturerCode || '-'),
+            'Licensee: ' + report.licensee + ' (' + report.licenseeCode + ')',
+            'Type: ' + report.cartridgeType + ' (0x' + toHex(report.cartridgeTypeCode, 2) + ')',
+            'ROM: ' + (report.romSize / 1024) + 'KB (' + report.romBanks + ' banks)',
+            'RAM: ' + (report.ramSize / 1024) + 'KB',
+            'CGB: ' + report.cgbSupport + ', SGB: ' + (report.sgbSupport ? 'Yes' : 'No'),
+            'Destination: ' + report.destination + ', Version: ' + report.version,
+            'Header checksum: 0x' + toHex(report.headerChecksum, 2) +
+                (report.headerChecksumValid ? ' (OK)' : ' (BAD)'),
+            'Global checksum: 0x' + toHex(report.globalChecksum, 4) +
+                (report.globalChecksumValid ? ' (OK)' : ' (BAD)')
+        ].join('\n'));
+    };
+
+    var startEmulation = function(data) {
+        // Stop the loop of whatever was running before so we never have two
+        // emulation loops running at once
+        if (loopRequest !== null) {
+            cancelAnimationFrame(loopRequest);
+            loopRequest = null;
+        }
+
+        // Don't lose a pending save of the game we're switching away from
+        if (saveTimeout !== null) {
+            persistSave();
+        }
+        running = false;
+        var loadNumber = ++romLoadCount;
 
-        var MAXCYCLES = 69905;
-        var cyclesExecuted = 0;
+        startAudio();
 
+        // Fully reset the emulator and load the new ROM into memory
+        gameboy.mmu.setRumble(false);
+        gameboy.initialize();
+        gameboyDebugger.reset();
+        showDebuggerStatus();
+        try {
+            gameboy.loadProgram(data);
+        } catch (e) {
+            $('#cartridge-info').text(e.message);
+            return;
+        }
+
+        showCartridgeInfo(gameboy.cartridgeHeader.getReport());
+
+        // Initialize Display on Browser Window, which is bigger for the Super
+        // Gameboy's border
         var c = document.getElementById("game-screen");
+        c.width = gameboy.sgbMode ? gameboy.sgb.SCREEN_WIDTH : 160;
+        c.height = gameboy.sgbMode ? gameboy.sgb.SCREEN_HEIGHT : 144;
         var ctx = c.getContext("2d");
+        ctx.fillStyle = "#FFFFFF"; // Every pixel white
+        ctx.fillRect(0, 0, c.width, c.height); // Fill every pixel
 
-        while(cyclesExecuted < MAXCYCLES) {
+        // Super Gameboy games show the whole 256x224 picture with the border
+        screenImage = new ImageData(gameboy.sgbMode ? gameboy.sgb.frameBuffer : gameboy.frameBuffer,
+            c.width, c.height);
 
-            if (gameboy.cpuStopped) break;
+        var run = function() {
+            if (loadNumber !== romLoadCount) return;
 
-            // FETCH DECODE EXECUTE
-            var cycles = gameboy.executeOpcode();
-            cyclesExecuted += cycles;
+            // Run the emulation loop once every display frame
+            running = true;
+            scheduler.reset();
+            rewind.reset();
+            showSpeedStats();
+            showRewindStatus();
+            loopRequest = requestAnimationFrame(emulationLoop);
+        };
 
-            gameboy.updateTimers(cycles);
-            gameboy.updateGraphics(cycles);
-            gameboy.doInterrupts();
+        // Pick up where we left off if this game has been saved before
+        if (gameboy.hasBattery()) {
+            saveStorage.load(gameboy.cartridgeHeader, function(saveData) {
+                if (saveData !== null && loadNumber === romLoadCount) {
+                    gameboy.loadSaveData(saveData);
+                }
+                run();
+            });
+        } else {
+            run();
         }
+    };
 
-        if (!gameboy.cpuStopped) {
-            var screenData = gameboy.screenData;
-            for (var i = 0; i < gameboy.screenData.length; i++) {
-                for (var j = 0; j < gameboy.screenData[i].length; j++) {
-                    var col = rgbToHexColour(gameboy.screenData[i][j][0],
-                        gameboy.screenData[i][j][1], gameboy.screenData[i][j][2]);
-                    contextBuffer.fillStyle = col;
-                    contextBuffer.fillRect(i, j, 1, 1);
-                }
+    // Export the battery backed RAM as a raw .sav file
+    $('#export-save').on('click', function() {
+        if (!running || !gameboy.hasBattery()) return;
+
+        var blob = new Blob([gameboy.getSaveData()], { type: 'application/octet-stream' });
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = (gameboy.cartridgeHeader.title || 'game') + '.sav';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    // Import a raw .sav file. The game is restarted so it reads the new save
+    $('#import-save').on('change', function() {
+        if (this.files.length === 0 || !running || !gameboy.hasBattery()) return;
+
+        var input = this;
+        var reader = new FileReader();
+        reader.addEventListener('load', function() {
+            gameboy.loadSaveData(new Uint8Array(reader.result));
+            saveStorage.save(gameboy.cartridgeHeader, gameboy.getSaveData());
+            startEmulation(gameboy.mmu.cartridgeData);
+            input.value = '';
+        });
+        reader.readAsArrayBuffer(this.files[0]);
+    });
+
+    // Hardware model and boot ROM, used from the next ROM loaded
+    $('#model').on('change', function() {
+        gameboy.model = $(this).val() || null;
+    });
+
+    $('#boot-rom').on('change', function() {
+        var file = this.files[0];
+        if (!file) return;
+
+        var reader = new FileReader();
+        reader.addEventListener('load', function() {
+            try {
+                gameboy.setBootRom(new Uint8Array(reader.result));
+            } catch (e) {
+                $('#cartridge-info').text(e.message);
             }
+        });
+        reader.readAsArrayBuffer(file);
+    });
 
-            ctx.drawImage(canvasBuffer, 0, 0);
-        } else {
-            console.log("STOPPED");
+    $('#clear-boot-rom').on('click', function() {
+        gameboy.setBootRom(null);
+        $('#boot-rom').val('');
+    });
+
+    var loadRomFromFile = function(file) {
+        var reader = new FileReader();
+        reader.addEventListener('load', function() {
+            startEmulation(new Uint8Array(reader.result));
+        });
+        reader.readAsArrayBuffer(file);
+    };
+
+    var loadRomFromUrl = function(url) {
+        // Wish i could use jQuery here but they don't let me transfer ArrayBuffer :(
+        var xhr = new XMLHttpRequest();
+        xhr.addEventListener('load', function() {
+            if (xhr.status == 200) {
+                startEmulation(new Uint8Array(xhr.response));
+            } else {
+                console.log("Could not load ROM " + url + " (" + xhr.status + ")");
+            }
+        });
+
+        xhr.open('GET', url);
+        xhr.responseType = 'arraybuffer';
+        xhr.send();
+    };
+
+    // ROM chooser
+    $('#rom-chooser').on('change', function() {
+        if (this.files.length > 0) {
+            loadRomFromFile(this.files[0]);
         }
+    });
 
-        setTimeout(emulationLoop, 17);
-    }
+    // Drag and drop a ROM onto the screen
+    $('#game-screen').on('dragover', function(evt) {
+        evt.preventDefault();
+        evt.originalEvent.dataTransfer.dropEffect = 'copy';
+    }).on('drop', function(evt) {
+        evt.preventDefault();
+        var files = evt.originalEvent.dataTransfer.files;
+        if (files.length > 0) {
+            loadRomFromFile(files[0]);
+        }
+    });
+
+    var showStateStatus = function(message) {
+        $('#state-status').text('Slot ' + stateSlot + (message ? ': ' + message : ''));
+    };
 
-    // Wish i could use jQuery here but they don't let me transfer ArrayBuffer :(
-    var xhr = new XMLHttpRequest();
-    xhr.addEventListener('load', function() {
-        if (xhr.status == 200) {
-            var data = new Uint8Array(xhr.response);
-            gameboy.initialize();
+    var quickSave = function() {
+        saveStorage.saveState(gameboy.cartridgeHeader, stateSlot, gameboy.saveState());
+        showStateStatus('saved');
+    };
 
-            //   load data into memory
-            for (var i = 0; i < data.length; i++) {
-                if (i < 10) console.log(data[i].toString(16));
+    var quickLoad = function() {
+        var slot = stateSlot;
+        var header = gameboy.cartridgeHeader;
+        saveStorage.loadState(header, slot, function(state) {
+            // Make sure the same game is still running
+            if (!running || gameboy.cartridgeHeader !== header) return;
+
+            if (state === null) {
+                showStateStatus('empty');
+                return;
             }
-            gameboy.loadProgram(data);
+            try {
+                gameboy.loadState(state);
+                showStateStatus('loaded');
+            } catch (e) {
+                showStateStatus(e.message);
+            }
+        });
+    };
 
-            // Initialize Display on Browser Window
-            var c = document.getElementById("game-screen");
-            var ctx = c.getContext("2d");
-            ctx.fillStyle = "#FFFFFF"; // Every pixel white
-            ctx.fillRect(0,0,160,144); // Fill every pixel
-
-            // Run emulation loop at 60hz
-            setTimeout(emulationLoop, 17);
-
-            document.onkeyup = document.onkeydown = function(evt) {
-                // Capture key events in here and we will call the
-                // emulators keyPressed or keyReleased function
-                var charCode = evt.which;
-                var value = evt.type == 'keydown' ? 1 : 0;
-
-                // We will represent keys pressed as 8 bits
-                // Map this way (Keyboard = Gameboy = Bit)
-                // Right = Right = 0
-                // Left = Left = 1
-                // Up = Up = 2
-                // Down = Down = 3
-                // Z = A = 4
-                // X = B = 5
-                // Right Shift = SELECT = 6
-                // Enter = START = 7
-
-                var keyBit = -1;
-
-                switch(charCode) {
-                    case 90:
-                        // "Z"
-                        keyBit = 4;
-                        break;
-                    case 88:
-                        // "X"
-                        keyBit = 5;
-                        break;
-                    case 13:
-                        // 'ENTER'
-                        keyBit = 7;
-                        break;
-                    case 38:
-                        // UP
-                        keyBit = 2;
-                        break;
-                    case 40:
-                        // DOWN
-                        keyBit = 3;
-                        break;
-                    case 37:
-                        // LEFT
-                        keyBit = 1;
-                        break;
-                    case 39:
-                        // RIGHT
-                        keyBit = 0;
-                        break;
-                    case 16:
-                        // SHIFT
-                        keyBit = 6;
-                        break;
+    // Returns true if the key was one of the save state hotkeys
+    // 1-9 = Choose quick save slot
+    // F5 = Quick save to slot
+    // F9 = Quick load from slot
+    var handleStateKey = function(evt) {
+        var charCode = evt.which;
+        var keyDown = evt.type == 'keydown';
+
+        if (charCode >= 49 && charCode <= 57) {
+            if (keyDown) {
+                stateSlot = charCode - 48;
+                showStateStatus();
+            }
+            return true;
+        }
+        if (charCode === 116 || charCode === 120) {
+            // Stop the browser from reloading the page on F5
+            evt.preventDefault();
+            if (keyDown) {
+                if (charCode === 116) {
+                    quickSave();
+                } else {
+                    quickLoad();
                 }
+            }
+            return true;
+        }
+        return false;
+    };
+
+    // Returns true if the key was one of the speed hotkeys
+    // Space = Fast-forward while held
+    // Backspace = Rewind while held
+    // P = Pause / continue
+    // N = Advance one frame (pausing first)
+    var handleSpeedKey = function(evt) {
+        var charCode = evt.which;
+        var keyDown = evt.type == 'keydown';
 
-                if (keyBit >= 0 && keyBit <= 8) {
-                    if (value) {
-                        gameboy.keyPressed(keyBit);
-                    } else {
-                        gameboy.keyReleased(keyBit);
-                    }
+        if (charCode === 8) {
+            // Stop the browser from going back a page
+            evt.preventDefault();
+            if (keyDown !== rewinding) {
+                // Each picks up timing from now when it takes over
+                rewinding = keyDown;
+                if (rewinding) {
+                    rewind.resetClock();
+                } else {
+                    scheduler.resetClock();
+                }
+            }
+            return true;
+        }
+        if (charCode === 32) {
+            // Stop the browser from scrolling the page
+            evt.preventDefault();
+            fastForward = keyDown;
+            updateSpeed();
+            return true;
+        }
+        if (charCode === 80 || charCode === 78) {
+            // One press is one pause or frame, however long it's held
+            if (keyDown && !evt.repeat) {
+                if (charCode === 78) {
+                    scheduler.advanceFrame();
+                } else if (scheduler.paused) {
+                    scheduler.resume();
+                } else {
+                    scheduler.pause();
                 }
-            };
+                showSpeedStats();
+            }
+            return true;
+        }
+        return false;
+    };
+
+    // Debugger panel next to the screen
+    var gameboyDebugger = new Debugger(gameboy);
+    gameboy.debugger = gameboyDebugger;
+
+    // Disassembly around the PC, unless it has been scrolled somewhere else
+    var disassembler = new Disassembler(gameboy.breakpoints.peek);
+    var DISASSEMBLY_BEFORE = 6;
+    var DISASSEMBLY_AFTER = 12;
+    var disassemblyAddress = null;
+
+    var showDisassembly = function() {
+        var pc = gameboy.registers.PC;
+        var view = $('#debug-disassembly').empty();
+        var lines = disassembler.disassembleAround(disassemblyAddress === null ? pc : disassemblyAddress,
+            DISASSEMBLY_BEFORE, DISASSEMBLY_AFTER);
+
+        lines.forEach(function(instruction) {
+            var address = instruction.address;
+            var bank = gameboy.breakpoints.getRomBank(address);
+            var hasBreakpoint = gameboy.breakpoints.breakpoints.some(function(breakpoint) {
+                return breakpoint.type === 'execute' && breakpoint.address === address;
+            });
+
+            var text = (address === pc ? '>' : ' ') + (hasBreakpoint ? '*' : ' ') + ' ' +
+                (bank !== null ? toHex(bank, 2) + ':' : '   ') + toHex(address, 4) + '  ' +
+                instruction.text;
+            view.append($('<span>').text(text + '\n').on('click', function() {
+                if (!running) return;
+                $('#debug-address').val(toHex(address, 4));
+                gameboyDebugger.runToAddress(address);
+                showDebuggerStatus();
+            }));
+        });
+    };
+
+    $('#debug-disassembly').on('wheel', function(evt) {
+        evt.preventDefault();
+        var address = disassemblyAddress === null ? gameboy.registers.PC : disassemblyAddress;
+        if (evt.originalEvent.deltaY > 0) {
+            disassemblyAddress = (address + disassembler.disassemble(address).length) & 0xFFFF;
+        } else {
+            disassemblyAddress = disassembler.disassembleAround(address, 1, 0)[0].address;
+        }
+        showDisassembly();
+    });
+
+    var showDebuggerState = function() {
+        var state = gameboyDebugger.getState();
+        var registers = state.registers;
+        var flags = state.flags;
+
+        // Interrupt bits, highest priority first
+        var interruptBits = function(value) {
+            return ['VBlank', 'LCD', 'Timer', 'Serial', 'Joypad'].map(function(name, bit) {
+                return ((value >> bit) & 1) ? name : '-';
+            }).join(' ');
+        };
+
+        var lines = [
+            'A: ' + toHex(registers.A, 2) + '  F: ' + toHex(registers.F, 2) +
+                '   Z:' + flags.Z + ' N:' + flags.N + ' H:' + flags.H + ' C:' + flags.C,
+            'B: ' + toHex(registers.B, 2) + '  C: ' + toHex(registers.C, 2),
+            'D: ' + toHex(registers.D, 2) + '  E: ' + toHex(registers.E, 2),
+            'H: ' + toHex(registers.H, 2) + '  L: ' + toHex(registers.L, 2),
+            'SP: ' + toHex(registers.SP, 4) + '  PC: ' + toHex(registers.PC, 4),
+            '',
+            'IME: ' + (state.interruptsEnabled ? 'On' : 'Off') +
+                '  Halted: ' + (state.halted ? 'Yes' : 'No') +
+                '  Stopped: ' + (state.cpuStopped ? 'Yes' : 'No'),
+            'IF: ' + toHex(state.interruptFlags, 2) + '  ' + interruptBits(state.interruptFlags),
+            'IE: ' + toHex(state.interruptEnable, 2) + '  ' + interruptBits(state.interruptEnable),
+            'LY: ' + state.scanline + '  Dot: ' + state.dot + '  Mode: ' + state.lcdMode,
+            '',
+            'ROM bank: ' + state.romBank +
+                '  RAM bank: ' + (state.rtcRegister ? 'RTC ' + toHex(state.rtcRegister, 2) : state.ramBank) +
+                (state.ramEnabled ? '' : ' (disabled)')
+        ];
+        if (state.cgbMode) {
+            lines.push('VRAM bank: ' + state.vramBank + '  WRAM bank: ' + state.wramBank);
+        }
+
+        $('#debug-state').text(lines.join('\n'));
+        showDisassembly();
+    };
+
+    var showDebuggerStatus = function() {
+        var paused = gameboyDebugger.paused;
+        $('#debug-pause').text(paused ? 'Continue' : 'Pause');
+        $('#debug-status').text(paused ? gameboyDebugger.pauseReason : 'Running');
+    };
+
+    gameboyDebugger.onPause = function() {
+        disassemblyAddress = null;
+        showDebuggerStatus();
+        showDebuggerState();
+    };
+
+    // Every button leaves the debugger either paused or running towards something
+    var debugAction = function(action) {
+        return function() {
+            if (!running) return;
+            action();
+            showDebuggerStatus();
+        };
+    };
+
+    $('#debug-pause').on('click', debugAction(function() {
+        if (gameboyDebugger.paused) {
+            gameboyDebugger.resume();
+        } else {
+            gameboyDebugger.pause();
+        }
+    }));
+    $('#debug-step').on('click', debugAction(gameboyDebugger.stepInstruction));
+    $('#debug-step-over').on('click', debugAction(gameboyDebugger.stepOver));
+    $('#debug-step-out').on('click', debugAction(gameboyDebugger.stepOut));
+    $('#debug-next-frame').on('click', debugAction(gameboyDebugger.runToNextFrame));
+    $('#debug-run-to').on('click', function() {
+        if (!running) return;
+
+        var address = parseInt($('#debug-address').val().replace(/^(0x|\$)/i, ''), 16);
+        if (isNaN(address) || address < 0 || address > 0xFFFF) {
+            $('#debug-status').text('Bad address');
+            return;
+        }
+        gameboyDebugger.runToAddress(address);
+        showDebuggerStatus();
+    });
+
+    // Breakpoints, written the way Breakpoints.add reads them
+    var showBreakpoints = function() {
+        var list = $('#breakpoint-list').empty();
+        gameboy.breakpoints.breakpoints.forEach(function(breakpoint) {
+            var remove = $('<button>').text('Remove').on('click', function() {
+                gameboy.breakpoints.remove(breakpoint.id);
+                showBreakpoints();
+                showDisassembly();
+            });
+            list.append($('<li>').text(breakpoint.description + ' ').append(remove));
+        });
+    };
+
+    $('#breakpoint-add').on('click', function() {
+        try {
+            gameboy.breakpoints.add($('#breakpoint-text').val());
+        } catch (e) {
+            $('#debug-status').text(e.message);
+            return;
+        }
+        $('#breakpoint-text').val('');
+        showBreakpoints();
+        showDisassembly();
+    });
+
+    // Execution trace, kept in a ring buffer and saved as a log that can be
+    // compared with tools/trace-compare.js
+    var trace = new Trace(gameboy, 10000);
+
+    $('#trace-enabled').on('change', function() {
+        trace.clear();
+        gameboy.trace = this.checked ? trace : null;
+    });
+
+    $('#trace-save').on('click', function() {
+        var lines = trace.getLines();
+        if (lines.length === 0) return;
+
+        var blob = new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = (gameboy.cartridgeHeader.title || 'game') + '.log';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    // Link cable to another emulator through the relay (tools/link-relay.js)
+    var link = null;
+
+    $('#link-connect').on('click', function() {
+        if (link !== null) {
+            link.close();
+            link = null;
+            gameboy.serial.setLink(null);
+            $('#link-connect').text('Connect');
+            $('#link-status').text('Not linked');
+            return;
+        }
+
+        try {
+            link = new WebSocketLink($('#link-url').val(), gameboy.serial);
+        } catch (e) {
+            $('#link-status').text(e.message);
+            return;
         }
+        link.onStatus = function(status) {
+            $('#link-status').text(status);
+        };
+        $('#link-status').text('Connecting');
+        gameboy.serial.setLink(link);
+        $('#link-connect').text('Disconnect');
     });
 
-    xhr.open('GET', 'Tetris.gb');
-    xhr.responseType = 'arraybuffer';
-    xhr.send();
+    document.onkeyup = document.onkeydown = function(evt) {
+        // Nothing to send key presses to until a ROM is loaded
+        if (!running) return;
+
+        // Leave typing in text boxes alone
+        if (evt.target && evt.target.tagName === 'INPUT' && evt.target.type === 'text') return;
+
+        startAudio();
+
+        if (handleStateKey(evt)) return;
+        if (handleSpeedKey(evt)) return;
+
+        // Capture key events in here and we will call the
+        // emulators keyPressed or keyReleased function
+        var charCode = evt.which;
+        var value = evt.type == 'keydown' ? 1 : 0;
+
+        // We will represent keys pressed as 8 bits
+        // Map this way (Keyboard = Gameboy = Bit)
+        // Right = Right = 0
+        // Left = Left = 1
+        // Up = Up = 2
+        // Down = Down = 3
+        // Z = A = 4
+        // X = B = 5
+        // Right Shift = SELECT = 6
+        // Enter = START = 7
+
+        var keyBit = -1;
+
+        switch(charCode) {
+            case 90:
+                // "Z"
+                keyBit = 4;
+                break;
+            case 88:
+                // "X"
+                keyBit = 5;
+                break;
+            case 13:
+                // 'ENTER'
+                keyBit = 7;
+                break;
+            case 38:
+                // UP
+                keyBit = 2;
+                break;
+            case 40:
+                // DOWN
+                keyBit = 3;
+                break;
+            case 37:
+                // LEFT
+                keyBit = 1;
+                break;
+            case 39:
+                // RIGHT
+                keyBit = 0;
+                break;
+            case 16:
+                // SHIFT
+                keyBit = 6;
+                break;
+        }
+
+        if (keyBit >= 0 && keyBit <= 8) {
+            if (value) {
+                gameboy.keyPressed(keyBit);
+            } else {
+                gameboy.keyReleased(keyBit);
+            }
+        }
+    };
+
+    // A ROM can be given in the URL (index.html?rom=Tetris.gb), otherwise wait
+    // for one to be chosen or dropped onto the screen
+    var romParam = /[?&]rom=([^&]*)/.exec(window.location.search);
+    if (romParam) {
+        loadRomFromUrl(decodeURIComponent(romParam[1]));
+    }
 
 });
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+// Frame time benchmark - runs a ROM with no screen and times what each frame
+// costs, split into emulating it (runFrame) and getting it ready for the canvas
+// the two ways the browser has done it
+//
+// Old:  main.js went through screenData ([x][y][red, green, blue]) and turned
+//       every pixel into a hex colour string for a fillRect call, 23,040 of them
+//       a frame (92,160 for the Super Gameboy's border)
+// New:  main.js wraps the frame buffer in an ImageData and draws it with a single
+//       putImageData, which copies the bytes
+//
+// There's no canvas here so the fillRect and putImageData calls themselves
+// aren't timed, just the work in JavaScript around them (the colour strings and
+// copying the bytes). That isn't the old frame time, the fillRect calls are most
+// of it. Open tools/benchmark.html in a browser to time the real canvas calls
+//
+// Usage: node tools/benchmark.js <rom> [--frames N]
+//
+// --frames N  Number of frames to time (default 600)
+
+var fs = require('fs');
+var Gameboy = require('../index.js').Gameboy;
+
+var usage = function() {
+	console.error('Usage: node tools/benchmark.js <rom> [--frames N]');
+	process.exit(1);
+};
+
+var parseArgs = function(argv) {
+	var options = {
+		rom: null,
+		frames: 600
+	};
+
+	for (var i = 0; i < argv.length; i++) {
+		if (argv[i] === '--frames') {
+			options.frames = parseInt(argv[++i], 10);
+			if (isNaN(options.frames) || options.frames <= 0) usage();
+		} else if (options.rom === null) {
+			options.rom = argv[i];
+		} else {
+			usage();
+		}
+	}
+
+	if (options.rom === null) usage();
+	return options;
+};
+
+var rgbToHexColour = function(red, green, blue) {
+	// As main.js did it
+	var decColor = 0x1000000 + blue + 0x100 * green + 0x10000 * red;
+	return '#' + decColor.toString(16).substr(1);
+};
+
+var presentOld = function(screenData, context) {
+	for (var i = 0; i < screenData.length; i++) {
+		for (var j = 0; j < screenData[i].length; j++) {
+			context.fillStyle = rgbToHexColour(screenData[i][j][0],
+				screenData[i][j][1], screenData[i][j][2]);
+			context.fillRect(i, j, 1, 1);
+		}
+	}
+};
+
+var presentNew = function(frameBuffer, imageData) {
+	imageData.data.set(frameBuffer);
+};
+
+var options = parseArgs(process.argv.slice(2));
+
+var gameboy = new Gameboy();
+gameboy.initialize();
+gameboy.loadProgram(new Uint8Array(fs.readFileSync(options.rom)));
+
+// Stands in for the canvas' 2D context, fillRect is left to the browser
+var context = {
+	fillStyle: '',
+	fillRect: function() {}
+};
+
+var screen = gameboy.sgbMode ? gameboy.sgb : gameboy;
+var imageData = { data: new Uint8ClampedArray(screen.frameBuffer.length) };
+
+var times = { emulate: 0, old: 0, new: 0 };
+var now = function() {
+	return Number(process.hrtime.bigint()) / 1e6;
+};
+
+for (var frame = 0; frame < options.frames; frame++) {
+	var start = now();
+	gameboy.runFrame();
+	times.emulate += now() - start;
+
+	// The old core kept screenData up to date as it drew, so building it from
+	// the frame buffer isn't counted
+	var screenData = screen.screenData;
+	start = now();
+	presentOld(screenData, context);
+	times.old += now() - start;
+
+	start = now();
+	presentNew(screen.frameBuffer, imageData);
+	times.new += now() - start;
+}
+
+var perFrame = function(total) {
+	return (total / options.frames).toFixed(3) + ' ms';
+};
+
+console.log('Frames:                   ' + options.frames + (gameboy.sgbMode ? ' (Super Gameboy, 256x224)' : ' (160x144)'));
+console.log('Emulation:                ' + perFrame(times.emulate));
+console.log('Old, colour strings only: ' + perFrame(times.old) + ' (+ 1 fillRect a pixel, not timed)');
+console.log('New, copying the bytes:   ' + perFrame(times.new) + ' (+ 1 putImageData, not timed)');
+console.log('');
+console.log('See tools/benchmark.html for the canvas calls in a browser');
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+// Blargg test ROM harness - runs Blargg's cpu_instrs, instr_timing, mem_timing
+// (and mem_timing-2) and halt_bug test ROMs with no screen and prints whether each
+// passed. The ROMs aren't included, point this at a directory holding them (as
+// they come, eg <dir>/cpu_instrs/individual/01-special.gb). Every .gb file under
+// it with one of the suite names in its path is run
+//
+// The tests say how they got on three ways, and we watch all of them
+// Serial:  Text is written out of the link port, a byte at a time
+// Screen:  Text is printed to the background with tiles numbered by ASCII code
+// Memory:  0xA001-0xA003 hold DE B0 61 once the test has started, then 0xA000
+//          holds 0x80 while running and the result code after (0 is passed).
+//          The text is at 0xA004 onwards
+// "Passed" or "Failed" in any of them means the test is done
+//
+// Usage: node tools/blargg.js <dir> [--suite <name>] [--timeout <seconds>] [--verbose]
+//
+// --suite <name>       Only run one suite (can be given more than once)
+// --timeout <seconds>  Emulated seconds to give each ROM before it has timed out
+//                      (default is per suite, long enough for each to finish)
+// --verbose            Print what each ROM said, not just for the ones that failed
+//
+// Exits with 0 if everything passed, 1 if not
+
+var path = require('path');
+var testRoms = require('./test-roms.js');
+
+// Emulated seconds each suite takes at most. The full cpu_instrs ROM runs all of
+// its 11 tests one after the other
+var SUITES = [
+	{ name: 'cpu_instrs', timeout: 20, fullTimeout: 70 },
+	{ name: 'instr_timing', timeout: 10 },
+	{ name: 'mem_timing-2', timeout: 10, fullTimeout: 20 },
+	{ name: 'mem_timing', timeout: 10, fullTimeout: 20 },
+	{ name: 'halt_bug', timeout: 10 }
+];
+
+var CHECK_EVERY_FRAMES = 30;
+
+var RESULT_SIGNATURE = [0xDE, 0xB0, 0x61];
+var RESULT_RUNNING = 0x80;
+
+var usage = function() {
+	console.error('Usage: node tools/blargg.js <dir> [--suite <name>] [--timeout <seconds>] [--verbose]');
+	process.exit(2);
+};
+
+var parseArgs = function(argv) {
+	var options = {
+		directory: null,
+		suites: [],
+		timeout: null,
+		verbose: false
+	};
+
+	for (var i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case '--suite':
+				if (!argv[i + 1]) usage();
+				options.suites.push(argv[++i]);
+				break;
+			case '--timeout':
+				options.timeout = parseFloat(argv[++i]);
+				if (isNaN(options.timeout) || options.timeout <= 0) usage();
+				break;
+			case '--verbose':
+				options.verbose = true;
+				break;
+			default:
+				if (options.directory !== null) usage();
+				options.directory = argv[i];
+				break;
+		}
+	}
+
+	if (options.directory === null) usage();
+	return options;
+};
+
+var findSuite = function(rom) {
+	// mem_timing-2 comes before mem_timing in the list so it's found first
+	var name = rom.replace(/\\/g, '/');
+	for (var i = 0; i < SUITES.length; i++) {
+		if (name.indexOf(SUITES[i].name) >= 0) return SUITES[i];
+	}
+	return null;
+};
+
+var readMemoryText = function(gameboy) {
+	// Results in cartridge RAM, or null if the test hasn't written any
+	var ram = gameboy.mmu.ramBanks;
+	for (var i = 0; i < RESULT_SIGNATURE.length; i++) {
+		if (ram[1 + i] !== RESULT_SIGNATURE[i]) return null;
+	}
+
+	var text = '';
+	for (var address = 4; address < 0x2000 && ram[address] !== 0; address++) {
+		text += String.fromCharCode(ram[address]);
+	}
+	return { status: ram[0], text: text };
+};
+
+var readScreenText = function(gameboy) {
+	// The whole background map (the text scrolls, so not just what's on screen)
+	// with each tile as the character it's numbered after
+	var mmu = gameboy.mmu;
+	var lcdControl = mmu.memory[gameboy.LCD_CONTROL_ADDR];
+	var map = (lcdControl & parseInt("00001000", 2)) ? 0x9C00 : 0x9800;
+
+	var lines = [];
+	for (var row = 0; row < 32; row++) {
+		var line = '';
+		for (var column = 0; column < 32; column++) {
+			var tile = mmu.readVram(0, map + row * 32 + column);
+			line += tile >= 0x20 && tile < 0x7F ? String.fromCharCode(tile) : ' ';
+		}
+		line = line.replace(/\s+$/, '');
+		if (line !== '') lines.push(line);
+	}
+	return lines.join('\n');
+};
+
+var findResult = function(text) {
+	if (/\bFailed\b/i.test(text)) return 'Failed';
+	if (/\bPassed\b/i.test(text)) return 'Passed';
+	return null;
+};
+
+var runTest = function(file, timeout) {
+	var gameboy = testRoms.startRom(file);
+
+	var serialText = '';
+	gameboy.serial.setLink({
+		transfer: function(data) {
+			serialText += String.fromCharCode(data);
+			return 0xFF;
+		}
+	});
+
+	var output = '';
+	var run = testRoms.runRom(gameboy, timeout, function() {
+		var memory = readMemoryText(gameboy);
+		if (memory !== null && memory.status !== RESULT_RUNNING) {
+			output = memory.text;
+			return memory.status === 0 ? 'Passed' : 'Failed';
+		}
+
+		var screenText = readScreenText(gameboy);
+		output = serialText || screenText;
+		return findResult(serialText) || findResult(screenText);
+	}, CHECK_EVERY_FRAMES);
+
+	return {
+		result: run.result || 'Timeout',
+		seconds: run.seconds,
+		output: output
+	};
+};
+
+var options = parseArgs(process.argv.slice(2));
+
+var roms = testRoms.findRoms(options.directory).filter(function(rom) {
+	var suite = findSuite(rom);
+	return suite !== null && (options.suites.length === 0 || options.suites.indexOf(suite.name) >= 0);
+});
+if (roms.length === 0) {
+	console.error('No Blargg test ROMs found in ' + options.directory);
+	process.exit(2);
+}
+
+var results = roms.map(function(rom) {
+	var suite = findSuite(rom);
+	// The full ROMs are named after their suite, the individual tests aren't
+	var full = path.basename(rom).replace(/\.gbc?$/i, '') === suite.name;
+	var timeout = options.timeout || (full && suite.fullTimeout) || suite.timeout;
+
+	var test;
+	try {
+		test = runTest(path.join(options.directory, rom), timeout);
+	} catch (e) {
+		test = { result: 'Error', seconds: 0, output: e.message };
+	}
+
+	if (options.verbose || test.result !== 'Passed') {
+		console.log(rom + ': ' + test.result);
+		if (test.output.trim() !== '') {
+			console.log('  ' + test.output.trim().split('\n').join('\n  '));
+		}
+		console.log('');
+	}
+
+	return {
+		suite: suite.name,
+		rom: path.basename(rom),
+		result: test.result,
+		seconds: test.seconds
+	};
+});
+
+testRoms.printMatrix(results);
+process.exit(results.every(function(result) { return result.result === 'Passed'; }) ? 0 : 1);
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+// Quick checks of the parts of the core that can be tested without a ROM, so
+// they can be run before anything else (the test ROM harnesses need ROMs we
+// can't include)
+// Breakpoints:  Conditions compile and work out the right values, bad ones throw
+// Disassembler: All 512 opcodes (256 and 256 CB prefixed) decode to the right
+//               length, and a few of each kind to the right text
+// Rewind:       Snapshots encode and decode back to the same bytes, keyframes
+//               and deltas alike
+// Save states:  What SaveStateWriter writes SaveStateReader reads back
+//
+// Usage: node tools/check.js
+//
+// Exits with 0 if everything passed, 1 if not
+
+var core = require('../index.js');
+
+// Length of each unprefixed opcode, a row of 16 at a time. STOP (0x10) is
+// followed by a byte it skips, 0xCB is the prefix plus the prefixed opcode and
+// the opcodes that don't exist are shown as 1 byte of data
+var OPCODE_LENGTHS = [
+	'1311112131111121',
+	'2311112121111121',
+	'2311112121111121',
+	'2311112121111121',
+	'1111111111111111',
+	'1111111111111111',
+	'1111111111111111',
+	'1111111111111111',
+	'1111111111111111',
+	'1111111111111111',
+	'1111111111111111',
+	'1111111111111111',
+	'1133312111323321',
+	'1131312111313121',
+	'2111112121311121',
+	'2111112121311121'
+].join('');
+
+var failures = [];
+var passes = 0;
+
+var check = function(name, test) {
+	try {
+		test();
+		passes++;
+	} catch (e) {
+		failures.push(name + ': ' + e.message);
+	}
+};
+
+var expectEqual = function(actual, expected, what) {
+	if (actual !== expected) {
+		throw new Error(what + ' was ' + JSON.stringify(actual) + ', expected ' + JSON.stringify(expected));
+	}
+};
+
+var expectThrows = function(run, what) {
+	try {
+		run();
+	} catch (e) {
+		return;
+	}
+	throw new Error(what + ' didn\'t throw');
+};
+
+// Bytes that look a bit like a save state, runs of zeros between runs of other
+// values, the same every time
+var makeBytes = function(length, seed) {
+	var bytes = new Uint8Array(length);
+	var random = seed;
+	var next = function() {
+		random = (random * 1103515245 + 12345) & 0x7FFFFFFF;
+		return random >> 16;
+	};
+	var i = 0;
+	while (i < length) {
+		var run = next() % 300;
+		var zeros = next() % 2 === 0;
+		for (var j = 0; j < run && i < length; j++, i++) {
+			bytes[i] = zeros ? 0 : next() & 0xFF;
+		}
+	}
+	return bytes;
+};
+
+var gameboy = new core.Gameboy();
+gameboy.initialize();
+
+var checkBreakpoints = function() {
+	var breakpoints = gameboy.breakpoints;
+	var registers = gameboy.registers;
+
+	registers.A = 0x3F;
+	registers.H = 0xC0;
+	registers.L = 0x10;
+	registers.F = 0x80;
+	gameboy.mmu.write(0xC000, 5);
+	gameboy.mmu.write(0xC010, 0x12);
+
+	[
+		['A == 0x3F && [0xC000] > 4', 1],
+		['A == $3E || [$C000] == 4', 0],
+		['1 + 2 * 3', 7],
+		['(1 + 2) * 3', 9],
+		['10 - 2 - 3', 5],
+		['1 << 4 | 1', 17],
+		['%1010 & 6', 2],
+		['5 ^ 1', 4],
+		['!0', 1],
+		['!7', 0],
+		['~0 & 0xFF', 0xFF],
+		['-A + 0x40', 1],
+		['HL', 0xC010],
+		['[HL]', 0x12],
+		['[0xC000 + L - 0x10]', 5],
+		['ZF', 1],
+		['CF', 0],
+		['a == 63', 1],
+		['3 >= 3', 1],
+		['3 < 3', 0]
+	].forEach(function(test) {
+		check('Breakpoints.compile "' + test[0] + '"', function() {
+			expectEqual(breakpoints.compile(test[0])(), test[1], 'Value');
+		});
+	});
+
+	['', '1 +', '(1', '[C000', 'Q', '1 2', '0x', '%102', 'A = 1', '#'].forEach(function(expression) {
+		check('Breakpoints.compile "' + expression + '" is rejected', function() {
+			expectThrows(function() {
+				breakpoints.compile(expression);
+			}, 'Compiling it');
+		});
+	});
+};
+
+var checkDisassembler = function() {
+	var bytes = new Uint8Array(0x10000);
+	var disassembler = new core.Disassembler(function(address) {
+		return bytes[address];
+	});
+
+	var disassemble = function(values) {
+		bytes.fill(0);
+		bytes.set(values, 0x100);
+		return disassembler.disassemble(0x100);
+	};
+
+	for (var opcode = 0; opcode < 0x100; opcode++) {
+		check('Disassembler opcode ' + core.toHex(opcode, 2), function() {
+			var instruction = disassemble([opcode, 0x34, 0x12]);
+			expectEqual(instruction.length, parseInt(OPCODE_LENGTHS.charAt(opcode), 10), 'Length');
+			expectEqual(instruction.bytes.length, instruction.length, 'Bytes');
+			if (!instruction.text) {
+				throw new Error('No text');
+			}
+		});
+		check('Disassembler opcode CB ' + core.toHex(opcode, 2), function() {
+			var instruction = disassemble([0xCB, opcode]);
+			expectEqual(instruction.length, 2, 'Length');
+			if (!instruction.text) {
+				throw new Error('No text');
+			}
+		});
+	}
+
+	[
+		[[0x00], 'nop'],
+		[[0x01, 0x34, 0x12], 'ld bc, $1234'],
+		[[0x08, 0x00, 0xC0], 'ld [$C000], sp'],
+		[[0x18, 0xFE], 'jr $0100'],
+		[[0x20, 0x05], 'jr nz, $0107'],
+		[[0x3E, 0x3F], 'ld a, $3F'],
+		[[0x76], 'halt'],
+		[[0x7E], 'ld a, [hl]'],
+		[[0xAF], 'xor a'],
+		[[0xC3, 0x50, 0x01], 'jp $0150'],
+		[[0xCD, 0x00, 0x40], 'call $4000'],
+		[[0xE0, 0x40], 'ldh [rLCDC], a'],
+		[[0xE8, 0xFE], 'add sp, -$02'],
+		[[0xF8, 0x02], 'ld hl, sp + $02'],
+		[[0xEA, 0xFF, 0xFF], 'ld [rIE], a'],
+		[[0xFF], 'rst $38'],
+		[[0xD3], 'db $D3'],
+		[[0xCB, 0x37], 'swap a'],
+		[[0xCB, 0x7C], 'bit 7, h'],
+		[[0xCB, 0x86], 'res 0, [hl]'],
+		[[0xCB, 0xFF], 'set 7, a']
+	].forEach(function(test) {
+		check('Disassembler "' + test[1] + '"', function() {
+			expectEqual(disassemble(test[0]).text, test[1], 'Text');
+		});
+	});
+
+	check('Disassembler jump targets', function() {
+		expectEqual(disassemble([0x18, 0x10]).target, 0x112, 'jr target');
+		expectEqual(disassemble([0xC3, 0x50, 0x01]).target, 0x150, 'jp target');
+		expectEqual(disassemble([0x00]).target, null, 'nop target');
+	});
+};
+
+var checkRewind = function() {
+	var rewind = new core.Rewind(gameboy);
+
+	var roundTrip = function(state, base) {
+		var data = rewind.encode(state, base);
+		var decoded = rewind.decode(data, state.length, base);
+		expectEqual(decoded.length, state.length, 'Length');
+		for (var i = 0; i < state.length; i++) {
+			if (decoded[i] !== state[i]) {
+				throw new Error('Byte ' + i + ' was ' + decoded[i] + ', expected ' + state[i]);
+			}
+		}
+		return data;
+	};
+
+	check('Rewind keyframe round trip', function() {
+		roundTrip(makeBytes(100000, 1), null);
+	});
+
+	check('Rewind delta round trip', function() {
+		var base = makeBytes(100000, 2);
+		var state = base.slice();
+		// A few changes, one of them long enough to need a 3 byte count
+		state[0] ^= 1;
+		state[50] ^= 0xFF;
+		for (var i = 20000; i < 40000; i++) {
+			state[i] = (state[i] + 1) & 0xFF;
+		}
+		state[state.length - 1] ^= 0x80;
+		roundTrip(state, base);
+	});
+
+	check('Rewind unchanged delta is small', function() {
+		var base = makeBytes(100000, 3);
+		var data = roundTrip(base.slice(), base);
+		if (data.length > 8) {
+			throw new Error('Encoded to ' + data.length + ' bytes');
+		}
+	});
+
+	check('Rewind edge cases', function() {
+		roundTrip(new Uint8Array(0), null);
+		roundTrip(new Uint8Array(1), null);
+		roundTrip(new Uint8Array([7]), null);
+		roundTrip(new Uint8Array(70000), null);
+		roundTrip(new Uint8Array([1, 0, 1, 0, 0, 1]), null);
+	});
+
+	check('Rewind corrupt data is rejected', function() {
+		var state = makeBytes(1000, 4);
+		var data = rewind.encode(state, null);
+		expectThrows(function() {
+			rewind.decode(data, state.length + 1, null);
+		}, 'Decoding with the wrong length');
+	});
+};
+
+var checkSaveState = function() {
+	check('SaveState round trip', function() {
+		var writer = new core.SaveStateWriter();
+		var big = makeBytes(200000, 5);
+		writer.writeString('TEST');
+		writer.writeSection('ONE ', function(section) {
+			section.writeByte(0x1FF);
+			section.writeWord(0xBEEF);
+			section.writeInt(-12345678);
+			section.writeInt(0x7FFFFFFF);
+			section.writeBool(true);
+			section.writeBool(false);
+		});
+		writer.writeSection('TWO ', function(section) {
+			// Past the size the writer starts with, so it has to grow
+			section.writeBytes(big);
+			section.writeBytes([1, 2, 3]);
+		});
+		writer.writeSection('NONE', function() {});
+
+		var reader = new core.SaveStateReader(writer.toBytes());
+		expectEqual(reader.readString(4), 'TEST', 'String');
+		var sections = reader.readSections();
+		expectEqual(Object.keys(sections).join(','), 'ONE ,TWO ,NONE', 'Sections');
+
+		var one = sections['ONE '];
+		expectEqual(one.readByte(), 0xFF, 'Byte');
+		expectEqual(one.readWord(), 0xBEEF, 'Word');
+		expectEqual(one.readInt(), -12345678, 'Negative int');
+		expectEqual(one.readInt(), 0x7FFFFFFF, 'Int');
+		expectEqual(one.readBool(), true, 'True');
+		expectEqual(one.readBool(), false, 'False');
+		one.checkFinished('ONE ');
+
+		var two = sections['TWO '];
+		var bytes = two.readBytes(big.length);
+		for (var i = 0; i < big.length; i++) {
+			if (bytes[i] !== big[i]) {
+				throw new Error('Byte ' + i + ' was ' + bytes[i] + ', expected ' + big[i]);
+			}
+		}
+		expectEqual(Array.prototype.join.call(two.readBytes(3)), '1,2,3', 'Bytes');
+		two.checkFinished('TWO ');
+
+		expectEqual(sections['NONE'].data.length, 0, 'Empty section');
+	});
+
+	check('SaveState reading too much or too little throws', function() {
+		var writer = new core.SaveStateWriter();
+		writer.writeWord(1);
+		var reader = new core.SaveStateReader(writer.toBytes());
+		reader.readByte();
+		expectThrows(function() {
+			reader.checkFinished('TEST');
+		}, 'Finishing early');
+		reader.readByte();
+		expectThrows(reader.readByte, 'Reading past the end');
+		expectThrows(function() {
+			new core.SaveStateReader(new Uint8Array(3)).readBytes(4);
+		}, 'Reading too many bytes');
+	});
+
+	check('SaveState truncated section throws', function() {
+		var writer = new core.SaveStateWriter();
+		writer.writeSection('ONE ', function(section) {
+			section.writeInt(1);
+		});
+		var bytes = writer.toBytes();
+		expectThrows(function() {
+			new core.SaveStateReader(bytes.subarray(0, bytes.length - 1)).readSections();
+		}, 'Reading the sections');
+	});
+};
+
+checkBreakpoints();
+checkDisassembler();
+checkRewind();
+checkSaveState();
+
+failures.forEach(function(failure) {
+	console.log('FAIL ' + failure);
+});
+console.log(passes + ' passed, ' + failures.length + ' failed');
+process.exit(failures.length > 0 ? 1 : 0);
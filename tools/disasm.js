@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+// Disassembler - prints a whole ROM (or one bank of it) as rgbds assembly, one
+// SECTION per 16KB bank. Everything is disassembled as code, data included, apart
+// from the cartridge header. The I/O registers are named as in hardware.inc
+//
+// Usage: node tools/disasm.js <rom> [--bank N]
+//
+// --bank N  Only disassemble bank N (decimal, or hex with 0x or $)
+
+var fs = require('fs');
+var Disassembler = require('../index.js').Disassembler;
+var toHex = require('../index.js').toHex;
+
+var BANK_SIZE = 0x4000;
+
+// The cartridge header after the entry point (logo, title, checksums and so on)
+var HEADER_START = 0x0104;
+var HEADER_END = 0x0150;
+
+// Where the comments with the address and bytes line up
+var COMMENT_COLUMN = 32;
+
+var usage = function() {
+	console.error('Usage: node tools/disasm.js <rom> [--bank N]');
+	process.exit(1);
+};
+
+var parseArgs = function(argv) {
+	var options = {
+		rom: null,
+		bank: null
+	};
+
+	for (var i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case '--bank':
+				var bank = argv[++i] || '';
+				options.bank = /^(0x|\$)/i.test(bank) ? parseInt(bank.replace(/^(0x|\$)/i, ''), 16) : parseInt(bank, 10);
+				if (isNaN(options.bank) || options.bank < 0) usage();
+				break;
+			default:
+				if (options.rom !== null) usage();
+				options.rom = argv[i];
+				break;
+		}
+	}
+
+	if (options.rom === null) usage();
+	return options;
+};
+
+var formatLine = function(text, bank, address, bytes) {
+	var line = '\t' + text;
+	while (line.length < COMMENT_COLUMN - 4) line += ' ';
+	return line + ' ; ' + toHex(bank, 2) + ':' + toHex(address, 4) + '  ' +
+		bytes.map(function(value) { return toHex(value, 2); }).join(' ');
+};
+
+var dataLine = function(bank, address, bytes) {
+	var text = 'db ' + bytes.map(function(value) { return '$' + toHex(value, 2); }).join(', ');
+	return formatLine(text, bank, address, bytes);
+};
+
+var disassembleBank = function(rom, bank) {
+	// Bank 0 is always at 0x0000-0x3FFF, the rest are switched in at 0x4000-0x7FFF
+	var base = bank === 0 ? 0x0000 : BANK_SIZE;
+	var end = base + BANK_SIZE;
+	var offset = bank * BANK_SIZE;
+
+	var disassembler = new Disassembler(function(address) {
+		var value = rom[offset + (address - base)];
+		return value === undefined ? 0 : value;
+	});
+
+	var lines = [];
+	lines.push('SECTION "ROM Bank $' + toHex(bank, 2) + '", ' +
+		(bank === 0 ? 'ROM0[$0000]' : 'ROMX[$4000], BANK[$' + toHex(bank, 2) + ']'));
+	lines.push('');
+
+	var address = base;
+	while (address < end) {
+		if (bank === 0 && address >= HEADER_START && address < HEADER_END) {
+			var count = Math.min(16, HEADER_END - address);
+			var bytes = Array.prototype.slice.call(rom, address, address + count);
+			lines.push(dataLine(bank, address, bytes));
+			address += count;
+			continue;
+		}
+
+		var instruction = disassembler.disassemble(address);
+
+		// An instruction that runs off the end of the bank (or in to the header)
+		// would really read from somewhere else, so what's left is just data
+		var stop = bank === 0 && address < HEADER_START ? HEADER_START : end;
+		if (address + instruction.length > stop) {
+			lines.push(dataLine(bank, address, instruction.bytes.slice(0, stop - address)));
+			address = stop;
+			continue;
+		}
+
+		lines.push(formatLine(instruction.text, bank, address, instruction.bytes));
+		address += instruction.length;
+	}
+
+	lines.push('');
+	return lines.join('\n');
+};
+
+var options = parseArgs(process.argv.slice(2));
+var rom = new Uint8Array(fs.readFileSync(options.rom));
+var bankCount = Math.max(1, Math.ceil(rom.length / BANK_SIZE));
+
+if (options.bank !== null && options.bank >= bankCount) {
+	console.error('The ROM only has ' + bankCount + ' banks');
+	process.exit(1);
+}
+
+console.log('; Disassembly of ' + options.rom);
+console.log('INCLUDE "hardware.inc"');
+console.log('');
+
+for (var bank = 0; bank < bankCount; bank++) {
+	if (options.bank !== null && bank !== options.bank) continue;
+	process.stdout.write(disassembleBank(rom, bank) + '\n');
+}
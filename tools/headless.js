@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+// Headless runner - runs a ROM with no DOM or canvas for a number of frames and
+// then prints the final state of the registers (and optionally memory)
+//
+// Usage: node tools/headless.js <rom> [--frames N] [--memory <file>] [--save <file>]
+//                                [--link <url>] [--boot-rom <file>] [--model <model>]
+//                                [--break <breakpoint>]... [--trace <file>]
+//                                [--trace-doctor]
+//
+// --frames N       Number of frames to run (default 60)
+// --memory <file>  Write the 64KB memory map to a file once finished
+// --save <file>    Battery backed RAM (.sav) to load before running if it exists,
+//                  and to write back to once finished
+// --link <url>     Plug the link cable in to a relay (tools/link-relay.js), eg
+//                  ws://localhost:8765/room, and wait for the other player before
+//                  running. Needs a Node.js with WebSocket built in (22 or newer,
+//                  or 20/21 with --experimental-websocket)
+// --boot-rom <file> Run a DMG (256 byte) or CGB (2304 byte) boot ROM first instead
+//                  of starting straight at the cartridge
+// --model <model>  Hardware to emulate, DMG0, DMG, MGB, SGB or CGB (default is
+//                  whatever suits the cartridge)
+// --break <breakpoint> Stop early when a breakpoint or watchpoint fires, written
+//                  as for Breakpoints.add, eg 0150, 03:4A2B, write C000-C0FF or
+//                  "if A == 0x3F && [0xC000] > 4". Can be given more than once
+// --trace <file>   Write a line for every instruction run to a file, in the format
+//                  Gameboy Doctor uses (see Trace.js and tools/trace-compare.js)
+// --trace-doctor   Make LY (0xFF44) always read 0x90 as Gameboy Doctor's logs
+//                  expect, so a trace can be compared with them
+
+var fs = require('fs');
+var Gameboy = require('../index.js').Gameboy;
+var WebSocketLink = require('../index.js').WebSocketLink;
+var Trace = require('../index.js').Trace;
+var toHex = require('../index.js').toHex;
+
+var usage = function() {
+	console.error('Usage: node tools/headless.js <rom> [--frames N] [--memory <file>] [--save <file>] [--link <url>]\n' +
+		'                                [--boot-rom <file>] [--model <model>] [--break <breakpoint>]...\n' +
+		'                                [--trace <file>] [--trace-doctor]');
+	process.exit(1);
+};
+
+var parseArgs = function(argv) {
+	var options = {
+		rom: null,
+		frames: 60,
+		memory: null,
+		save: null,
+		link: null,
+		bootRom: null,
+		model: null,
+		breakpoints: [],
+		trace: null,
+		traceDoctor: false
+	};
+
+	for (var i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case '--frames':
+				options.frames = parseInt(argv[++i], 10);
+				if (isNaN(options.frames) || options.frames < 0) usage();
+				break;
+			case '--memory':
+				options.memory = argv[++i];
+				if (!options.memory) usage();
+				break;
+			case '--save':
+				options.save = argv[++i];
+				if (!options.save) usage();
+				break;
+			case '--link':
+				options.link = argv[++i];
+				if (!options.link) usage();
+				break;
+			case '--boot-rom':
+				options.bootRom = argv[++i];
+				if (!options.bootRom) usage();
+				break;
+			case '--model':
+				options.model = argv[++i];
+				if (!options.model) usage();
+				break;
+			case '--break':
+				if (argv[i + 1] === undefined) usage();
+				options.breakpoints.push(argv[++i]);
+				break;
+			case '--trace':
+				options.trace = argv[++i];
+				if (!options.trace) usage();
+				break;
+			case '--trace-doctor':
+				options.traceDoctor = true;
+				break;
+			default:
+				if (options.rom !== null) usage();
+				options.rom = argv[i];
+				break;
+		}
+	}
+
+	if (options.rom === null) usage();
+	return options;
+};
+
+var options = parseArgs(process.argv.slice(2));
+
+var gameboy = new Gameboy();
+gameboy.initialize();
+try {
+	gameboy.model = options.model;
+	if (options.bootRom !== null) {
+		gameboy.setBootRom(new Uint8Array(fs.readFileSync(options.bootRom)));
+	}
+	gameboy.loadProgram(new Uint8Array(fs.readFileSync(options.rom)));
+	options.breakpoints.forEach(gameboy.breakpoints.add);
+} catch (e) {
+	console.error(e.message);
+	process.exit(1);
+}
+
+var hasSave = options.save !== null && gameboy.hasBattery();
+if (hasSave && fs.existsSync(options.save)) {
+	gameboy.loadSaveData(new Uint8Array(fs.readFileSync(options.save)));
+}
+
+var cycles = 0;
+var frames = 0;
+
+// Trace lines are gathered up and written out a bunch at a time, there can be
+// millions of them
+var TRACE_CHUNK_LINES = 10000;
+var traceFile = null;
+var traceLines = [];
+
+var flushTrace = function() {
+	if (traceLines.length > 0) {
+		fs.writeSync(traceFile, traceLines.join('\n') + '\n');
+		traceLines = [];
+	}
+};
+
+gameboy.mmu.doctorLy = options.traceDoctor;
+
+if (options.trace !== null) {
+	traceFile = fs.openSync(options.trace, 'w');
+	gameboy.trace = new Trace(gameboy, 1);
+	gameboy.trace.onLine = function(line) {
+		traceLines.push(line);
+		if (traceLines.length >= TRACE_CHUNK_LINES) {
+			flushTrace();
+		}
+	};
+}
+
+// Stop as soon as a breakpoint fires
+var hit = null;
+gameboy.breakpoints.onBreak = function(breakpointHit) {
+	hit = breakpointHit;
+};
+
+var finish = function() {
+	var registers = {};
+	['A', 'F', 'B', 'C', 'D', 'E', 'H', 'L'].forEach(function(name) {
+		registers[name] = toHex(gameboy.registers[name], 2);
+	});
+	registers.SP = toHex(gameboy.registers.SP, 4);
+	registers.PC = toHex(gameboy.registers.PC, 4);
+
+	if (hasSave) {
+		fs.writeFileSync(options.save, gameboy.getSaveData());
+	}
+
+	if (traceFile !== null) {
+		flushTrace();
+		fs.closeSync(traceFile);
+	}
+
+	if (options.memory) {
+		var memory = new Uint8Array(0x10000);
+		for (var i = 0; i < memory.length; i++) {
+			memory[i] = gameboy.mmu.read(i);
+		}
+		fs.writeFileSync(options.memory, memory);
+	}
+
+	console.log(JSON.stringify({
+		cartridge: gameboy.cartridgeHeader.getReport(),
+		frames: frames,
+		cycles: cycles,
+		model: gameboy.hardwareModel,
+		cgbMode: gameboy.cgbMode,
+		registers: registers,
+		halted: gameboy.halted,
+		cpuStopped: gameboy.cpuStopped,
+		interruptsEnabled: gameboy.interruptsEnabled,
+		interruptFlags: toHex(gameboy.mmu.read(gameboy.INTERRUPT_REQUEST_ADDR), 2),
+		interruptEnable: toHex(gameboy.mmu.read(gameboy.INTERRUPT_ENABLED_ADDR), 2),
+		breakpoint: hit !== null ? hit.description : null
+	}, null, 2));
+
+	if (link !== null) {
+		link.close();
+	}
+};
+
+// Same loop the browser runs, just without drawing anything
+var runFrames = function() {
+	while (frames < options.frames && !gameboy.cpuStopped && hit === null) {
+		cycles += gameboy.runFrame();
+		frames++;
+	}
+	finish();
+};
+
+// With the link cable plugged in, runFrame stops early whenever we are waiting on
+// the other player, so frames are counted by cycles. Messages from the other
+// player only arrive between runs, so we hand back to the event loop every time.
+// When nothing ran at all we're waiting on them, so we wait a little before trying
+// again rather than spinning
+var LINK_WAIT_MS = 1;
+var frameCycles = 0;
+var runLinkedFrames = function() {
+	if (frames >= options.frames || gameboy.cpuStopped || hit !== null) {
+		finish();
+		return;
+	}
+
+	var executed = gameboy.runFrame();
+	cycles += executed;
+	frameCycles += executed;
+	if (frameCycles >= gameboy.CYCLES_PER_FRAME) {
+		frameCycles -= gameboy.CYCLES_PER_FRAME;
+		frames++;
+	}
+	if (executed === 0) {
+		setTimeout(runLinkedFrames, LINK_WAIT_MS);
+	} else {
+		setImmediate(runLinkedFrames);
+	}
+};
+
+var link = null;
+if (options.link === null) {
+	runFrames();
+} else {
+	if (typeof WebSocket === 'undefined') {
+		console.error('This version of Node.js has no WebSocket, use Node.js 22 or newer ' +
+			'(or run with --experimental-websocket)');
+		process.exit(1);
+	}
+
+	var started = false;
+	link = new WebSocketLink(options.link, gameboy.serial);
+	link.onStatus = function(status) {
+		console.error('Link: ' + status);
+		if (status === 'Linked' && !started) {
+			started = true;
+			runLinkedFrames();
+		} else if (status === 'Disconnected' && !started) {
+			process.exit(1);
+		}
+	};
+	gameboy.serial.setLink(link);
+}
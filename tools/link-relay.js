@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+// Link cable relay - a small WebSocket server that pairs up two emulators so they
+// can play over a link cable (see WebSocketLink.js). Emulators connecting to the
+// same path are linked together, eg both connect to ws://localhost:8765/tetris
+// Each room holds two players, messages from one are passed on to the other
+//
+// Usage: node tools/link-relay.js [--port N]
+
+var http = require('http');
+var crypto = require('crypto');
+
+// Magic string from the WebSocket spec used to answer the handshake
+var WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+var OPCODE_TEXT = 0x1;
+var OPCODE_CLOSE = 0x8;
+var OPCODE_PING = 0x9;
+var OPCODE_PONG = 0xA;
+
+var port = 8765;
+var args = process.argv.slice(2);
+for (var i = 0; i < args.length; i++) {
+	if (args[i] === '--port') {
+		port = parseInt(args[++i], 10);
+	} else {
+		console.error('Usage: node tools/link-relay.js [--port N]');
+		process.exit(1);
+	}
+}
+
+// Room name to the list of players in it
+var rooms = {};
+
+var encodeFrame = function(opcode, payload) {
+	// Frames from the server are never masked
+	var header;
+	if (payload.length < 126) {
+		header = Buffer.from([0x80 | opcode, payload.length]);
+	} else if (payload.length < 0x10000) {
+		header = Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xFF]);
+	} else {
+		header = Buffer.alloc(10);
+		header[0] = 0x80 | opcode;
+		header[1] = 127;
+		header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+		header.writeUInt32BE(payload.length % 0x100000000, 6);
+	}
+	return Buffer.concat([header, payload]);
+};
+
+var Player = function(socket, room) {
+	var ths = this;
+
+	this.socket = socket;
+	this.room = room;
+	this.buffer = Buffer.alloc(0);
+	this.closed = false;
+
+	this.send = function(message) {
+		if (ths.closed) return;
+		ths.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))));
+	};
+
+	this.sendRaw = function(text) {
+		if (ths.closed) return;
+		ths.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text)));
+	};
+
+	this.close = function() {
+		if (ths.closed) return;
+		ths.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+		ths.closed = true;
+		leaveRoom(ths);
+	};
+
+	this.readFrames = function(chunk) {
+		// Pull as many whole frames out of what we've received as we can
+		ths.buffer = Buffer.concat([ths.buffer, chunk]);
+
+		while (ths.buffer.length >= 2) {
+			var opcode = ths.buffer[0] & 0x0F;
+			var masked = (ths.buffer[1] & 0x80) !== 0;
+			var length = ths.buffer[1] & 0x7F;
+			var offset = 2;
+
+			if (length === 126) {
+				if (ths.buffer.length < 4) return;
+				length = ths.buffer.readUInt16BE(2);
+				offset = 4;
+			} else if (length === 127) {
+				if (ths.buffer.length < 10) return;
+				length = (ths.buffer.readUInt32BE(2) * 0x100000000) + ths.buffer.readUInt32BE(6);
+				offset = 10;
+			}
+
+			var mask = null;
+			if (masked) {
+				if (ths.buffer.length < offset + 4) return;
+				mask = ths.buffer.slice(offset, offset + 4);
+				offset += 4;
+			}
+
+			if (ths.buffer.length < offset + length) return;
+
+			var payload = Buffer.from(ths.buffer.slice(offset, offset + length));
+			if (mask !== null) {
+				for (var i = 0; i < payload.length; i++) {
+					payload[i] ^= mask[i & 3];
+				}
+			}
+			ths.buffer = ths.buffer.slice(offset + length);
+
+			switch (opcode) {
+				case OPCODE_TEXT:
+					relay(ths, payload.toString());
+					break;
+				case OPCODE_PING:
+					ths.socket.write(encodeFrame(OPCODE_PONG, payload));
+					break;
+				case OPCODE_CLOSE:
+					ths.close();
+					return;
+			}
+		}
+	};
+};
+
+var getPartner = function(player) {
+	var players = rooms[player.room] || [];
+	for (var i = 0; i < players.length; i++) {
+		if (players[i] !== player) return players[i];
+	}
+	return null;
+};
+
+var relay = function(player, text) {
+	var partner = getPartner(player);
+	if (partner !== null) {
+		partner.sendRaw(text);
+	}
+};
+
+var joinRoom = function(player) {
+	var players = rooms[player.room] || (rooms[player.room] = []);
+	players.push(player);
+	console.log('Player joined ' + player.room + ' (' + players.length + '/2)');
+
+	var partner = getPartner(player);
+	if (partner !== null) {
+		partner.send({ type: 'peer', connected: true });
+		player.send({ type: 'peer', connected: true });
+	}
+};
+
+var leaveRoom = function(player) {
+	var players = rooms[player.room];
+	if (!players || players.indexOf(player) < 0) return;
+
+	players.splice(players.indexOf(player), 1);
+	console.log('Player left ' + player.room + ' (' + players.length + '/2)');
+	if (players.length === 0) {
+		delete rooms[player.room];
+	} else {
+		players[0].send({ type: 'peer', connected: false });
+	}
+};
+
+var server = http.createServer(function(request, response) {
+	response.writeHead(426, { 'Content-Type': 'text/plain' });
+	response.end('This is a WebSocket server for linking emulators\n');
+});
+
+server.on('upgrade', function(request, socket) {
+	var key = request.headers['sec-websocket-key'];
+	if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+		socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+		return;
+	}
+
+	var room = request.url || '/';
+	if ((rooms[room] || []).length >= 2) {
+		socket.end('HTTP/1.1 409 Conflict\r\n\r\n');
+		console.log('Turned away a third player from ' + room);
+		return;
+	}
+
+	var accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+	socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+		'Upgrade: websocket\r\n' +
+		'Connection: Upgrade\r\n' +
+		'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+	socket.setNoDelay(true);
+
+	var player = new Player(socket, room);
+	socket.on('data', player.readFrames);
+	socket.on('close', function() {
+		player.closed = true;
+		leaveRoom(player);
+	});
+	socket.on('error', function() {
+		player.closed = true;
+		leaveRoom(player);
+	});
+
+	joinRoom(player);
+});
+
+server.listen(port, function() {
+	console.log('Link relay listening on ws://localhost:' + port + '/<room>');
+});
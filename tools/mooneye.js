@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+// Mooneye GB test ROM harness - runs every ROM in a directory (eg the acceptance
+// suite, as it comes) with no screen and compares the results with the expected
+// results manifest (tools/mooneye-expected.json) so we can see what's got better
+// or worse. The ROMs aren't included
+//
+// When a Mooneye test finishes it runs LD B, B (see onMagicBreakpoint). If it
+// passed, B/C/D/E/H/L hold the Fibonacci numbers 3/5/8/13/21/34. If it failed
+// they all hold 0x42. A test that never gets there has timed out
+//
+// ROMs are run on the hardware their name asks for, eg boot_regs-dmg0.gb on a
+// DMG0 and boot_regs-sgb.gb on a Super Gameboy (see chooseModel)
+//
+// Usage: node tools/mooneye.js <dir> [--filter <text>] [--timeout <seconds>]
+//                                    [--manifest <file>] [--update]
+//
+// --filter <text>      Only run ROMs with this in their path
+// --timeout <seconds>  Emulated seconds to give each ROM (default 10)
+// --manifest <file>    Expected results (default tools/mooneye-expected.json)
+// --update             Write the results of this run into the manifest
+//
+// Exits with 1 if anything that is expected to pass didn't (a regression), or
+// if any ROM run isn't in the manifest, otherwise 0
+//
+// The ROMs can't be included, so the manifest checked in is empty until it's
+// been made. Run the acceptance suite once with --update and commit the manifest
+// it writes. Until a ROM is in the manifest we have nothing to check it against,
+// so it fails the run rather than passing it
+
+var fs = require('fs');
+var path = require('path');
+var testRoms = require('./test-roms.js');
+
+var PASS_REGISTERS = { B: 3, C: 5, D: 8, E: 13, H: 21, L: 34 };
+var FAIL_VALUE = 0x42;
+
+var DEFAULT_TIMEOUT = 10;
+var DEFAULT_MANIFEST = path.join(__dirname, 'mooneye-expected.json');
+
+// How results are written in the manifest
+var MANIFEST_RESULTS = {
+	Passed: 'pass',
+	Failed: 'fail',
+	Timeout: 'timeout',
+	Error: 'error'
+};
+
+var usage = function() {
+	console.error('Usage: node tools/mooneye.js <dir> [--filter <text>] [--timeout <seconds>]\n' +
+		'                                   [--manifest <file>] [--update]');
+	process.exit(2);
+};
+
+var parseArgs = function(argv) {
+	var options = {
+		directory: null,
+		filter: null,
+		timeout: DEFAULT_TIMEOUT,
+		manifest: DEFAULT_MANIFEST,
+		update: false
+	};
+
+	for (var i = 0; i < argv.length; i++) {
+		switch (argv[i]) {
+			case '--filter':
+				options.filter = argv[++i];
+				if (!options.filter) usage();
+				break;
+			case '--timeout':
+				options.timeout = parseFloat(argv[++i]);
+				if (isNaN(options.timeout) || options.timeout <= 0) usage();
+				break;
+			case '--manifest':
+				options.manifest = argv[++i];
+				if (!options.manifest) usage();
+				break;
+			case '--update':
+				options.update = true;
+				break;
+			default:
+				if (options.directory !== null) usage();
+				options.directory = argv[i];
+				break;
+		}
+	}
+
+	if (options.directory === null) usage();
+	return options;
+};
+
+var chooseModel = function(rom) {
+	// The part of the name after the last - says which hardware the test is for,
+	// eg -dmg0, -dmgABC, -mgb, -sgb, -sgb2, -S (any SGB), -cgb or -C (any CGB).
+	// Tests for more than one (eg -dmgABCmgb, -GS) run on the first we emulate
+	var name = path.basename(rom).replace(/\.gbc?$/i, '');
+	var dash = name.lastIndexOf('-');
+	if (dash < 0) return null;
+
+	var models = name.substr(dash + 1);
+	if (/dmg0/i.test(models)) return 'DMG0';
+	if (/dmg|G/.test(models)) return 'DMG';
+	if (/mgb/i.test(models)) return 'MGB';
+	if (/sgb|S/.test(models)) return 'SGB';
+	if (/cgb|C|A|E/.test(models)) return 'CGB';
+	return null;
+};
+
+var checkRegisters = function(registers) {
+	var passed = Object.keys(PASS_REGISTERS).every(function(name) {
+		return registers[name] === PASS_REGISTERS[name];
+	});
+	return passed ? 'Passed' : 'Failed';
+};
+
+var describeRegisters = function(registers) {
+	return Object.keys(PASS_REGISTERS).map(function(name) {
+		var value = registers[name];
+		return name + '=' + value + (value === FAIL_VALUE ? ' (0x42)' : '');
+	}).join(' ');
+};
+
+var runTest = function(file, model, timeout) {
+	var gameboy = testRoms.startRom(file, model);
+
+	var finished = null;
+	gameboy.onMagicBreakpoint = function() {
+		if (finished === null) {
+			finished = {
+				B: gameboy.registers.B, C: gameboy.registers.C,
+				D: gameboy.registers.D, E: gameboy.registers.E,
+				H: gameboy.registers.H, L: gameboy.registers.L
+			};
+		}
+	};
+
+	var run = testRoms.runRom(gameboy, timeout, function() {
+		return finished !== null ? checkRegisters(finished) : null;
+	}, 1);
+
+	return {
+		result: run.result || 'Timeout',
+		seconds: run.seconds,
+		registers: finished
+	};
+};
+
+var readManifest = function(file) {
+	if (!fs.existsSync(file)) return {};
+	return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+var writeManifest = function(file, manifest) {
+	// Sorted so that updates make tidy diffs
+	var sorted = {};
+	Object.keys(manifest).sort().forEach(function(rom) {
+		sorted[rom] = manifest[rom];
+	});
+	fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+};
+
+var options = parseArgs(process.argv.slice(2));
+var manifest = readManifest(options.manifest);
+
+var roms = testRoms.findRoms(options.directory).map(function(rom) {
+	// Manifest keys are the same whatever system we're on
+	return rom.replace(/\\/g, '/');
+}).filter(function(rom) {
+	return options.filter === null || rom.indexOf(options.filter) >= 0;
+});
+if (roms.length === 0) {
+	console.error('No test ROMs found in ' + options.directory);
+	process.exit(2);
+}
+
+var regressions = [];
+var improvements = [];
+var unexpected = [];
+var unrecorded = [];
+
+var results = roms.map(function(rom) {
+	var model = chooseModel(rom);
+
+	var test;
+	try {
+		test = runTest(path.join(options.directory, rom), model, options.timeout);
+	} catch (e) {
+		test = { result: 'Error', seconds: 0, registers: null, error: e.message };
+	}
+
+	var result = MANIFEST_RESULTS[test.result];
+	var expected = manifest[rom];
+	var detail = test.error || (test.registers !== null ? describeRegisters(test.registers) : '');
+	var line = rom + ': ' + test.result + (expected ? ' (expected ' + expected + ')' : '') +
+		(detail ? ' ' + detail : '');
+
+	if (expected === 'pass' && result !== 'pass') {
+		regressions.push(line);
+	} else if (result === 'pass' && expected !== 'pass') {
+		improvements.push(line);
+	} else if (expected !== undefined && expected !== result) {
+		unexpected.push(line);
+	}
+	if (expected === undefined) {
+		unrecorded.push(rom);
+	}
+	manifest[rom] = result;
+
+	return {
+		suite: path.dirname(rom),
+		rom: path.basename(rom) + (model ? ' (' + model + ')' : ''),
+		result: test.result,
+		seconds: test.seconds
+	};
+});
+
+testRoms.printMatrix(results);
+
+[['Regressions', regressions], ['Newly passing', improvements], ['Changed', unexpected]].forEach(function(list) {
+	if (list[1].length === 0) return;
+	console.log('');
+	console.log(list[0] + ':');
+	list[1].forEach(function(line) {
+		console.log('  ' + line);
+	});
+});
+
+if (options.update) {
+	writeManifest(options.manifest, manifest);
+	console.log('');
+	console.log('Updated ' + options.manifest);
+	process.exit(regressions.length > 0 ? 1 : 0);
+}
+
+if (unrecorded.length > 0) {
+	console.log('');
+	console.log(unrecorded.length + ' of ' + roms.length + ' ROMs aren\'t in ' + options.manifest +
+		', run with --update to record them');
+}
+
+process.exit(regressions.length > 0 || unrecorded.length > 0 ? 1 : 0);
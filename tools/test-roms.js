@@ -0,0 +1,104 @@
+// Shared bits of the test ROM harnesses (blargg.js and mooneye.js). Test ROMs are
+// never downloaded, they're read from a directory given on the command line
+
+var fs = require('fs');
+var path = require('path');
+var Gameboy = require('../index.js').Gameboy;
+
+var FRAMES_PER_SECOND = 60;
+
+var findRoms = function(directory) {
+	// Every .gb/.gbc file under directory, as paths relative to it, sorted
+	var roms = [];
+	var search = function(relative) {
+		fs.readdirSync(path.join(directory, relative)).sort().forEach(function(name) {
+			var file = path.join(relative, name);
+			if (fs.statSync(path.join(directory, file)).isDirectory()) {
+				search(file);
+			} else if (/\.gbc?$/i.test(name)) {
+				roms.push(file);
+			}
+		});
+	};
+	search('');
+	return roms;
+};
+
+var startRom = function(file, model) {
+	var gameboy = new Gameboy();
+	gameboy.initialize();
+	gameboy.model = model || null;
+	gameboy.loadProgram(new Uint8Array(fs.readFileSync(file)));
+	return gameboy;
+};
+
+var runRom = function(gameboy, seconds, check, checkEvery) {
+	// Runs until check returns something other than null or seconds of emulated
+	// time pass. check is called every checkEvery frames. Returns what check
+	// returned last (null if it timed out) and the emulated seconds it took
+	var frames = seconds * FRAMES_PER_SECOND;
+	var frame = 0;
+	var result = null;
+	while (frame < frames && result === null && !gameboy.cpuStopped) {
+		gameboy.runFrame();
+		frame++;
+		if (frame % checkEvery === 0) {
+			result = check(gameboy);
+		}
+	}
+	if (result === null) {
+		result = check(gameboy);
+	}
+	return { result: result, seconds: frame / FRAMES_PER_SECOND };
+};
+
+var pad = function(text, width) {
+	while (text.length < width) text += ' ';
+	return text;
+};
+
+var printMatrix = function(results) {
+	// One row per ROM, grouped by suite, then a count of each result. Results are
+	// { suite, rom, result, seconds } where result is Passed/Failed/Timeout/Error
+	var columns = ['Suite', 'ROM', 'Result', 'Time'];
+	var rows = results.map(function(result) {
+		return [result.suite, result.rom, result.result, result.seconds.toFixed(1) + 's'];
+	});
+
+	var widths = columns.map(function(column, i) {
+		return Math.max.apply(null, [column.length].concat(rows.map(function(row) {
+			return row[i].length;
+		})));
+	});
+	var formatRow = function(row) {
+		return row.map(function(cell, i) { return pad(cell, widths[i]); }).join('  ').replace(/\s+$/, '');
+	};
+
+	console.log(formatRow(columns));
+	console.log(formatRow(widths.map(function(width) { return new Array(width + 1).join('-'); })));
+	var lastSuite = null;
+	rows.forEach(function(row) {
+		// Only name the suite on its first row
+		var cells = row.slice();
+		if (cells[0] === lastSuite) cells[0] = '';
+		lastSuite = row[0];
+		console.log(formatRow(cells));
+	});
+
+	var counts = {};
+	results.forEach(function(result) {
+		counts[result.result] = (counts[result.result] || 0) + 1;
+	});
+	console.log('');
+	console.log(Object.keys(counts).map(function(name) {
+		return counts[name] + ' ' + name.toLowerCase();
+	}).join(', '));
+};
+
+module.exports = {
+	FRAMES_PER_SECOND: FRAMES_PER_SECOND,
+	findRoms: findRoms,
+	startRom: startRom,
+	runRom: runRom,
+	printMatrix: printMatrix
+};
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+// Trace comparer - finds the first instruction where our trace (headless.js
+// --trace) stops matching a known good log in the same format, such as the ones
+// that come with Gameboy Doctor, and shows the instructions leading up to it.
+// Make traces for Gameboy Doctor's logs with headless.js --trace-doctor, they're
+// made with LY always reading 0x90
+//
+// Usage: node tools/trace-compare.js <trace> <reference> [--context N]
+//
+// --context N  How many matching lines before the difference to show (default 10)
+//
+// Exits with 0 if the traces match (as far as the shorter one goes, which is
+// also reported) and 1 if they differ
+
+var fs = require('fs');
+
+var CHUNK_SIZE = 0x10000;
+
+var usage = function() {
+	console.error('Usage: node tools/trace-compare.js <trace> <reference> [--context N]');
+	process.exit(2);
+};
+
+var parseArgs = function(argv) {
+	var options = {
+		files: [],
+		context: 10
+	};
+
+	for (var i = 0; i < argv.length; i++) {
+		if (argv[i] === '--context') {
+			options.context = parseInt(argv[++i], 10);
+			if (isNaN(options.context) || options.context < 0) usage();
+		} else {
+			options.files.push(argv[i]);
+		}
+	}
+
+	if (options.files.length !== 2) usage();
+	return options;
+};
+
+var LineReader = function(path) {
+	// Reads a file a line at a time without loading it all, traces can be huge
+	var ths = this;
+
+	this.file = fs.openSync(path, 'r');
+	this.buffer = Buffer.alloc(CHUNK_SIZE);
+	this.pending = '';
+	this.lines = [];
+	this.index = 0;
+	this.finished = false;
+
+	this.next = function() {
+		// Returns the next line, or null at the end of the file
+		while (ths.index === ths.lines.length && !ths.finished) {
+			var bytesRead = fs.readSync(ths.file, ths.buffer, 0, CHUNK_SIZE, null);
+			if (bytesRead === 0) {
+				ths.finished = true;
+				fs.closeSync(ths.file);
+				if (ths.pending !== '') {
+					ths.lines = [ths.pending];
+					ths.index = 0;
+				}
+				break;
+			}
+
+			var text = ths.pending + ths.buffer.toString('latin1', 0, bytesRead);
+			var lines = text.split('\n');
+			ths.pending = lines.pop();
+			ths.lines = lines;
+			ths.index = 0;
+		}
+
+		if (ths.index === ths.lines.length) return null;
+		return ths.lines[ths.index++].replace(/\r$/, '').trim();
+	};
+};
+
+var parseLine = function(line) {
+	// A:01 F:B0 ... into { A: '01', F: 'B0', ... }
+	var fields = {};
+	line.split(/\s+/).forEach(function(field) {
+		var colon = field.indexOf(':');
+		if (colon > 0) {
+			fields[field.substr(0, colon)] = field.substr(colon + 1).toUpperCase();
+		}
+	});
+	return fields;
+};
+
+var differences = function(ours, reference) {
+	var oursFields = parseLine(ours);
+	var referenceFields = parseLine(reference);
+	return Object.keys(referenceFields).filter(function(name) {
+		return oursFields[name] !== referenceFields[name];
+	}).map(function(name) {
+		return name + ' is ' + (oursFields[name] === undefined ? 'missing' : oursFields[name]) +
+			', expected ' + referenceFields[name];
+	});
+};
+
+var options = parseArgs(process.argv.slice(2));
+var ours = new LineReader(options.files[0]);
+var reference = new LineReader(options.files[1]);
+
+// The last few lines that matched, to show how we got to the difference
+var previous = [];
+var lineNumber = 0;
+
+while (true) {
+	var oursLine = ours.next();
+	var referenceLine = reference.next();
+	lineNumber++;
+
+	if (oursLine === null || referenceLine === null) {
+		if (oursLine === null && referenceLine === null) {
+			console.log('Traces match (' + (lineNumber - 1) + ' instructions)');
+		} else {
+			console.log('Traces match for the first ' + (lineNumber - 1) + ' instructions, then ' +
+				(oursLine === null ? 'our trace' : 'the reference') + ' ends');
+		}
+		process.exit(0);
+	}
+
+	if (oursLine.toUpperCase() !== referenceLine.toUpperCase()) {
+		console.log('Traces differ at instruction ' + lineNumber + '\n');
+		previous.forEach(function(line, i) {
+			console.log('  ' + (lineNumber - previous.length + i) + ': ' + line);
+		});
+		console.log('> Ours:      ' + oursLine);
+		console.log('> Reference: ' + referenceLine);
+		console.log('');
+		differences(oursLine, referenceLine).forEach(function(difference) {
+			console.log(difference);
+		});
+		process.exit(1);
+	}
+
+	if (options.context > 0) {
+		previous.push(oursLine);
+		if (previous.length > options.context) {
+			previous.shift();
+		}
+	}
+}